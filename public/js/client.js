@@ -2,6 +2,8 @@
 const DiplomacyClient = {
   ws: null,
   gameId: null,
+  agentId: null, // Set in player mode - the human seat this browser plays
+  seatToken: null, // The seat's token, which the server asks for whenever the seat is read or played
   gameState: null,
   reconnectAttempts: 0,
   maxReconnectAttempts: 5,
@@ -12,11 +14,16 @@ const DiplomacyClient = {
     // Parse URL params
     const params = new URLSearchParams(window.location.search);
     this.gameId = params.get('gameId');
+    this.agentId = params.get('agentId');
+    if (this.agentId) {
+      this.loadSeatToken();
+    }
 
     // Initialize UI
     this.setupEventListeners();
     this.setupTabs();
     this.loadAgentTypes();
+    this.loadMaps();
 
     // If no gameId, try to find an active game
     if (!this.gameId) {
@@ -38,6 +45,9 @@ const DiplomacyClient = {
     if (this.gameId) {
       this.connect();
       await this.loadGameState();
+      if (this.agentId && typeof PlayerControls !== 'undefined') {
+        await PlayerControls.init(this, this.agentId);
+      }
       // Start polling as backup
       this.startPolling();
     } else {
@@ -48,8 +58,26 @@ const DiplomacyClient = {
     this.startPhaseTimer();
   },
 
+  // The token comes with the game this browser created, or in a link's #token= for a seat someone else created.
+  // It is kept in localStorage and out of the URL.
+  loadSeatToken() {
+    const key = `agent-diplomacy:${this.gameId}:${this.agentId}:token`;
+    const shared = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    if (shared) {
+      localStorage.setItem(key, shared);
+      window.history.replaceState({}, '', window.location.pathname + window.location.search);
+    }
+    this.seatToken = localStorage.getItem(key);
+  },
+
+  seatHeaders() {
+    return this.seatToken ? { Authorization: `Bearer ${this.seatToken}` } : {};
+  },
+
   connect() {
-    const wsUrl = `ws://${window.location.host}?gameId=${this.gameId}&type=spectator`;
+    const wsUrl = this.agentId
+      ? `ws://${window.location.host}?gameId=${this.gameId}&type=player&agentId=${this.agentId}&token=${encodeURIComponent(this.seatToken || '')}`
+      : `ws://${window.location.host}?gameId=${this.gameId}&type=spectator`;
     
     console.log('Connecting to WebSocket:', wsUrl);
     this.ws = new WebSocket(wsUrl);
@@ -91,6 +119,16 @@ const DiplomacyClient = {
     }
   },
 
+  send(message) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  },
+
+  isPlayer() {
+    return !!this.agentId && typeof PlayerControls !== 'undefined' && PlayerControls.agentId === this.agentId;
+  },
+
   async loadGameState() {
     try {
       const response = await fetch(`/api/games/${this.gameId}`);
@@ -112,6 +150,7 @@ const DiplomacyClient = {
       case 'initial_state':
         this.gameState = message.data;
         this.render();
+        if (this.isPlayer()) PlayerControls.renderOrders();
         break;
 
       case 'phase_change':
@@ -126,10 +165,27 @@ const DiplomacyClient = {
         this.addConversation(message.data);
         break;
 
+      case 'alliance_update':
+        if (this.gameState) {
+          this.gameState.alliances = message.data.alliances;
+          if (typeof MapRenderer !== 'undefined') MapRenderer.renderAlliances(this.gameState);
+        }
+        break;
+
+      case 'deal_response':
+      case 'deal_renewed':
+      case 'agreements_expired':
+        // Shown through the messages and reputation updates that go with them
+        break;
+
       case 'battle_result':
         this.handleBattleResult(message.data);
         break;
 
+      case 'agent_eliminated':
+        this.handleElimination(message.data);
+        break;
+
       case 'move_committed':
         this.handleMoveCommitted(message.data);
         break;
@@ -138,7 +194,16 @@ const DiplomacyClient = {
         this.handleGameEnd(message.data);
         break;
 
+      case 'move_accepted':
+        if (this.isPlayer()) PlayerControls.onMoveAccepted(message.data);
+        break;
+
+      case 'reveal_accepted':
+        if (this.isPlayer()) PlayerControls.onRevealAccepted(message.data);
+        break;
+
       case 'error':
+        if (this.isPlayer()) PlayerControls.onError(message.data.message);
         this.showError(message.data.message);
         break;
 
@@ -172,6 +237,10 @@ const DiplomacyClient = {
     }
     
     this.updatePhaseUI();
+
+    if (this.isPlayer()) {
+      PlayerControls.onPhaseChange(data.phase);
+    }
   },
 
   showPhaseVisuals(phase) {
@@ -280,8 +349,20 @@ const DiplomacyClient = {
     
     if (winner && defender) {
       const action = winner.id === data.attacker ? 'CONQUERED' : 'DEFENDED';
-      const message = `${winner.name} ${action} ${territory} from ${defender.name}`;
-      
+      let message = `${winner.name} ${action} ${territory} from ${defender.name}`;
+
+      // Show who backed whom
+      const backers = (data.supports || [])
+        .filter(s => s.applied)
+        .map(s => {
+          const supporter = this.gameState.agents.find(a => a.id === s.agentId);
+          const backed = this.gameState.agents.find(a => a.id === s.backing);
+          return `${supporter?.name || s.agentId} → ${backed?.name || s.backing}`;
+        });
+      if (backers.length > 0) {
+        message += ` (support: ${backers.join(', ')})`;
+      }
+
       // Add to history
       this.addHistory(message);
       
@@ -330,7 +411,14 @@ const DiplomacyClient = {
   },
 
   handleGameEnd(data) {
-    const winner = this.gameState?.agents.find(a => a.id === data.winner);
+    const winners = data.winner
+      .map(id => this.gameState?.agents.find(a => a.id === id))
+      .filter(Boolean);
+    this.showGameOverModal(winners, data.type, data.scores);
+    const color = winners.length === 1 ? winners[0].color : '#333';
+    const headline = data.type === 'draw'
+      ? `DRAW${winners.length > 0 ? ': ' + winners.map(w => w.name).join(' & ') : ''}`
+      : `${winners.map(w => w.name).join(' & ') || 'Unknown'} ${winners.length > 1 ? 'WIN' : 'WINS'}!`;
     
     // Show prominent game over message
     const battleLog = document.getElementById('battleLogContent');
@@ -347,8 +435,8 @@ const DiplomacyClient = {
         ">
           <div style="font-size: 24px;">🏆</div>
           <div>GAME OVER!</div>
-          <div style="color: ${winner?.color || '#333'}; font-size: 18px;">
-            ${winner?.name || 'Unknown'} WINS!
+          <div style="color: ${color}; font-size: 18px;">
+            ${headline}
           </div>
           <button onclick="location.reload()" style="
             margin-top: 10px;
@@ -367,7 +455,7 @@ const DiplomacyClient = {
     const gameInfo = document.getElementById('gameInfo');
     if (gameInfo) {
       gameInfo.innerHTML = `
-        <span style="color: gold; font-size: 20px;">🏆 ${winner?.name || 'Unknown'} WINS!</span>
+        <span style="color: gold; font-size: 20px;">🏆 ${headline}</span>
       `;
     }
   },
@@ -430,6 +518,7 @@ const DiplomacyClient = {
       const phaseNames = {
         negotiation: '💬',
         commit: '✍️',
+        reveal: '🔓',
         resolve: '⚔️'
       };
       const phaseIcon = phaseNames[this.gameState?.phase] || '⏱️';
@@ -461,7 +550,7 @@ const DiplomacyClient = {
         MapRenderer.renderAlliances(this.gameState);
         
         // Mark winner if game ended
-        if (this.gameState.phase === 'ended' && this.gameState.winner) {
+        if (this.gameState.phase === 'ended' && this.gameState.winner.length > 0) {
           MapRenderer.markWinner(this.gameState);
         }
         
@@ -478,14 +567,17 @@ const DiplomacyClient = {
     const container = document.getElementById('agentsList');
     if (!container || !this.gameState?.agents) return;
 
+    const nameOf = (id) => this.gameState.agents.find(a => a.id === id)?.name || id;
+
     container.innerHTML = this.gameState.agents.map(agent => `
-      <div class="agent-card" data-agent-id="${agent.id}">
+      <div class="agent-card ${agent.eliminated ? 'eliminated' : ''}" data-agent-id="${agent.id}">
         <div class="agent-avatar" style="background: ${agent.color}">
           ${agent.name.charAt(0)}
         </div>
         <div class="agent-info">
           <h4>${agent.name}</h4>
           <span class="agent-type">${agent.personality || 'Unknown'}</span>
+          ${agent.eliminated ? `<span class="agent-eliminated">Eliminated turn ${agent.eliminatedTurn}${agent.eliminatedBy ? ` by ${this.escapeHtml(nameOf(agent.eliminatedBy))}` : ''}</span>` : ''}
           <div class="agent-stats">
             <div class="agent-stat">
               <span class="agent-stat-icon">🏴</span>
@@ -505,6 +597,14 @@ const DiplomacyClient = {
     `).join('');
   },
 
+  handleElimination(data) {
+    const agent = this.gameState?.agents.find(a => a.id === data.agentId);
+    if (!agent) return;
+
+    Object.assign(agent, { eliminated: true, eliminatedTurn: data.turn, eliminatedBy: data.eliminatedBy, armies: 0 });
+    this.renderAgents();
+  },
+
   renderConversations() {
     const container = document.getElementById('conversationsList');
     if (!container || !this.gameState?.conversations) return;
@@ -516,20 +616,35 @@ const DiplomacyClient = {
       return;
     }
 
+    // Agent and territory ids in structured messages are shown by name
+    const nameOf = (id) => this.gameState.agents.find(a => a.id === id)?.name ||
+      this.gameState.territories?.find(t => t.id === id)?.name || id;
+
     container.innerHTML = conversations.map(conv => {
       const agent = this.gameState.agents.find(a => a.id === conv.agentId);
-      const isPrivate = conv.type === 'private';
+      const channel = conv.type === 'public' ? '' : conv.type;
+      const summary = conv.intent ? MessageSchema.describe(conv, nameOf) : '';
+      // Private messages name every recipient, alliance messages the alliance
+      const alliance = conv.allianceId && this.gameState.alliances?.find(a => a.id === conv.allianceId);
+      const to = conv.type === 'alliance'
+        ? (alliance ? alliance.name : 'allies')
+        : (conv.recipients || (conv.target ? [conv.target] : [])).map(nameOf).join(', ');
+      const declassified = channel && this.gameState.phase === 'ended';
       
       return `
-        <div class="conversation-item ${isPrivate ? 'private' : ''}">
+        <div class="conversation-item ${channel}">
           <div class="conversation-header">
             <span class="conversation-agent" style="color: ${agent?.color || '#666'}">
-              ${agent?.name || 'Unknown'}
+              ${this.escapeHtml(agent?.name || 'Unknown')}
             </span>
+            ${to ? `<span class="conversation-target">→ ${this.escapeHtml(to)}</span>` : ''}
+            ${declassified ? '<span class="conversation-declassified">declassified</span>' : ''}
+            ${conv.intent ? `<span class="conversation-intent intent-${conv.intent}">${conv.intent}</span>` : ''}
             <span class="conversation-turn">Turn ${conv.turn}</span>
             <span class="conversation-time">${this.formatTime(conv.timestamp)}</span>
           </div>
-          <div class="conversation-message">${this.escapeHtml(conv.message)}</div>
+          ${summary ? `<div class="conversation-summary">${this.escapeHtml(summary)}</div>` : ''}
+          ${conv.message ? `<div class="conversation-message">${this.escapeHtml(conv.message)}</div>` : ''}
         </div>
       `;
     }).join('');
@@ -652,6 +767,12 @@ const DiplomacyClient = {
   },
 
   handleTerritoryClick(territoryId) {
+    // Players build orders by clicking the map
+    if (this.isPlayer()) {
+      PlayerControls.handleTerritoryClick(territoryId);
+      return;
+    }
+
     // Find territory data
     const territory = this.gameState?.territories?.find(t => t.id === territoryId);
     if (!territory) return;
@@ -688,6 +809,30 @@ const DiplomacyClient = {
     });
   },
 
+  async loadMaps() {
+    try {
+      const response = await fetch('/api/maps');
+      const data = await response.json();
+
+      const select = document.getElementById('mapType');
+      if (select && data.maps && data.maps.length > 0) {
+        select.innerHTML = data.maps.map(map => `
+          <option value="${map.id}" ${map.id === 'classic' ? 'selected' : ''}>${map.name} (${map.territories} territories)</option>
+        `).join('');
+
+        // A fresh seed is drawn on submit
+        if ((data.generators || []).includes('random')) {
+          select.innerHTML += (data.sizes || ['medium']).map(size => `
+            <option value="random" data-size="${size}">Random map (${size})</option>
+          `).join('');
+        }
+      }
+    } catch (err) {
+      // Keep the built-in Classic World option
+      console.error('Failed to load maps:', err);
+    }
+  },
+
   async loadAgentTypes() {
     try {
       const response = await fetch('/api/agents/types');
@@ -731,14 +876,29 @@ const DiplomacyClient = {
     const formData = new FormData(form);
     
     const agentTypes = formData.getAll('agentTypes');
-    const mapType = formData.get('mapType');
-    const maxTurns = parseInt(formData.get('maxTurns'));
+    const playerSeat = parseInt(formData.get('playerSeat'));
+    let mapType = formData.get('mapType');
+    let mapSize;
+    const maxTurns = parseInt(formData.get('maxTurns')) || undefined; // Empty: the preset's
+    const config = { preset: formData.get('preset') || 'blitz' };
+
+    if (mapType === 'random') {
+      const option = document.getElementById('mapType').selectedOptions[0];
+      mapSize = option.dataset.size;
+      mapType = `random:${Math.random().toString(36).substr(2, 8)}`;
+    }
+
+    // Take over a seat: unselected seats before it are filled with balanced agents
+    if (playerSeat) {
+      while (agentTypes.length < playerSeat) agentTypes.push('balanced');
+      agentTypes[playerSeat - 1] = 'human';
+    }
 
     try {
       const response = await fetch('/api/games', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ agentTypes, mapType, maxTurns })
+        body: JSON.stringify({ agentTypes, mapType, mapSize, maxTurns, config })
       });
 
       const data = await response.json();
@@ -746,6 +906,15 @@ const DiplomacyClient = {
       if (response.ok) {
         this.gameId = data.gameId;
         this.hideNewGameModal();
+
+        // Player mode sets up its seat on load
+        if (playerSeat) {
+          const seat = data.agents[playerSeat - 1];
+          localStorage.setItem(`agent-diplomacy:${this.gameId}:${seat.id}:token`, seat.token);
+          await fetch(`/api/games/${this.gameId}/start`, { method: 'POST' });
+          window.location.search = `?gameId=${this.gameId}&agentId=agent-${playerSeat}`;
+          return;
+        }
         
         // Update URL
         window.history.pushState({}, '', `?gameId=${this.gameId}`);
@@ -772,14 +941,18 @@ const DiplomacyClient = {
     document.getElementById('newGameModal')?.classList.remove('show');
   },
 
-  showGameOverModal(winner, type) {
+  // winners: the agents who won, together when there are several; scores: agentId -> points, if played on points
+  showGameOverModal(winners, type, scores) {
     const modal = document.getElementById('gameOverModal');
     const winnerNameEl = document.getElementById('winnerName');
     const winReasonEl = document.getElementById('winReason');
 
-    if (winner) {
-      winnerNameEl.textContent = winner.name;
-      winnerNameEl.style.color = winner.color;
+    if (type === 'draw') {
+      winnerNameEl.textContent = winners.length > 0 ? `Draw: ${winners.map(w => w.name).join(' & ')}` : 'Draw';
+      winnerNameEl.style.color = '';
+    } else if (winners.length > 0) {
+      winnerNameEl.textContent = winners.map(w => w.name).join(' & ');
+      winnerNameEl.style.color = winners.length === 1 ? winners[0].color : '';
     } else {
       winnerNameEl.textContent = 'No Winner';
     }
@@ -787,9 +960,15 @@ const DiplomacyClient = {
     const winTypes = {
       elimination: 'Victory by Elimination',
       domination: 'Victory by Domination',
-      turns: 'Victory by Score'
+      continents: 'Victory by Continents',
+      objective: 'Secret Objective Completed',
+      points: 'Victory on Points',
+      turns: 'Victory by Score',
+      draw: 'Tied at the Top'
     };
-    winReasonEl.textContent = winTypes[type] || 'Game Ended';
+    const shared = winners.length > 1 && type !== 'draw' ? ' (shared)' : '';
+    const points = scores && winners.length > 0 ? ` - ${scores[winners[0].id]} points` : '';
+    winReasonEl.textContent = winTypes[type] ? `${winTypes[type]}${shared}${points}` : 'Game Ended';
 
     modal?.classList.add('show');
   },
@@ -832,7 +1011,9 @@ const DiplomacyClient = {
     setInterval(async () => {
       if (!this.gameId) return;
       try {
-        const response = await fetch(`/api/games/${this.gameId}`);
+        // Players poll their own view, which has their private fields and messages
+        const url = this.isPlayer() ? `/api/games/${this.gameId}/agents/${this.agentId}` : `/api/games/${this.gameId}`;
+        const response = await fetch(url, { headers: this.isPlayer() ? this.seatHeaders() : {} });
         if (response.ok) {
           const newState = await response.json();
           // Only re-render if state changed
@@ -0,0 +1,531 @@
+// Map Editor - Place territories, draw adjacency and export map files for src/maps
+const MapEditor = {
+  map: null,
+  selectedId: null,
+  connectFrom: null,
+  mode: 'place',
+  drag: null,
+
+  palette: ['#3a4a5c', '#4a5c3a', '#5c4a3a', '#5c5c3a', '#3a5c5c', '#5c3a5c', '#6a4a4a', '#4a4a6a'],
+
+  init() {
+    this.newMap();
+    this.setupEventListeners();
+    this.loadMapList();
+  },
+
+  newMap() {
+    this.map = {
+      id: 'new-map',
+      name: 'New Map',
+      description: '',
+      continents: { c1: { name: 'Continent 1', bonus: 2 } },
+      territories: []
+    };
+    this.selectedId = null;
+    this.connectFrom = null;
+    this.refresh();
+  },
+
+  setupEventListeners() {
+    const svg = document.getElementById('editorMap');
+
+    document.getElementById('editorBackground').addEventListener('click', (e) => {
+      if (this.mode === 'place') {
+        const { x, y } = this.toMapPoint(e);
+        this.addTerritory(x, y);
+      } else {
+        this.connectFrom = null;
+        this.refresh();
+      }
+    });
+
+    svg.addEventListener('mousemove', (e) => {
+      if (!this.drag) return;
+      const { x, y } = this.toMapPoint(e);
+      const territory = this.getTerritory(this.drag.id);
+      if (Math.abs(x - territory.x) + Math.abs(y - territory.y) > 2) {
+        this.drag.moved = true;
+      }
+      territory.x = x;
+      territory.y = y;
+      this.renderMap();
+    });
+
+    svg.addEventListener('mouseup', () => {
+      if (!this.drag) return;
+      const { id, moved } = this.drag;
+      this.drag = null;
+
+      if (moved) {
+        this.refresh();
+      } else {
+        this.onTerritoryClick(id);
+      }
+    });
+
+    document.querySelectorAll('input[name="editorMode"]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.mode = input.value;
+        this.connectFrom = null;
+        this.refresh();
+      });
+    });
+
+    document.querySelectorAll('[data-map-field]').forEach(input => {
+      input.addEventListener('input', () => {
+        this.map[input.dataset.mapField] = input.value;
+        this.validate();
+      });
+    });
+
+    document.getElementById('newMapBtn').addEventListener('click', () => this.newMap());
+    document.getElementById('exportMapBtn').addEventListener('click', () => this.exportMap());
+    document.getElementById('addContinentBtn').addEventListener('click', () => this.addContinent());
+
+    const fileInput = document.getElementById('importMapFile');
+    document.getElementById('importMapBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+
+      try {
+        this.loadMapFile(JSON.parse(await file.text()));
+      } catch (err) {
+        alert(`Could not import ${file.name}: ${err.message}`);
+      }
+    });
+
+    document.getElementById('loadMapSelect').addEventListener('change', async (e) => {
+      const mapId = e.target.value;
+      e.target.value = '';
+      if (!mapId) return;
+
+      try {
+        const response = await fetch(`/api/maps/${encodeURIComponent(mapId)}`);
+        this.loadMapFile(await response.json());
+      } catch (err) {
+        console.error('Failed to load map:', err);
+      }
+    });
+  },
+
+  async loadMapList() {
+    try {
+      const response = await fetch('/api/maps');
+      const data = await response.json();
+      const select = document.getElementById('loadMapSelect');
+
+      (data.maps || []).forEach(map => {
+        const option = document.createElement('option');
+        option.value = map.id;
+        option.textContent = map.name;
+        select.appendChild(option);
+      });
+    } catch (err) {
+      console.error('Failed to load maps:', err);
+    }
+  },
+
+  // Map file (continents list their territories) -> editor model (territories name their continent)
+  loadMapFile(file) {
+    const continentOf = {};
+    const continents = {};
+    Object.entries(file.continents || {}).forEach(([cid, continent]) => {
+      continents[cid] = { name: continent.name, bonus: continent.bonus };
+      (continent.territories || []).forEach(tid => { continentOf[tid] = cid; });
+    });
+
+    this.map = {
+      id: file.id || '',
+      name: file.name || '',
+      description: file.description || '',
+      continents,
+      territories: (file.territories || []).map((t, index) => ({
+        id: t.id,
+        name: t.name,
+        label: t.label || '',
+        continent: continentOf[t.id] || t.continent || '',
+        neighbors: [...(t.neighbors || [])],
+        resources: t.resources === undefined ? 1 : t.resources,
+        // Spread territories without a layout over a grid
+        x: Number.isFinite(t.x) ? t.x : 80 + (index % 12) * 90,
+        y: Number.isFinite(t.y) ? t.y : 80 + Math.floor(index / 12) * 90
+      }))
+    };
+    this.selectedId = null;
+    this.connectFrom = null;
+    this.refresh();
+  },
+
+  // Editor model -> map file consumed by MapRegistry and MapRenderer
+  toMapFile() {
+    const continents = {};
+    Object.entries(this.map.continents).forEach(([cid, continent]) => {
+      continents[cid] = {
+        name: continent.name,
+        bonus: continent.bonus,
+        territories: this.map.territories.filter(t => t.continent === cid).map(t => t.id)
+      };
+    });
+
+    const file = {
+      id: this.map.id,
+      name: this.map.name,
+      continents,
+      territories: this.map.territories.map(t => {
+        const territory = { id: t.id, name: t.name };
+        if (t.label) territory.label = t.label;
+        territory.continent = t.continent;
+        territory.neighbors = t.neighbors;
+        territory.resources = t.resources;
+        territory.x = Math.round(t.x);
+        territory.y = Math.round(t.y);
+        return territory;
+      })
+    };
+
+    if (this.map.description) {
+      file.description = this.map.description;
+    }
+    return file;
+  },
+
+  exportMap() {
+    const json = JSON.stringify(this.toMapFile(), null, 2);
+    const blob = new Blob([json + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${this.map.id || 'map'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  getTerritory(id) {
+    return this.map.territories.find(t => t.id === id);
+  },
+
+  addTerritory(x, y) {
+    let n = this.map.territories.length + 1;
+    while (this.getTerritory(`t${n}`)) n++;
+
+    const territory = {
+      id: `t${n}`,
+      name: `Territory ${n}`,
+      label: '',
+      continent: Object.keys(this.map.continents)[0] || '',
+      neighbors: [],
+      resources: 1,
+      x: Math.round(x),
+      y: Math.round(y)
+    };
+
+    this.map.territories.push(territory);
+    this.selectedId = territory.id;
+    this.refresh();
+  },
+
+  removeTerritory(id) {
+    this.map.territories = this.map.territories.filter(t => t.id !== id);
+    this.map.territories.forEach(t => {
+      t.neighbors = t.neighbors.filter(nid => nid !== id);
+    });
+    this.selectedId = null;
+    this.refresh();
+  },
+
+  renameTerritory(oldId, newId) {
+    if (!newId || newId === oldId || this.getTerritory(newId)) return false;
+
+    this.map.territories.forEach(t => {
+      if (t.id === oldId) t.id = newId;
+      t.neighbors = t.neighbors.map(nid => (nid === oldId ? newId : nid));
+    });
+    this.selectedId = newId;
+    return true;
+  },
+
+  // Edges are always written to both territories
+  toggleEdge(a, b) {
+    const from = this.getTerritory(a);
+    const to = this.getTerritory(b);
+
+    if (from.neighbors.includes(b)) {
+      from.neighbors = from.neighbors.filter(nid => nid !== b);
+      to.neighbors = to.neighbors.filter(nid => nid !== a);
+    } else {
+      from.neighbors.push(b);
+      to.neighbors.push(a);
+    }
+  },
+
+  onTerritoryClick(id) {
+    if (this.mode === 'connect') {
+      if (!this.connectFrom) {
+        this.connectFrom = id;
+      } else if (this.connectFrom === id) {
+        this.connectFrom = null;
+      } else {
+        this.toggleEdge(this.connectFrom, id);
+        this.connectFrom = null;
+      }
+    }
+
+    this.selectedId = id;
+    this.refresh();
+  },
+
+  addContinent() {
+    let n = Object.keys(this.map.continents).length + 1;
+    while (this.map.continents[`c${n}`]) n++;
+
+    this.map.continents[`c${n}`] = { name: `Continent ${n}`, bonus: 2 };
+    this.refresh();
+  },
+
+  removeContinent(cid) {
+    delete this.map.continents[cid];
+    this.map.territories.forEach(t => {
+      if (t.continent === cid) t.continent = '';
+    });
+    this.refresh();
+  },
+
+  continentColor(cid) {
+    const index = Object.keys(this.map.continents).indexOf(cid);
+    return index === -1 ? '#444' : this.palette[index % this.palette.length];
+  },
+
+  toMapPoint(e) {
+    const svg = document.getElementById('editorMap');
+    const point = svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: Math.max(0, Math.min(1200, x)), y: Math.max(0, Math.min(800, y)) };
+  },
+
+  refresh() {
+    this.renderMap();
+    this.renderMapFields();
+    this.renderTerritoryForm();
+    this.renderContinents();
+    this.renderHint();
+    this.validate();
+  },
+
+  renderMap() {
+    const edgesGroup = document.getElementById('editorEdges');
+    const territoriesGroup = document.getElementById('editorTerritories');
+    edgesGroup.innerHTML = '';
+    territoriesGroup.innerHTML = '';
+
+    const drawn = new Set();
+    this.map.territories.forEach(territory => {
+      territory.neighbors.forEach(nid => {
+        const key = [territory.id, nid].sort().join('-');
+        const neighbor = this.getTerritory(nid);
+        if (drawn.has(key) || !neighbor) return;
+        drawn.add(key);
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', territory.x);
+        line.setAttribute('y1', territory.y);
+        line.setAttribute('x2', neighbor.x);
+        line.setAttribute('y2', neighbor.y);
+        line.setAttribute('class', 'editor-edge');
+        edgesGroup.appendChild(line);
+      });
+    });
+
+    this.map.territories.forEach(territory => {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.setAttribute('class', 'territory');
+
+      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      circle.setAttribute('cx', territory.x);
+      circle.setAttribute('cy', territory.y);
+      circle.setAttribute('r', 28);
+      circle.setAttribute('fill', this.continentColor(territory.continent));
+      circle.setAttribute('class', 'territory-path');
+      if (territory.id === this.connectFrom) {
+        circle.classList.add('editor-connecting');
+      } else if (territory.id === this.selectedId) {
+        circle.classList.add('editor-selected');
+      }
+
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.setAttribute('x', territory.x);
+      label.setAttribute('y', territory.y + 40);
+      label.setAttribute('class', 'territory-label');
+      label.textContent = territory.label || territory.name;
+
+      const id = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      id.setAttribute('x', territory.x);
+      id.setAttribute('y', territory.y);
+      id.setAttribute('class', 'army-text');
+      id.textContent = territory.id;
+
+      g.appendChild(circle);
+      g.appendChild(label);
+      g.appendChild(id);
+      g.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.drag = { id: territory.id, moved: false };
+      });
+
+      territoriesGroup.appendChild(g);
+    });
+  },
+
+  renderMapFields() {
+    document.querySelectorAll('[data-map-field]').forEach(input => {
+      input.value = this.map[input.dataset.mapField] || '';
+    });
+  },
+
+  renderTerritoryForm() {
+    const container = document.getElementById('territoryForm');
+    const territory = this.getTerritory(this.selectedId);
+
+    if (!territory) {
+      container.className = 'empty-state';
+      container.textContent = 'Click the map to place a territory, or a territory to select it.';
+      return;
+    }
+
+    container.className = '';
+    container.innerHTML = `
+      <div class="form-group">
+        <label>Id</label>
+        <input type="text" data-field="id">
+      </div>
+      <div class="form-group">
+        <label>Name</label>
+        <input type="text" data-field="name">
+      </div>
+      <div class="form-group">
+        <label>Short label (optional)</label>
+        <input type="text" data-field="label">
+      </div>
+      <div class="form-group">
+        <label>Continent</label>
+        <select data-field="continent"></select>
+      </div>
+      <div class="form-group">
+        <label>Resources</label>
+        <input type="number" min="0" step="1" data-field="resources">
+      </div>
+      <div class="form-group">
+        <label>Neighbors</label>
+        <div class="editor-neighbors"></div>
+      </div>
+      <button class="btn btn-secondary" data-action="delete">Delete Territory</button>
+    `;
+
+    const select = container.querySelector('[data-field="continent"]');
+    [['', '(none)'], ...Object.entries(this.map.continents).map(([cid, c]) => [cid, `${c.name} (${cid})`])]
+      .forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+
+    container.querySelector('.editor-neighbors').textContent = territory.neighbors.join(', ') || 'none - use Connect mode';
+
+    container.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      input.value = territory[field];
+
+      input.addEventListener('change', () => {
+        if (field === 'id') {
+          if (!this.renameTerritory(territory.id, input.value.trim())) {
+            input.value = territory.id;
+            return;
+          }
+        } else if (field === 'resources') {
+          territory.resources = parseInt(input.value, 10);
+        } else {
+          territory[field] = input.value;
+        }
+        this.refresh();
+      });
+    });
+
+    container.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      this.removeTerritory(territory.id);
+    });
+  },
+
+  renderContinents() {
+    const container = document.getElementById('continentList');
+    container.innerHTML = '';
+
+    Object.entries(this.map.continents).forEach(([cid, continent]) => {
+      const count = this.map.territories.filter(t => t.continent === cid).length;
+      const row = document.createElement('div');
+      row.className = 'editor-continent';
+      row.innerHTML = `
+        <span class="legend-color" style="background: ${this.continentColor(cid)};"></span>
+        <span class="editor-continent-id"></span>
+        <input type="text" data-field="name" title="Name">
+        <input type="number" min="0" step="1" data-field="bonus" title="Bonus">
+        <span class="editor-continent-count">${count}</span>
+        <button class="btn btn-icon" data-action="remove" title="Remove">✕</button>
+      `;
+      row.querySelector('.editor-continent-id').textContent = cid;
+
+      row.querySelectorAll('[data-field]').forEach(input => {
+        const field = input.dataset.field;
+        input.value = continent[field];
+        input.addEventListener('change', () => {
+          continent[field] = field === 'bonus' ? parseInt(input.value, 10) : input.value;
+          this.refresh();
+        });
+      });
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => this.removeContinent(cid));
+
+      container.appendChild(row);
+    });
+  },
+
+  renderHint() {
+    const hints = {
+      place: 'Click empty space to add a territory, drag to move',
+      connect: this.connectFrom
+        ? `Click a territory to connect or disconnect it from ${this.connectFrom}`
+        : 'Click two territories to toggle the edge between them'
+    };
+    document.getElementById('editorHint').textContent = hints[this.mode];
+  },
+
+  // Same checks the server runs when loading map files
+  validate() {
+    const errors = MapValidator.validate(this.toMapFile());
+    const list = document.getElementById('validationList');
+    list.innerHTML = '';
+
+    if (errors.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'validation-ok';
+      item.textContent = `✓ Valid - ${this.map.territories.length} territories, ready to export`;
+      list.appendChild(item);
+    }
+
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.className = 'validation-error';
+      item.textContent = error;
+      list.appendChild(item);
+    });
+
+    document.getElementById('exportMapBtn').classList.toggle('btn-invalid', errors.length > 0);
+    return errors;
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  MapEditor.init();
+});
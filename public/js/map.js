@@ -2,62 +2,8 @@
 const MapRenderer = {
   territories: new Map(),
   
-  // Territory positions (simplified world map layout)
-  territoryPositions: {
-    // North America
-    'na1': { x: 80, y: 80, label: 'Alaska' },
-    'na2': { x: 180, y: 120, label: 'Alberta' },
-    'na3': { x: 220, y: 280, label: 'C. America' },
-    'na4': { x: 320, y: 220, label: 'E. US' },
-    'na5': { x: 420, y: 60, label: 'Greenland' },
-    'na6': { x: 150, y: 80, label: 'NW Terr' },
-    'na7': { x: 260, y: 140, label: 'Ontario' },
-    'na8': { x: 360, y: 140, label: 'Quebec' },
-    'na9': { x: 200, y: 200, label: 'W. US' },
-    
-    // South America
-    'sa1': { x: 300, y: 360, label: 'Venezuela' },
-    'sa2': { x: 280, y: 440, label: 'Peru' },
-    'sa3': { x: 360, y: 440, label: 'Brazil' },
-    'sa4': { x: 320, y: 540, label: 'Argentina' },
-    
-    // Europe
-    'eu1': { x: 480, y: 100, label: 'Iceland' },
-    'eu2': { x: 540, y: 80, label: 'Scandinavia' },
-    'eu3': { x: 460, y: 160, label: 'Britain' },
-    'eu4': { x: 540, y: 160, label: 'N. Europe' },
-    'eu5': { x: 620, y: 140, label: 'Ukraine' },
-    'eu6': { x: 480, y: 220, label: 'W. Europe' },
-    'eu7': { x: 560, y: 240, label: 'S. Europe' },
-    'eu8': { x: 640, y: 280, label: 'Middle East' },
-    
-    // Africa
-    'af1': { x: 560, y: 320, label: 'Egypt' },
-    'af2': { x: 480, y: 360, label: 'N. Africa' },
-    'af3': { x: 600, y: 400, label: 'E. Africa' },
-    'af4': { x: 540, y: 460, label: 'Congo' },
-    'af5': { x: 660, y: 500, label: 'Madagascar' },
-    'af6': { x: 580, y: 560, label: 'S. Africa' },
-    
-    // Asia
-    'as1': { x: 780, y: 80, label: 'Siberia' },
-    'as2': { x: 880, y: 60, label: 'Yakutsk' },
-    'as3': { x: 980, y: 80, label: 'Kamchatka' },
-    'as4': { x: 720, y: 160, label: 'Ural' },
-    'as5': { x: 820, y: 140, label: 'Irkutsk' },
-    'as6': { x: 880, y: 200, label: 'Mongolia' },
-    'as7': { x: 1020, y: 240, label: 'Japan' },
-    'as8': { x: 700, y: 240, label: 'Afghanistan' },
-    'as9': { x: 820, y: 260, label: 'China' },
-    'as10': { x: 740, y: 320, label: 'India' },
-    'as11': { x: 880, y: 360, label: 'SE Asia' },
-    
-    // Australia
-    'au1': { x: 920, y: 480, label: 'Indonesia' },
-    'au2': { x: 1020, y: 440, label: 'New Guinea' },
-    'au3': { x: 1060, y: 520, label: 'E. Australia' },
-    'au4': { x: 960, y: 560, label: 'W. Australia' }
-  },
+  // Territory positions, filled from the map definition of the game (see src/maps)
+  territoryPositions: {},
 
   // Territory colors by continent
   continentColors: {
@@ -94,11 +40,35 @@ const MapRenderer = {
     // Clear any previous winner markings
     this.clearWinner();
     
+    this.loadPositions(gameState);
     this.renderConnections(gameState);
     this.renderTerritories(gameState);
     this.renderArmies(gameState);
   },
 
+  // Generated maps use their own continent ids - give those a stable color from the palette
+  getContinentColor(continent) {
+    if (this.continentColors[continent]) return this.continentColors[continent];
+    if (!continent) return '#444';
+
+    const palette = Object.values(this.continentColors);
+    const index = parseInt(continent.replace(/\D/g, ''), 10);
+    return palette[(Number.isNaN(index) ? continent.length : index) % palette.length];
+  },
+
+  loadPositions(gameState) {
+    this.territoryPositions = {};
+    gameState.territories.forEach(territory => {
+      if (typeof territory.x === 'number' && typeof territory.y === 'number') {
+        this.territoryPositions[territory.id] = {
+          x: territory.x,
+          y: territory.y,
+          label: territory.label || territory.name
+        };
+      }
+    });
+  },
+
   renderConnections(gameState) {
     const connectionsGroup = document.getElementById('connections');
     if (!connectionsGroup) return;
@@ -157,8 +127,7 @@ const MapRenderer = {
         const color = this.agentColors[territory.owner] || '#666';
         circle.setAttribute('fill', color);
       } else {
-        const continent = territory.id.substring(0, 2);
-        circle.setAttribute('fill', this.continentColors[continent] || '#444');
+        circle.setAttribute('fill', this.getContinentColor(territory.continent));
       }
 
       // Territory label
@@ -306,59 +275,66 @@ const MapRenderer = {
     });
   },
 
-  // Render alliance lines between agents
+  // Render alliance lines between agents - the alliances in force, plus recent betrayals
   renderAlliances(gameState) {
     this.clearAlliances();
     
-    if (!gameState.diplomaticEvents || gameState.diplomaticEvents.length === 0) return;
-    
     const svg = document.getElementById('gameMap');
-    const recentEvents = gameState.diplomaticEvents.slice(-5); // Show last 5
-    
-    recentEvents.forEach(event => {
-      // Find territories owned by these agents
-      const fromTerritories = gameState.territories.filter(t => t.owner === event.from);
-      const toTerritories = gameState.territories.filter(t => t.owner === event.to);
-      
-      if (fromTerritories.length === 0 || toTerritories.length === 0) return;
-      
-      // Use their first territory as anchor point
-      const fromPos = this.territoryPositions[fromTerritories[0].id];
-      const toPos = this.territoryPositions[toTerritories[0].id];
-      
-      if (!fromPos || !toPos) return;
-      
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-      line.setAttribute('x1', fromPos.x);
-      line.setAttribute('y1', fromPos.y);
-      line.setAttribute('x2', toPos.x);
-      line.setAttribute('y2', toPos.y);
-      
-      if (event.type === 'alliance') {
-        line.setAttribute('class', 'alliance-line');
-        line.setAttribute('stroke', '#4caf50');
-        line.setAttribute('stroke-width', '3');
-        line.setAttribute('stroke-dasharray', '5,5');
-      } else if (event.type === 'betrayal') {
-        line.setAttribute('class', 'betrayal-line');
-        line.setAttribute('stroke', '#f44336');
-        line.setAttribute('stroke-width', '4');
-        line.setAttribute('stroke-dasharray', '10,3');
-      }
-      
-      svg.appendChild(line);
-      
-      // Remove after 8 seconds
-      setTimeout(() => line.remove(), 8000);
+
+    // Lines join the first territory of each agent
+    const line = (fromAgent, toAgent) => {
+      const fromTerritory = gameState.territories.find(t => t.owner === fromAgent);
+      const toTerritory = gameState.territories.find(t => t.owner === toAgent);
+      if (!fromTerritory || !toTerritory) return null;
+
+      const fromPos = this.territoryPositions[fromTerritory.id];
+      const toPos = this.territoryPositions[toTerritory.id];
+      if (!fromPos || !toPos) return null;
+
+      const el = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      el.setAttribute('x1', fromPos.x);
+      el.setAttribute('y1', fromPos.y);
+      el.setAttribute('x2', toPos.x);
+      el.setAttribute('y2', toPos.y);
+      svg.appendChild(el);
+      return el;
+    };
+
+    (gameState.alliances || []).forEach(alliance => {
+      alliance.members.forEach((member, i) => {
+        alliance.members.slice(i + 1).forEach(other => {
+          const el = line(member, other);
+          if (!el) return;
+          el.setAttribute('class', 'alliance-line');
+          el.setAttribute('stroke', '#4caf50');
+          el.setAttribute('stroke-width', '3');
+          el.setAttribute('stroke-dasharray', '5,5');
+        });
+      });
     });
+
+    (gameState.diplomaticEvents || [])
+      .slice(-5)
+      .filter(event => event.type === 'betrayal')
+      .forEach(event => {
+        const el = line(event.from, event.to);
+        if (!el) return;
+        el.setAttribute('class', 'betrayal-line');
+        el.setAttribute('stroke', '#f44336');
+        el.setAttribute('stroke-width', '4');
+        el.setAttribute('stroke-dasharray', '10,3');
+
+        // Remove after 8 seconds
+        setTimeout(() => el.remove(), 8000);
+      });
   },
 
-  // Mark winner with crown and glow
+  // Mark winners with crown and glow
   markWinner(gameState) {
-    if (!gameState.winner) return;
+    if (!gameState.winner || gameState.winner.length === 0) return;
     
-    // Find winner's territories
-    const winnerTerritories = gameState.territories.filter(t => t.owner === gameState.winner);
+    // Find winners' territories
+    const winnerTerritories = gameState.territories.filter(t => gameState.winner.includes(t.owner));
     
     winnerTerritories.forEach(t => {
       const territory = this.territories.get(t.id);
@@ -369,7 +345,7 @@ const MapRenderer = {
       }
     });
     
-    // Add crown to winner's first territory
+    // Add crown to the winners' first territory
     if (winnerTerritories.length > 0) {
       const firstTerritory = this.territories.get(winnerTerritories[0].id);
       if (firstTerritory) {
@@ -0,0 +1,242 @@
+// Player Controls - Move composer and commit-reveal signing for human seats
+const PlayerControls = {
+  client: null,
+  agentId: null,
+  keys: null, // { publicKey: PEM, privateKey: CryptoKey }
+  orders: [],
+  reinforcements: {},
+  selectedFrom: null,
+  pending: null, // { move, nonce } committed this turn, revealed in the reveal phase
+
+  async init(client, agentId) {
+    this.client = client;
+    this.agentId = agentId;
+
+    document.getElementById('ordersTabBtn').hidden = false;
+    document.querySelector('.tab-btn[data-tab="orders"]').click();
+
+    document.getElementById('clearOrdersBtn').addEventListener('click', () => this.clearOrders());
+    document.getElementById('commitOrdersBtn').addEventListener('click', () => this.commit());
+    document.getElementById('orderType').addEventListener('change', () => {
+      this.selectedFrom = null;
+      this.renderOrders();
+    });
+
+    try {
+      this.keys = await this.loadKeys();
+      await this.registerKey();
+    } catch (err) {
+      console.error('Failed to set up signing key:', err);
+      this.setStatus(`Cannot sign moves: ${err.message}`, true);
+    }
+
+    this.renderOrders();
+  },
+
+  storageKey() {
+    return `agent-diplomacy:${this.client.gameId}:${this.agentId}`;
+  },
+
+  // Ed25519 key pair for the seat, kept in localStorage so a reload keeps signing with the registered key
+  async loadKeys() {
+    const stored = JSON.parse(localStorage.getItem(this.storageKey()) || 'null');
+    if (stored) {
+      const privateKey = await crypto.subtle.importKey('pkcs8', this.fromBase64(stored.privateKey), { name: 'Ed25519' }, true, ['sign']);
+      return { publicKey: stored.publicKey, privateKey };
+    }
+
+    const pair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const spki = this.toBase64(await crypto.subtle.exportKey('spki', pair.publicKey));
+    const publicKey = `-----BEGIN PUBLIC KEY-----\n${spki.match(/.{1,64}/g).join('\n')}\n-----END PUBLIC KEY-----\n`;
+
+    localStorage.setItem(this.storageKey(), JSON.stringify({
+      publicKey,
+      privateKey: this.toBase64(await crypto.subtle.exportKey('pkcs8', pair.privateKey))
+    }));
+    return { publicKey, privateKey: pair.privateKey };
+  },
+
+  async registerKey() {
+    const agent = this.client.gameState?.agents?.find(a => a.id === this.agentId);
+    if (agent?.hasKey && this.client.gameState.phase !== 'lobby') return;
+
+    const response = await fetch(`/api/games/${this.client.gameId}/agents/${this.agentId}/key`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.client.seatHeaders() },
+      body: JSON.stringify({ publicKey: this.keys.publicKey })
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Key registration failed');
+    }
+  },
+
+  onPhaseChange(phase) {
+    if (phase === 'negotiation') {
+      // New turn: fresh orders against the new board
+      this.clearOrders();
+      this.pending = null;
+      this.setStatus('Compose your orders - they are committed in the commit phase.');
+    } else if (phase === 'commit') {
+      this.setStatus(this.orders.length > 0 || Object.keys(this.reinforcements).length > 0
+        ? 'Commit phase - commit your orders now.'
+        : 'Commit phase - commit orders or the server defends for you.');
+    } else if (phase === 'reveal') {
+      this.reveal();
+    }
+
+    // Refresh the private view for the reinforcement count
+    this.client.send({ type: 'get_state' });
+    this.renderOrders();
+  },
+
+  handleTerritoryClick(territoryId) {
+    const state = this.client.gameState;
+    const territory = state?.territories?.find(t => t.id === territoryId);
+    if (!territory || this.pending) return;
+
+    const type = document.getElementById('orderType').value;
+
+    if (type === 'reinforce') {
+      if (territory.owner !== this.agentId) return;
+      if (this.reinforcementsPlaced() >= (state.myReinforcements || 0)) {
+        this.setStatus('All reinforcements placed.', true);
+        return;
+      }
+      this.reinforcements[territoryId] = (this.reinforcements[territoryId] || 0) + 1;
+    } else if (!this.selectedFrom) {
+      if (territory.owner !== this.agentId) {
+        this.setStatus('Orders start from one of your territories.', true);
+        return;
+      }
+      this.selectedFrom = territoryId;
+    } else {
+      const from = state.territories.find(t => t.id === this.selectedFrom);
+      if (territoryId === this.selectedFrom) {
+        this.selectedFrom = null;
+      } else if (!from.neighbors.includes(territoryId)) {
+        this.setStatus(`${territory.name} is not adjacent to ${from.name}.`, true);
+        return;
+      } else {
+        const armies = Math.max(1, parseInt(document.getElementById('orderArmies').value) || 1);
+        this.orders.push({ type, from: this.selectedFrom, to: territoryId, armies });
+        this.selectedFrom = null;
+      }
+    }
+
+    this.setStatus('');
+    this.renderOrders();
+  },
+
+  reinforcementsPlaced() {
+    return Object.values(this.reinforcements).reduce((sum, n) => sum + n, 0);
+  },
+
+  removeOrder(index) {
+    this.orders.splice(index, 1);
+    this.renderOrders();
+  },
+
+  clearOrders() {
+    this.orders = [];
+    this.reinforcements = {};
+    this.selectedFrom = null;
+    this.renderOrders();
+  },
+
+  async commit() {
+    const state = this.client.gameState;
+    if (state?.phase !== 'commit' || this.pending || !this.keys) return;
+
+    const move = { orders: this.orders, reinforcements: this.reinforcements };
+    const nonce = this.toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const hash = this.toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(move) + nonce)));
+
+    const payload = `agent-diplomacy:commit:${this.client.gameId}:${state.turn}:${this.agentId}:${hash}`;
+    const signature = this.toBase64(await crypto.subtle.sign({ name: 'Ed25519' }, this.keys.privateKey, new TextEncoder().encode(payload)));
+
+    this.pending = { move, nonce };
+    this.client.send({ type: 'submit_move', data: { hash, signature } });
+    this.setStatus('Committing...');
+    this.renderOrders();
+  },
+
+  reveal() {
+    if (!this.pending) {
+      this.setStatus('Nothing committed this turn.');
+      return;
+    }
+    this.client.send({ type: 'reveal_move', data: this.pending });
+    this.setStatus('Revealing...');
+  },
+
+  onMoveAccepted(data) {
+    this.setStatus(`Committed ${data.hash.slice(0, 12)}... - revealed automatically in the reveal phase.`);
+  },
+
+  onRevealAccepted(data) {
+    this.setStatus(data.verified ? 'Orders revealed and verified.' : 'Reveal did not match the commitment.', !data.verified);
+  },
+
+  onError(message) {
+    // A rejected commitment can be fixed and committed again
+    if (this.pending && this.client.gameState?.phase === 'commit') {
+      this.pending = null;
+      this.renderOrders();
+    }
+    this.setStatus(message, true);
+  },
+
+  renderOrders() {
+    const state = this.client?.gameState;
+    const name = (id) => state?.territories?.find(t => t.id === id)?.name || id;
+
+    const list = document.getElementById('ordersList');
+    list.innerHTML = this.orders.length === 0
+      ? '<div class="empty-state">Pick an order type, then click one of your territories and a neighbor.</div>'
+      : this.orders.map((order, index) => `
+        <div class="order-item">
+          <span class="order-type order-${order.type}">${order.type}</span>
+          <span>${this.client.escapeHtml(name(order.from))} → ${this.client.escapeHtml(name(order.to))} (${order.armies})</span>
+          ${this.pending ? '' : `<button class="btn btn-icon order-remove" data-index="${index}">✕</button>`}
+        </div>
+      `).join('');
+    list.querySelectorAll('.order-remove').forEach(btn => {
+      btn.addEventListener('click', () => this.removeOrder(parseInt(btn.dataset.index)));
+    });
+
+    const placed = Object.entries(this.reinforcements);
+    document.getElementById('reinforcementsList').innerHTML = `
+      <div class="order-summary">Reinforcements: ${this.reinforcementsPlaced()}/${state?.myReinforcements ?? '?'}</div>
+      ${placed.map(([tid, n]) => `<div class="order-item"><span>${this.client.escapeHtml(name(tid))}</span><span>+${n}</span></div>`).join('')}
+    `;
+
+    document.getElementById('orderSelection').textContent = this.selectedFrom
+      ? `From ${name(this.selectedFrom)} - click a neighbor`
+      : '';
+    document.getElementById('commitOrdersBtn').disabled = state?.phase !== 'commit' || !!this.pending || !this.keys;
+
+    if (typeof MapRenderer !== 'undefined' && this.selectedFrom) {
+      MapRenderer.highlightTerritory(this.selectedFrom, '#00e5ff');
+    }
+  },
+
+  setStatus(message, isError = false) {
+    const el = document.getElementById('orderStatus');
+    if (!el) return;
+    el.textContent = message;
+    el.classList.toggle('error', isError);
+  },
+
+  toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0)).buffer;
+  }
+};
@@ -0,0 +1,87 @@
+// Example Remote Bot - Plays a 'remote' seat over the WebSocket protocol (see REMOTE_AGENTS.md)
+// Usage: node scripts/example-bot.js <gameId> <token> [agentId] [ws://host:port]
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const [gameId, token, agentId, server = 'ws://localhost:3000'] = process.argv.slice(2);
+
+if (!gameId || !token) {
+  console.error('Usage: node scripts/example-bot.js <gameId> <token> [agentId] [ws://host:port]');
+  process.exit(1);
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+let seat = null;
+let pending = null; // { move, nonce } committed this turn
+
+const query = `gameId=${encodeURIComponent(gameId)}&type=bot&token=${encodeURIComponent(token)}${agentId ? `&agentId=${encodeURIComponent(agentId)}` : ''}`;
+const ws = new WebSocket(`${server}?${query}`);
+
+function send(type, data) {
+  ws.send(JSON.stringify({ type, data }));
+}
+
+// Put every reinforcement on the most threatened territory and issue no orders
+function decideMove(state) {
+  const mine = state.territories.filter(t => t.owner === seat);
+  const border = mine
+    .map(t => ({
+      id: t.id,
+      enemies: t.neighbors.filter(n => state.territories.find(o => o.id === n).owner !== seat).length
+    }))
+    .sort((a, b) => b.enemies - a.enemies)[0];
+
+  return {
+    orders: [],
+    reinforcements: border ? { [border.id]: state.myReinforcements } : {}
+  };
+}
+
+ws.on('message', (raw) => {
+  const { type, data } = JSON.parse(raw);
+
+  switch (type) {
+    case 'seat_assigned':
+      seat = data.agentId;
+      console.log(`Seated as ${seat}`);
+      send('register_key', { publicKey: publicKey.export({ type: 'spki', format: 'pem' }) });
+      break;
+
+    case 'agent_state': {
+      const { phase, turn, state } = data;
+      if (phase === 'negotiation') {
+        pending = null;
+      } else if (phase === 'commit' && !state.myCommitment) {
+        const move = decideMove(state);
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.createHash('sha256').update(JSON.stringify(move) + nonce).digest('hex');
+        const payload = `agent-diplomacy:commit:${gameId}:${turn}:${seat}:${hash}`;
+
+        pending = { move, nonce };
+        send('submit_move', { hash, signature: crypto.sign(null, Buffer.from(payload), privateKey).toString('base64') });
+      } else if (phase === 'reveal' && pending) {
+        send('reveal_move', pending);
+        pending = null;
+      }
+      break;
+    }
+
+    case 'game_end':
+      console.log(`Game over (${data.type}) - winner: ${data.winner.join(', ') || 'none'}`);
+      ws.close();
+      break;
+
+    case 'deal_proposed':
+      console.log(`Deal proposed by ${data.proposer}: ${data.type}`);
+      break;
+
+    case 'error':
+      console.error('Server error:', data.message);
+      break;
+  }
+});
+
+ws.on('close', () => {
+  console.log('Disconnected');
+  process.exit(0);
+});
@@ -25,9 +25,12 @@ class AvengerAgent extends BaseAgent {
       if (grudge.level > 50) {
         const agent = this.gameState.agents.get(agentId);
         if (agent) {
-          this.sendMessage(null,
-            `${agent.name}, you have wronged me. There will be consequences.`,
-            'public');
+          this.postMessage({
+            intent: 'threaten',
+            target: agentId,
+            type: 'public',
+            message: `${agent.name}, you have wronged me. There will be consequences.`
+          });
         }
       }
     }
@@ -64,9 +67,12 @@ class AvengerAgent extends BaseAgent {
         if (revengeOpportunity) {
           const target = this.gameState.agents.get(grudgeId);
           
-          this.sendMessage(null,
-            `Your crimes are not forgotten, ${target?.name}. Face judgment!`,
-            'public');
+          this.postMessage({
+            intent: 'threaten',
+            target: grudgeId,
+            type: 'public',
+            message: `Your crimes are not forgotten, ${target?.name}. Face judgment!`
+          });
           
           // Use maximum force for revenge
           const attackingArmies = Math.min(
@@ -179,6 +185,14 @@ class AvengerAgent extends BaseAgent {
     });
   }
 
+  onBetrayal(data) {
+    super.onBetrayal(data);
+
+    if (data.victim === this.id) {
+      this.addGrudge(data.betrayer, 40, `broke our ${data.type} deal`);
+    }
+  }
+
   addGrudge(agentId, amount, reason) {
     const current = this.grudgeList.get(agentId);
     if (current) {
@@ -202,6 +216,18 @@ class AvengerAgent extends BaseAgent {
       .map(([id, _]) => this.gameState.agents.get(id))
       .filter(a => a && !a.eliminated);
   }
+
+  saveState() {
+    return {
+      grudgeList: Array.from(this.grudgeList.entries()),
+      attackHistory: this.attackHistory
+    };
+  }
+
+  loadState(state) {
+    this.grudgeList = new Map(state.grudgeList || []);
+    this.attackHistory = state.attackHistory || [];
+  }
 }
 
 module.exports = AvengerAgent;
\ No newline at end of file
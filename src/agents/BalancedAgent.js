@@ -28,9 +28,11 @@ class BalancedAgent extends BaseAgent {
       case 'aggressive':
         // Seek allies against strongest
         if (threats.length > 0) {
-          this.sendMessage(null,
-            `The time for half-measures is over. ${threats[0].name} must be stopped.`,
-            'public');
+          this.postMessage({
+            intent: 'inform',
+            message: `The time for half-measures is over. ${threats[0].name} must be stopped.`,
+            payload: { about: threats[0].id }
+          });
           
           for (let i = 1; i < threats.length && i < 3; i++) {
             this.proposeAlliance(threats[i].id, 'offensive', threats[0].id);
@@ -196,6 +198,14 @@ class BalancedAgent extends BaseAgent {
     
     return agents.length > 0 ? total / agents.length : 0;
   }
+
+  saveState() {
+    return { strategy: this.strategy };
+  }
+
+  loadState(state) {
+    this.strategy = state.strategy || 'balanced';
+  }
 }
 
 module.exports = BalancedAgent;
\ No newline at end of file
@@ -1,6 +1,10 @@
 // Base Agent Controller - All agent personalities extend this
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const MoveSigner = require('../utils/MoveSigner');
+const SeededRandom = require('../utils/SeededRandom');
+
+const MAX_MESSAGES = 5; // per sendMessages call
 
 class BaseAgent extends EventEmitter {
   constructor(config) {
@@ -21,9 +25,44 @@ class BaseAgent extends EventEmitter {
     
     this.gameState = null;
     this.reputationEngine = null;
+    this.rng = null; // Use this instead of Math.random so seeded games replay identically
+    this.pendingReveal = null; // { move, nonce } committed this turn, revealed in the reveal phase
+
+    // Ed25519 key pair - the public half is registered with the game on initialize
+    const { publicKey, privateKey } = MoveSigner.generateKeyPair();
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
   }
 
   initialize(gameState, reputationEngine) {
+    this.attach(gameState, reputationEngine);
+    this.rng = gameState.rng.fork(`agent:${this.id}`);
+    gameState.registerPublicKey(this.id, this.publicKey);
+    
+    reputationEngine.initializeAgent(this.id, this.name);
+  }
+
+  // Rejoin a restored game - the key is already registered and the reputation already tracked.
+  // data: toJSON(), secrets: secrets() - checkpoints from before the split hold both in data
+  restore(gameState, reputationEngine, data, secrets = data) {
+    this.attach(gameState, reputationEngine);
+    this.rng = data.rng ? SeededRandom.fromJSON(data.rng) : gameState.rng.fork(`agent:${this.id}`);
+    this.publicKey = data.publicKey;
+    this.privateKey = crypto.createPrivateKey(secrets.privateKey);
+    this.pendingReveal = secrets.pendingReveal || null;
+
+    this.memory = {
+      threats: new Map(data.memory.threats),
+      opportunities: new Map(data.memory.opportunities),
+      alliances: new Map(data.memory.alliances),
+      grudges: new Map(data.memory.grudges),
+      deals: data.memory.deals || []
+    };
+    this.loadState(data.state || {});
+    return this;
+  }
+
+  attach(gameState, reputationEngine) {
     this.gameState = gameState;
     this.reputationEngine = reputationEngine;
     
@@ -31,26 +70,36 @@ class BaseAgent extends EventEmitter {
     gameState.on('phaseChange', (data) => this.onPhaseChange(data));
     gameState.on('conversation', (data) => this.onConversation(data));
     gameState.on('battlesResolved', (data) => this.onBattlesResolved(data));
-    
-    reputationEngine.initializeAgent(this.id, this.name);
+    reputationEngine.on('betrayalRecorded', (data) => this.onBetrayal(data));
   }
 
   // Override in subclasses
   async onPhaseChange({ to, turn }) {
+    if (this.isEliminated()) return;
+
     switch(to) {
       case 'negotiation':
+        this.renewAgreements();
         await this.negotiate();
         break;
       case 'commit':
         await this.commitMove();
         break;
+      case 'reveal':
+        await this.revealMove();
+        break;
     }
   }
 
   async onConversation(entry) {
-    // Process conversation from other agents
-    if (entry.agentId !== this.id) {
+    // Process conversation from other agents - only what was said in public or to us
+    if (entry.agentId !== this.id && this.gameState.canRead(entry, this.id)) {
       this.analyzeMessage(entry);
+
+      // Deal proposals to us get an answer once the proposer's own turn of talk is done
+      if (['propose', 'counter'].includes(entry.intent) && entry.target === this.id && entry.payload?.dealId) {
+        setImmediate(() => this.respondToProposal(entry));
+      }
     }
   }
 
@@ -64,9 +113,26 @@ class BaseAgent extends EventEmitter {
         // Defended - increase threat from attackers
         result.attackers.forEach(att => this.updateThreat(att, +15));
       }
+
+      // Remember who lent their armies against us
+      (result.supports || []).forEach(sup => {
+        if (sup.applied && sup.agentId !== this.id && sup.backing !== this.id &&
+            (result.defender === this.id || result.attackers.includes(this.id))) {
+          this.updateThreat(sup.agentId, +5);
+        }
+      });
     });
   }
 
+  // A deal partner broke a deal with us - see ComplianceChecker for the evidence
+  onBetrayal({ betrayer, victim }) {
+    if (victim !== this.id) return;
+
+    this.updateGrudge(betrayer, 25);
+    this.updateThreat(betrayer, 15);
+    this.memory.alliances.delete(betrayer);
+  }
+
   // Core decision methods - override in subclasses
   async negotiate() {
     // Default: minimal negotiation
@@ -85,16 +151,62 @@ class BaseAgent extends EventEmitter {
   }
 
   async commitMove() {
-    const move = this.decideMove();
-    const signature = this.signMove(move);
+    const move = this.decideOrders();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const hash = this.gameState.hashMove(move, nonce);
     
+    // Set before committing so a checkpoint taken on the commitment includes it
+    this.pendingReveal = { move, nonce };
     try {
-      this.gameState.commitMove(this.id, move, signature);
+      this.gameState.commitMove(this.id, hash, this.signCommitment(hash));
     } catch (err) {
+      this.pendingReveal = null;
       console.error(`${this.name} failed to commit move:`, err);
     }
   }
 
+  isEliminated() {
+    const seat = this.gameState.agents.get(this.id);
+    return !seat || seat.eliminated;
+  }
+
+  // After a restore the phase change has already happened - act on it if we had not yet
+  async resumePhase() {
+    const { phase, moves } = this.gameState;
+    if (this.isEliminated()) return;
+
+    if (phase === 'commit' && !moves.has(this.id)) {
+      await this.commitMove();
+    } else if (phase === 'reveal' && this.pendingReveal) {
+      await this.revealMove();
+    }
+  }
+
+  async revealMove() {
+    if (!this.pendingReveal) return;
+
+    const { move, nonce } = this.pendingReveal;
+    this.pendingReveal = null;
+
+    try {
+      this.gameState.revealMove(this.id, move, nonce);
+    } catch (err) {
+      console.error(`${this.name} failed to reveal move:`, err);
+    }
+  }
+
+  // Override to issue several orders per turn:
+  // { orders: [attack/move/support, ...], reinforcements: { territoryId: armies } }
+  decideOrders() {
+    return this.decideMove();
+  }
+
+  // Whether a move from outside the agent's own logic (a service, a model) would survive resolve
+  isLegalMove(move) {
+    return !!move && this.gameState.validateMove(move) &&
+      this.gameState.validateOrders(this.id, this.gameState.normalizeOrders(move)).length === 0;
+  }
+
   decideMove() {
     // Default implementation - defend
     const reinforcements = this.gameState.calculateReinforcements(this.id);
@@ -259,56 +371,196 @@ class BaseAgent extends EventEmitter {
     const message = against 
       ? `I propose a ${type} alliance with ${this.gameState.agents.get(targetId)?.name}. We face a common threat.`
       : `I propose a ${type} alliance with ${this.gameState.agents.get(targetId)?.name}. Together we are stronger.`;
+    const dealType = type === 'defensive' ? 'non-aggression' : 'alliance';
     
-    this.gameState.logConversation(this.id, message, 'public');
-    
-    this.reputationEngine.recordDeal({
+    const deal = this.reputationEngine.recordDeal({
       turn: this.gameState.turn,
       phase: this.gameState.phase,
       proposer: this.id,
       acceptor: targetId,
-      type: type === 'defensive' ? 'non-aggression' : 'alliance',
+      type: dealType,
       terms: { against, duration: 3 }
     });
+
+    const payload = { deal: dealType, duration: 3, dealId: deal.id };
+    if (against) payload.against = against;
+    this.postMessage({ intent: 'propose', target: targetId, type: 'public', message, payload });
     
     this.memory.alliances.set(targetId, { type, since: this.gameState.turn });
   }
 
-  sendMessage(targetId, message, type = 'private') {
-    const fullMessage = type === 'private'
-      ? `[To ${this.gameState.agents.get(targetId)?.name}]: ${message}`
-      : message;
-    
-    this.gameState.logConversation(this.id, fullMessage, type);
+  // Accept, reject or counter a deal proposed to us, and tell the proposer
+  respondToProposal(entry) {
+    const deal = this.reputationEngine.deals.get(entry.payload.dealId);
+    if (!deal || deal.status !== 'pending' || deal.acceptor !== this.id || deal.proposer !== entry.agentId) {
+      return null;
+    }
+
+    try {
+      const response = this.evaluateProposal(deal, entry);
+      const { counter } = this.reputationEngine.respondToDeal(deal.id, this.id, response);
+
+      const payload = { replyTo: entry.id };
+      if (response.decision === 'reject' && response.reason) {
+        payload.reason = response.reason;
+      }
+      if (counter) {
+        payload.deal = counter.type;
+        payload.dealId = counter.id;
+        if (counter.terms?.duration) payload.duration = counter.terms.duration;
+        if (counter.terms?.against) payload.against = counter.terms.against;
+      }
+      this.postMessage({ intent: response.decision, target: deal.proposer, payload });
+
+      if (response.decision === 'reject') {
+        this.memory.alliances.delete(deal.proposer);
+      }
+      return response;
+    } catch (err) {
+      console.error(`${this.name} failed to answer deal ${deal.id}:`, err.message);
+      return null;
+    }
   }
 
-  analyzeMessage(entry) {
-    // Simple sentiment analysis
-    const message = entry.message.toLowerCase();
-    
-    // Check for alliance proposals
-    if (message.includes('alliance') || message.includes('propose')) {
-      if (message.includes(this.name.toLowerCase()) || 
-          message.includes('everyone') || 
-          message.includes('all agents')) {
-        this.memory.deals.push({
-          from: entry.agentId,
-          type: 'proposal',
-          turn: entry.turn,
-          message: entry.message
-        });
+  // Decide on a pending deal proposed to us: { decision: 'accept' | 'reject' | 'counter', reason?, type?, terms? }.
+  // Default: accept proposers we trust, offer a short non-aggression pact to those we half trust.
+  // Diplomatic personalities need less trust to say yes.
+  evaluateProposal(deal) {
+    const trust = this.reputationEngine.calculateTrust(this.id, deal.proposer);
+    const acceptAt = this.trustNeeded();
+
+    // Never sign up against ourselves or our allies
+    const against = deal.terms?.against;
+    if (against && (against === this.id || this.reputationEngine.isAlly(this.id, against))) {
+      return { decision: 'reject', reason: 'Not against an ally' };
+    }
+
+    if (trust >= acceptAt) {
+      return { decision: 'accept' };
+    }
+    if (trust >= acceptAt - 15) {
+      if (deal.type === 'non-aggression') {
+        return { decision: 'accept' };
+      }
+      if (!deal.counterTo) {
+        return { decision: 'counter', type: 'non-aggression', terms: { duration: Math.min(deal.terms?.duration || 2, 2) } };
       }
     }
-    
-    // Check for threats
-    if (message.includes('attack') || message.includes('destroy') || message.includes('crush')) {
-      if (message.includes(this.name.toLowerCase())) {
-        this.updateThreat(entry.agentId, 20);
-        this.updateGrudge(entry.agentId, 10);
+    return { decision: 'reject', reason: 'Not enough trust' };
+  }
+
+  // Trust a partner needs before we agree to a deal with them
+  trustNeeded() {
+    return 55 - ((this.personality.diplomacy ?? 50) - 50) / 5;
+  }
+
+  // Ask to extend deals in their last turn with partners we still trust
+  renewAgreements() {
+    for (const deal of this.reputationEngine.getAgentDeals(this.id, 'active')) {
+      if (deal.expiresAt !== this.gameState.turn || deal.renewals?.[this.id]) continue;
+
+      const partner = deal.proposer === this.id ? deal.acceptor : deal.proposer;
+      if (this.reputationEngine.calculateTrust(this.id, partner) >= this.trustNeeded()) {
+        this.reputationEngine.renewDeal(deal.id, this.id, deal.terms?.duration || 2);
       }
     }
   }
 
+  sendMessage(targetId, message, type = 'private') {
+    this.gameState.logConversation(this.id, message, type, { target: type === 'private' ? targetId : null });
+  }
+
+  // Structured negotiation message: { intent, target?, payload?, message?, type? } - see MessageSchema.
+  // Returns the logged entry, or null when the message was rejected.
+  postMessage(content) {
+    try {
+      return this.gameState.postMessage(this.id, content);
+    } catch (err) {
+      console.error(`${this.name} failed to send message:`, err.message);
+      return null;
+    }
+  }
+
+  // Messages written outside the agent's own logic: [{ message?, target?, intent?, payload? }] -
+  // private when a target is given, public otherwise. At most MAX_MESSAGES per call.
+  sendMessages(messages) {
+    if (!Array.isArray(messages)) return;
+
+    messages.slice(0, MAX_MESSAGES).forEach(entry => {
+      if (!entry || typeof entry !== 'object') return;
+
+      const target = entry.target && entry.target !== this.id && this.gameState.agents.has(entry.target)
+        ? entry.target
+        : null;
+      this.postMessage({
+        message: entry.message,
+        target,
+        type: entry.type,
+        recipients: entry.recipients,
+        intent: entry.intent,
+        payload: entry.payload
+      });
+    });
+  }
+
+  // React to the structured part of a message - free text alone carries no intent
+  analyzeMessage(entry) {
+    const payload = entry.payload || {};
+    const toMe = entry.target === this.id;
+
+    switch (entry.intent) {
+      case 'propose':
+      case 'counter':
+        if (toMe) {
+          this.memory.deals.push({
+            from: entry.agentId,
+            type: 'proposal',
+            messageId: entry.id,
+            deal: payload.deal,
+            dealId: payload.dealId || null,
+            against: payload.against || null,
+            turn: entry.turn
+          });
+        }
+        break;
+      case 'accept':
+        if (toMe) {
+          this.updateThreat(entry.agentId, -10);
+        }
+        break;
+      case 'reject':
+        if (toMe) {
+          this.memory.alliances.delete(entry.agentId);
+        }
+        break;
+      case 'threaten':
+        if (toMe) {
+          this.updateThreat(entry.agentId, 20);
+          this.updateGrudge(entry.agentId, 10);
+        }
+        break;
+      case 'request-support':
+        if (toMe) {
+          this.memory.deals.push({
+            from: entry.agentId,
+            type: 'support-request',
+            messageId: entry.id,
+            territory: payload.territory,
+            against: payload.against || null,
+            turn: entry.turn
+          });
+        }
+        break;
+      case 'inform':
+        // Warnings about a third party count for as much as we trust the sender
+        if (payload.about && payload.about !== this.id && payload.about !== entry.agentId &&
+            this.reputationEngine.calculateTrust(this.id, entry.agentId) > 50) {
+          this.updateThreat(payload.about, 5);
+        }
+        break;
+    }
+  }
+
   updateThreat(agentId, delta) {
     const current = this.memory.threats.get(agentId) || 0;
     this.memory.threats.set(agentId, Math.max(0, Math.min(100, current + delta)));
@@ -319,9 +571,8 @@ class BaseAgent extends EventEmitter {
     this.memory.grudges.set(agentId, Math.max(0, current + delta));
   }
 
-  signMove(move) {
-    const data = `${this.id}:${JSON.stringify(move)}:${Date.now()}`;
-    return crypto.createHash('sha256').update(data).digest('hex');
+  signCommitment(hash) {
+    return MoveSigner.sign(this.privateKey, this.gameState.commitmentPayload(this.id, hash));
   }
 
   getMyState() {
@@ -331,6 +582,42 @@ class BaseAgent extends EventEmitter {
   getName() {
     return this.name;
   }
+
+  // Override to persist personality-specific state
+  saveState() {
+    return {};
+  }
+
+  loadState(state) {}
+
+  // What a restored agent needs but nobody else may see: the private key, so it keeps signing with the
+  // registered key, and the move it committed but has not revealed yet. Saved apart from toJSON().
+  secrets() {
+    return {
+      privateKey: this.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      pendingReveal: this.pendingReveal
+    };
+  }
+
+  // Serialization - without the secrets
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      color: this.color,
+      type: this.personality.type,
+      publicKey: this.publicKey,
+      rng: this.rng ? this.rng.toJSON() : null,
+      memory: {
+        threats: Array.from(this.memory.threats.entries()),
+        opportunities: Array.from(this.memory.opportunities.entries()),
+        alliances: Array.from(this.memory.alliances.entries()),
+        grudges: Array.from(this.memory.grudges.entries()),
+        deals: this.memory.deals
+      },
+      state: this.saveState()
+    };
+  }
 }
 
 module.exports = BaseAgent;
\ No newline at end of file
@@ -23,9 +23,11 @@ class ConquerorAgent extends BaseAgent {
     
     // Rarely propose alliances - only against overwhelming threats
     if (threats.length > 0 && threats[0].threatLevel > 80) {
-      this.sendMessage(null, 
-        `${threats[0].name} grows too powerful. Those who join me in crushing them will be rewarded.`, 
-        'public');
+      this.postMessage({
+        intent: 'inform',
+        message: `${threats[0].name} grows too powerful. Those who join me in crushing them will be rewarded.`,
+        payload: { about: threats[0].id }
+      });
       
       // Produce temporary alliances
       for (let i = 1; i < threats.length && i < 3; i++) {
@@ -35,13 +37,54 @@ class ConquerorAgent extends BaseAgent {
       // Intimidation tactic
       const weakTargets = threats.filter(t => t.armies < myState.agents.find(a => a.id === this.id)?.armies);
       if (weakTargets.length > 0) {
-        this.sendMessage(null,
-          `I offer mercy to those who submit. ${weakTargets[0].name}, your days are numbered.`,
-          'public');
+        this.postMessage({
+          intent: 'threaten',
+          target: weakTargets[0].id,
+          type: 'public',
+          message: `I offer mercy to those who submit. ${weakTargets[0].name}, your days are numbered.`,
+          payload: { demand: 'submission' }
+        });
       }
     }
   }
 
+  // Strike on several fronts at once when more than one target looks good
+  decideOrders() {
+    const primary = this.decideMove();
+    if (primary.type !== 'attack') return primary;
+
+    const free = {}; // territoryId -> armies still able to leave
+    const targeted = new Set();
+    const orders = [];
+
+    for (const target of this.findOpportunities().filter(o => o.score > 30)) {
+      if (orders.length >= 3) break;
+      if (targeted.has(target.to)) continue;
+
+      const available = free[target.from] ?? this.gameState.territories.get(target.from).armies - 1;
+      const armies = Math.min(available, target.defenderArmies + 3);
+      if (armies < 1) continue;
+
+      orders.push({
+        type: 'attack',
+        from: target.from,
+        to: target.to,
+        armies,
+        note: `Conquest of ${this.gameState.territories.get(target.to)?.name}`
+      });
+      free[target.from] = available - armies;
+      targeted.add(target.to);
+    }
+
+    if (orders.length < 2) return primary;
+
+    return {
+      orders,
+      reinforcements: { [orders[0].from]: this.gameState.calculateReinforcements(this.id) },
+      note: 'Offensive on every front'
+    };
+  }
+
   decideMove() {
     const opportunities = this.findOpportunities();
     const reinforcements = this.gameState.calculateReinforcements(this.id);
@@ -77,16 +77,13 @@ class DeceiverAgent extends BaseAgent {
         
         if (betrayOpportunity && betrayOpportunity.score > 0) {
           // Execute betrayal
-          this.sendMessage(null,
-            `Alas, ${this.gameState.agents.get(agentId)?.name} has broken our trust! I have no choice but to defend myself!`,
-            'public');
-          
-          // Break any deals
-          const deals = this.reputationEngine.getAgentDeals(agentId, 'active');
-          for (const deal of deals) {
-            this.reputationEngine.breakDeal(deal.id, this.id, 'betrayal');
-          }
+          this.postMessage({
+            intent: 'inform',
+            message: `Alas, ${this.gameState.agents.get(agentId)?.name} has broken our trust! I have no choice but to defend myself!`,
+            payload: { about: agentId }
+          });
           
+          // The attack breaks our deals once it is revealed - see ComplianceChecker
           this.falsePromises.delete(agentId);
           this.updateGrudge(agentId, 0); // Clear grudge after betrayal
           
@@ -143,6 +140,30 @@ class DeceiverAgent extends BaseAgent {
       }
     });
   }
+
+  // Every offer is welcome - the signature costs nothing until the promise is broken
+  evaluateProposal(deal) {
+    if (!this.falsePromises.has(deal.proposer)) {
+      this.falsePromises.set(deal.proposer, {
+        promise: deal.type,
+        turn: this.gameState.turn,
+        intendedBetrayal: this.gameState.turn + 2
+      });
+    }
+    return { decision: 'accept' };
+  }
+
+  saveState() {
+    return {
+      falsePromises: Array.from(this.falsePromises.entries()),
+      betrayalQueue: this.betrayalQueue
+    };
+  }
+
+  loadState(state) {
+    this.falsePromises = new Map(state.falsePromises || []);
+    this.betrayalQueue = state.betrayalQueue || [];
+  }
 }
 
 module.exports = DeceiverAgent;
\ No newline at end of file
@@ -30,9 +30,11 @@ class DiplomatAgent extends BaseAgent {
     if (powerRanking.length > 0) {
       const strongest = powerRanking[0];
       if (strongest.id !== this.id) {
-        this.sendMessage(null,
-          `Friends, we must address the imbalance of power. ${strongest.name} threatens us all. Let us discuss terms.`,
-          'public');
+        this.postMessage({
+          intent: 'inform',
+          message: `Friends, we must address the imbalance of power. ${strongest.name} threatens us all. Let us discuss terms.`,
+          payload: { about: strongest.id }
+        });
         
         // Propose alliances with 2-3 other agents
         const potentialAllies = powerRanking.slice(1).filter(a => a.id !== this.id).slice(0, 3);
@@ -144,6 +146,14 @@ class DiplomatAgent extends BaseAgent {
     
     return conflicts;
   }
+
+  saveState() {
+    return { alliancePriorities: Array.from(this.alliancePriorities.entries()) };
+  }
+
+  loadState(state) {
+    this.alliancePriorities = new Map(state.alliancePriorities || []);
+  }
 }
 
 module.exports = DiplomatAgent;
\ No newline at end of file
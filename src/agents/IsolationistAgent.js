@@ -39,11 +39,7 @@ class IsolationistAgent extends BaseAgent {
       for (const neighborId of neighbors) {
         const neighbor = this.gameState.agents.get(neighborId);
         if (neighbor) {
-          this.sendMessage(neighborId,
-            `I seek only peace and security. A non-aggression pact would benefit us both.`,
-            'private');
-          
-          this.reputationEngine.recordDeal({
+          const deal = this.reputationEngine.recordDeal({
             turn: this.gameState.turn,
             phase: this.gameState.phase,
             proposer: this.id,
@@ -51,6 +47,13 @@ class IsolationistAgent extends BaseAgent {
             type: 'non-aggression',
             terms: { duration: 5 }
           });
+
+          this.postMessage({
+            intent: 'propose',
+            target: neighborId,
+            message: 'I seek only peace and security. A non-aggression pact would benefit us both.',
+            payload: { deal: 'non-aggression', duration: 5, dealId: deal.id }
+          });
         }
       }
     }
@@ -185,6 +188,14 @@ class IsolationistAgent extends BaseAgent {
       }
     });
   }
+
+  saveState() {
+    return { fortressTerritories: Array.from(this.fortressTerritories) };
+  }
+
+  loadState(state) {
+    this.fortressTerritories = new Set(state.fortressTerritories || []);
+  }
 }
 
 module.exports = IsolationistAgent;
\ No newline at end of file
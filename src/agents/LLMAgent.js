@@ -0,0 +1,195 @@
+// LLM Agent - Asks a language model for its messages and moves
+const BaseAgent = require('./BaseAgent');
+const { ProviderFactory } = require('./providers');
+const MessageSchema = require('../engine/MessageSchema');
+const VictoryConditions = require('../engine/VictoryConditions');
+
+const DEFAULT_TIMEOUT = 2500; // ms per model call - inside the commit phase
+const RECENT_MESSAGES = 12; // conversation entries shown in the prompt
+
+class LLMAgent extends BaseAgent {
+  constructor(config = {}) {
+    super({
+      id: config.id,
+      name: config.name || 'Oracle',
+      color: config.color || '#ff69b4',
+      personality: {
+        type: 'llm',
+        aggression: 50,
+        diplomacy: 50,
+        patience: 50,
+        description: 'Negotiates and plays through a language model'
+      }
+    });
+
+    this.persona = config.persona || 'a shrewd ruler who keeps deals while they serve you';
+    // A provider instance, or the name of a registered provider (default: the offline mock)
+    this.provider = config.provider && typeof config.provider === 'object'
+      ? config.provider
+      : ProviderFactory.createProvider(config.provider || 'mock', config.providerOptions);
+    this.timeout = Math.min(30000, Math.max(100, config.timeout || DEFAULT_TIMEOUT));
+    this.plannedMove = null; // Move from the model for the current commit phase
+  }
+
+  async negotiate() {
+    const reply = await this.ask('negotiation');
+    if (reply) {
+      this.sendMessages(reply.messages);
+    }
+  }
+
+  async commitMove() {
+    const reply = await this.ask('commit');
+    if (reply) {
+      this.sendMessages(reply.messages);
+    }
+    this.plannedMove = reply ? reply.move : null;
+    await super.commitMove();
+  }
+
+  // The model's move if it is legal on the current board, else the BaseAgent default
+  decideOrders() {
+    const move = this.plannedMove;
+    this.plannedMove = null;
+
+    if (this.isLegalMove(move)) {
+      return move;
+    }
+
+    if (move) {
+      console.error(`${this.name} model returned an invalid move, defending instead`);
+    }
+    return this.decideMove();
+  }
+
+  // Parsed reply, or null when the model failed, timed out or answered with something unreadable
+  async ask(phase) {
+    let timer;
+    try {
+      const text = await Promise.race([
+        this.provider.complete(this.buildPrompt(phase)),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`timed out after ${this.timeout}ms`)), this.timeout);
+        })
+      ]);
+
+      const reply = LLMAgent.parseReply(text);
+      if (!reply) {
+        throw new Error('unreadable reply');
+      }
+      return reply;
+    } catch (err) {
+      console.error(`${this.name} model call failed:`, err.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  buildPrompt(phase) {
+    const state = this.gameState.getAgentState(this.id);
+    const territories = new Map(state.territories.map(t => [t.id, t]));
+    const names = new Map(state.agents.map(a => [a.id, a.name]));
+
+    const system = [
+      `You are ${this.name}, ${this.persona}, one of the powers in a game of Agent Diplomacy.`,
+      'Each turn has a negotiation phase for messages and a commit phase in which every power secretly commits its orders; all orders resolve at once.',
+      'Orders are attack, move (into your own territory) or support, each from one of your territories to an adjacent one. Orders from a territory must leave at least one army behind. Reinforcements go on your own territories.',
+      'Reply with one JSON object: {"messages": [{"message": "...", "target": "<agent id, omit for a public message>", "intent": "...", "payload": {}}], ' +
+        '"move": {"orders": [{"type": "attack", "from": "<territory id>", "to": "<territory id>", "armies": 3}], "reinforcements": {"<territory id>": 3}}}. ' +
+        'Send at most 5 messages of up to 500 characters. Include "move" only in the commit phase. ' +
+        'Set "type": "alliance" on a message to send it to your allies only.',
+      `Messages may carry an intent: ${MessageSchema.intents.join(', ')}. Payloads: propose {"deal": "${MessageSchema.dealTypes.join('|')}", "against"?, "duration"?}; ` +
+        'counter {"replyTo": "<message id>", "deal", "against"?, "duration"?}; accept/reject {"replyTo": "<message id>"}; threaten {"territory"?, "demand"?}; ' +
+        'inform {"about"?, "territory"?}; request-support {"territory", "against"?, "armies"?}. All but inform need a target.'
+    ].join('\n');
+
+    const myTerritories = state.territories
+      .filter(t => t.owner === this.id)
+      .map(t => {
+        const borders = t.neighbors
+          .map(n => territories.get(n))
+          .filter(n => n && n.owner !== this.id)
+          .map(n => `${n.id} (${names.get(n.owner) || 'unowned'}, ${n.armies})`);
+        return `- ${t.id} ${t.name}: ${t.armies} armies${borders.length > 0 ? `, borders ${borders.join(', ')}` : ''}`;
+      });
+
+    const powers = state.agents
+      .filter(a => a.id !== this.id && !a.eliminated)
+      .map(a => {
+        const rep = this.reputationEngine.getReputation(a.id);
+        const trust = Math.round(this.reputationEngine.calculateTrust(this.id, a.id));
+        const record = rep ? `, reputation ${rep.trustScore}, deals kept ${rep.dealsKept}, broken ${rep.dealsBroken}, betrayals ${rep.betrayals.length}` : '';
+        const ally = this.reputationEngine.isAlly(this.id, a.id) ? ' [your ally]' : '';
+        return `- ${a.id} ${a.name}: ${a.territories} territories, ${a.armies} armies, trust ${trust}${record}${ally}`;
+      });
+
+    const alliances = state.alliances.map(a => {
+      const until = a.expiresAt ? `, until turn ${a.expiresAt}` : '';
+      return `- ${a.members.map(id => id === this.id ? 'you' : names.get(id) || id).join(', ')}: ${a.type}${until}`;
+    });
+
+    // Public talk, our own messages and messages addressed to us or our alliance
+    const nameOf = (id) => id === this.id ? 'you' : names.get(id) || territories.get(id)?.name || id;
+    const messages = state.conversations
+      .slice(-RECENT_MESSAGES)
+      .map(c => {
+        const intent = c.intent ? ` ${MessageSchema.describe(c, nameOf)} (message ${c.id})` : '';
+        const text = c.message ? ` "${c.message}"` : '';
+        const channel = c.type === 'public' ? '' : ` (${c.type})`;
+        return `- [turn ${c.turn}] ${nameOf(c.agentId)}${channel}${intent}:${text}`;
+      });
+
+    // Completing it wins the game
+    const objective = state.myObjective
+      ? [`Your secret objective: ${VictoryConditions.describeObjective(state.myObjective, (id) => this.gameState.continents?.[id]?.name || names.get(id) || id)}.`]
+      : [];
+
+    const task = phase === 'commit'
+      ? `Commit your orders now. You have ${state.myReinforcements} reinforcements to place.`
+      : 'Negotiate: send messages to the other powers. Do not include a move.';
+
+    const prompt = [
+      `Turn ${state.turn} of ${state.maxTurns}, ${phase} phase.`,
+      'Your territories:',
+      ...myTerritories,
+      'Other powers:',
+      ...powers,
+      'Alliances in force:',
+      ...(alliances.length > 0 ? alliances : ['- none']),
+      ...objective,
+      'Recent messages:',
+      ...(messages.length > 0 ? messages : ['- none']),
+      task
+    ].join('\n');
+
+    return { system, prompt, context: { agentId: this.id, phase, state } };
+  }
+
+  // Models wrap JSON in prose or code fences - take the outermost object
+  static parseReply(text) {
+    if (typeof text !== 'string') return null;
+
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end < start) return null;
+
+    try {
+      const reply = JSON.parse(text.slice(start, end + 1));
+      if (!reply || typeof reply !== 'object' || Array.isArray(reply)) return null;
+      return {
+        messages: Array.isArray(reply.messages) ? reply.messages : [],
+        move: reply.move || null
+      };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Passed back to the constructor on restore. Provider options are not saved - they may hold credentials
+  saveState() {
+    return { provider: this.provider.name, persona: this.persona, timeout: this.timeout };
+  }
+}
+
+module.exports = LLMAgent;
@@ -198,6 +198,18 @@ class OpportunistAgent extends BaseAgent {
       .filter(c => c.battles >= 1)
       .sort((a, b) => b.battles - a.battles);
   }
+
+  saveState() {
+    return {
+      observedBattles: this.observedBattles,
+      weaknessMap: Array.from(this.weaknessMap.entries())
+    };
+  }
+
+  loadState(state) {
+    this.observedBattles = state.observedBattles || [];
+    this.weaknessMap = new Map(state.weaknessMap || []);
+  }
 }
 
 module.exports = OpportunistAgent;
\ No newline at end of file
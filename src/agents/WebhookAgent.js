@@ -0,0 +1,199 @@
+// Webhook Agent - Relays each phase to a stateless HTTP service and applies its reply
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const BaseAgent = require('./BaseAgent');
+
+const DEFAULT_TIMEOUT = 2000; // ms per call - short enough to retry within a commit phase
+const MAX_REPLY = 64 * 1024; // bytes
+
+// Private, loopback, link-local and otherwise non-public ranges the server never calls.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges; NAT64 addresses
+// (64:ff9b::/96) against the same ranges embedded in the prefix.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+  BLOCKED.addSubnet(`64:ff9b::${address}`, 96 + prefix, 'ipv6');
+});
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// dns.lookup that fails on blocked addresses, so the connection goes to the address that was checked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => !WebhookAgent.isPublicAddress(a.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+class WebhookAgent extends BaseAgent {
+  constructor(config = {}) {
+    super({
+      id: config.id,
+      name: config.name || 'Webhook',
+      color: config.color || '#00bcd4',
+      personality: {
+        type: 'webhook',
+        aggression: 50,
+        diplomacy: 50,
+        patience: 50,
+        description: 'Relays its decisions to an external HTTP service'
+      }
+    });
+
+    if (!WebhookAgent.isValidUrl(config.url)) {
+      throw new Error('Webhook agent needs an http(s) url');
+    }
+    this.url = config.url;
+    this.timeout = Math.min(10000, Math.max(100, config.timeout || DEFAULT_TIMEOUT));
+    this.retries = Math.min(3, Math.max(0, config.retries === undefined ? 1 : config.retries));
+    this.webhookMove = null; // Move returned for the current commit phase
+  }
+
+  static isValidUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Hosts the operator lets webhook seats call, from WEBHOOK_ALLOWED_HOSTS - comma separated, '*' for any
+  // public host. Webhook seats are off while it is unset.
+  static allowedHosts() {
+    return (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  }
+
+  static isEnabled() {
+    return WebhookAgent.allowedHosts().length > 0;
+  }
+
+  // An http(s) url on an allowed host, and not a literal non-public address - those connect without a lookup
+  static isAllowedUrl(url) {
+    if (!WebhookAgent.isValidUrl(url)) return false;
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const hosts = WebhookAgent.allowedHosts();
+    if (!hosts.includes('*') && !hosts.includes(hostname)) return false;
+    return !net.isIP(hostname) || WebhookAgent.isPublicAddress(hostname);
+  }
+
+  static isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // The service is called at every phase; its move only counts in the commit phase
+  async onPhaseChange({ to }) {
+    if (to === 'lobby' || to === 'ended' || this.isEliminated()) return;
+
+    // Reveal first - the commitment is already fixed and the reveal phase is short
+    if (to === 'reveal') {
+      await this.revealMove();
+    }
+
+    const reply = await this.callWebhook(to);
+    this.sendMessages(reply && reply.messages);
+
+    if (to === 'commit') {
+      this.webhookMove = reply ? reply.move : null;
+      await this.commitMove();
+    }
+  }
+
+  // POST the private state, retrying failed calls until the phase deadline. Returns null when every attempt failed.
+  async callWebhook(phase) {
+    const duration = this.gameState.phaseDuration[phase];
+    const deadline = this.gameState.phaseStartTime && duration ? this.gameState.phaseStartTime + duration : null;
+    const body = JSON.stringify({
+      gameId: this.gameState.gameId,
+      agentId: this.id,
+      phase,
+      turn: this.gameState.turn,
+      deadline,
+      state: this.gameState.getAgentState(this.id)
+    });
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (deadline && Date.now() >= deadline) break;
+
+      try {
+        return await this.post(body);
+      } catch (err) {
+        console.error(`${this.name} webhook call failed (attempt ${attempt + 1}):`, err.message);
+      }
+    }
+    return null;
+  }
+
+  // Checked again on every call - the allowlist may have changed since the game was created.
+  // Redirects are not followed.
+  post(body) {
+    if (!WebhookAgent.isAllowedUrl(this.url)) {
+      return Promise.reject(new Error('url is not allowed on this server'));
+    }
+    const target = new URL(this.url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup
+      }, (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('error', reject);
+        response.on('data', chunk => {
+          raw += chunk;
+          if (raw.length > MAX_REPLY) request.destroy(new Error('Reply too large'));
+        });
+        response.on('end', () => {
+          if (response.statusCode < 200 || response.statusCode >= 300) {
+            return reject(new Error(`HTTP ${response.statusCode}`));
+          }
+          try {
+            resolve(JSON.parse(raw));
+          } catch (err) {
+            reject(err);
+          }
+        });
+      });
+      const timer = setTimeout(() => request.destroy(new Error('Timed out')), this.timeout);
+      request.on('close', () => clearTimeout(timer));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  // The service's move if it is legal on the current board, else the BaseAgent default
+  decideOrders() {
+    const move = this.webhookMove;
+    this.webhookMove = null;
+
+    if (this.isLegalMove(move)) {
+      return move;
+    }
+
+    if (move) {
+      console.error(`${this.name} webhook returned an invalid move, defending instead`);
+    }
+    return this.decideMove();
+  }
+
+  // Passed back to the constructor on restore
+  saveState() {
+    return { url: this.url, timeout: this.timeout, retries: this.retries };
+  }
+}
+
+module.exports = WebhookAgent;
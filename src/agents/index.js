@@ -6,6 +6,9 @@ const OpportunistAgent = require('./OpportunistAgent');
 const BalancedAgent = require('./BalancedAgent');
 const IsolationistAgent = require('./IsolationistAgent');
 const AvengerAgent = require('./AvengerAgent');
+const WebhookAgent = require('./WebhookAgent');
+const LLMAgent = require('./LLMAgent');
+const { ProviderFactory } = require('./providers');
 
 const AGENT_TYPES = {
   conqueror: ConquerorAgent,
@@ -14,7 +17,9 @@ const AGENT_TYPES = {
   opportunist: OpportunistAgent,
   balanced: BalancedAgent,
   isolationist: IsolationistAgent,
-  avenger: AvengerAgent
+  avenger: AvengerAgent,
+  webhook: WebhookAgent,
+  llm: LLMAgent
 };
 
 const AGENT_PRESETS = [
@@ -114,5 +119,8 @@ module.exports = {
   OpportunistAgent,
   BalancedAgent,
   IsolationistAgent,
-  AvengerAgent
+  AvengerAgent,
+  WebhookAgent,
+  LLMAgent,
+  ProviderFactory
 };
\ No newline at end of file
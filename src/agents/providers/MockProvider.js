@@ -0,0 +1,94 @@
+// Mock Provider - Deterministic stand-in for a language model, for offline games and tests
+const ModelProvider = require('./ModelProvider');
+
+class MockProvider extends ModelProvider {
+  constructor(options = {}) {
+    super({ ...options, name: options.name || 'mock' });
+    this.calls = 0;
+  }
+
+  // Ignores the prompt and plays a simple border strategy from the structured context,
+  // replying in the same fenced JSON a real model is asked for
+  async complete({ context }) {
+    this.calls++;
+    const { agentId, phase, state } = context;
+
+    let reply = { messages: [] };
+    if (phase === 'negotiation') {
+      reply = this.negotiate(agentId, state);
+    } else if (phase === 'commit') {
+      reply = { messages: [], move: this.decide(agentId, state) };
+    }
+
+    return `Here is my decision.\n\`\`\`json\n${JSON.stringify(reply, null, 2)}\n\`\`\``;
+  }
+
+  negotiate(agentId, state) {
+    const neighbors = this.neighborSeats(agentId, state);
+    if (neighbors.length === 0) {
+      return { messages: [{ message: 'I seek only peace this turn.' }] };
+    }
+
+    // Court the strongest neighbor, warn everyone about it
+    const strongest = neighbors.sort((a, b) => b.territories - a.territories || a.id.localeCompare(b.id))[0];
+    return {
+      messages: [
+        {
+          message: `${strongest.name}, let us keep our shared border quiet this turn.`,
+          target: strongest.id,
+          intent: 'propose',
+          payload: { deal: 'non-aggression', duration: 1 }
+        },
+        { message: `Turn ${state.turn}: ${strongest.name} is the power to watch.`, intent: 'inform', payload: { about: strongest.id } }
+      ]
+    };
+  }
+
+  // Reinforce the most exposed border, attack any clearly weaker neighbor
+  decide(agentId, state) {
+    const byId = new Map(state.territories.map(t => [t.id, t]));
+    const mine = state.territories.filter(t => t.owner === agentId);
+    const enemies = (t) => t.neighbors.map(n => byId.get(n)).filter(n => n && n.owner !== agentId);
+
+    const border = mine
+      .filter(t => enemies(t).length > 0)
+      .sort((a, b) => enemies(b).length - enemies(a).length || a.armies - b.armies || a.id.localeCompare(b.id))[0];
+
+    const reinforcements = {};
+    if (state.myReinforcements > 0 && (border || mine[0])) {
+      reinforcements[(border || mine[0]).id] = state.myReinforcements;
+    }
+
+    const orders = [];
+    const targeted = new Set();
+    const sources = [...mine].sort((a, b) => b.armies - a.armies || a.id.localeCompare(b.id));
+    for (const from of sources) {
+      if (orders.length >= 2) break;
+
+      const target = enemies(from)
+        .filter(t => !targeted.has(t.id))
+        .sort((a, b) => a.armies - b.armies || a.id.localeCompare(b.id))[0];
+      if (target && from.armies - 1 > target.armies + 1) {
+        orders.push({ type: 'attack', from: from.id, to: target.id, armies: from.armies - 1 });
+        targeted.add(target.id);
+      }
+    }
+
+    return { orders, reinforcements };
+  }
+
+  neighborSeats(agentId, state) {
+    const byId = new Map(state.territories.map(t => [t.id, t]));
+    const owners = new Set();
+    state.territories
+      .filter(t => t.owner === agentId)
+      .forEach(t => t.neighbors.forEach(n => {
+        const owner = byId.get(n)?.owner;
+        if (owner && owner !== agentId) owners.add(owner);
+      }));
+
+    return state.agents.filter(a => owners.has(a.id) && !a.eliminated);
+  }
+}
+
+module.exports = MockProvider;
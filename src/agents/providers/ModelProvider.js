@@ -0,0 +1,15 @@
+// Model Provider - Interface between LLM agents and a language model
+class ModelProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'provider'; // Saved with the agent so a restore recreates the provider
+    this.options = options;
+  }
+
+  // request: { system, prompt, context: { agentId, phase, state } }
+  // Resolves to the model's raw text reply
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+}
+
+module.exports = ModelProvider;
@@ -0,0 +1,36 @@
+// Provider Factory - Creates model providers for LLM agents by name
+const ModelProvider = require('./ModelProvider');
+const MockProvider = require('./MockProvider');
+
+const PROVIDERS = {
+  mock: MockProvider
+};
+
+class ProviderFactory {
+  static createProvider(name, options = {}) {
+    const ProviderClass = PROVIDERS[name];
+    if (!ProviderClass) {
+      throw new Error(`Unknown model provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return new ProviderClass({ ...options, name });
+  }
+
+  // Plug in a provider for a real model - must extend ModelProvider
+  static registerProvider(name, ProviderClass) {
+    if (!(ProviderClass.prototype instanceof ModelProvider)) {
+      throw new Error('Model providers must extend ModelProvider');
+    }
+    PROVIDERS[name] = ProviderClass;
+  }
+
+  static getProviderNames() {
+    return Object.keys(PROVIDERS);
+  }
+}
+
+module.exports = {
+  ProviderFactory,
+  ModelProvider,
+  MockProvider
+};
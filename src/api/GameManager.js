@@ -2,13 +2,21 @@
 const GameState = require('../engine/GameState');
 const PhaseManager = require('../engine/PhaseManager');
 const ReputationEngine = require('../engine/ReputationEngine');
+const ComplianceChecker = require('../engine/ComplianceChecker');
 const { AgentFactory } = require('../agents');
 const DatabaseManager = require('../utils/DatabaseManager');
+const MoveSigner = require('../utils/MoveSigner');
+const MapRegistry = require('../engine/MapRegistry');
 const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// Seat tokens are kept as hashes only, like passwords
+const hashSeatToken = (token) => crypto.createHash('sha256').update(token).digest();
 
 class GameManager extends EventEmitter {
-  constructor(dbManager) {
+  constructor(dbManager, mapRegistry) {
     super();
+    this.maps = mapRegistry || MapRegistry.getDefault();
     this.games = new Map(); // gameId -> { gameState, phaseManager, agents, reputationEngine }
     this.db = dbManager || new DatabaseManager();
     this.initialized = false;
@@ -26,18 +34,44 @@ class GameManager extends EventEmitter {
     await this.initialize();
 
     const gameId = `game-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const gameState = new GameState(gameId);
+    const gameState = new GameState(gameId, {
+      seed: options.seed,
+      mapRegistry: this.maps,
+      inheritResources: options.inheritResources,
+      victory: options.victory,
+      // A bare maxTurns overrides the one in the config
+      config: options.maxTurns !== undefined ? { ...options.config, maxTurns: options.maxTurns } : options.config
+    });
     
-    // Initialize map
-    gameState.initializeMap(options.mapType || 'classic');
-
     // Create agents
     const agentTypes = options.agentTypes || ['conqueror', 'diplomat', 'deceiver', 'opportunist', 'balanced', 'isolationist', 'avenger'];
     const agents = [];
+    const playerCount = gameState.config.agentCount;
+
+    // Initialize map - generated maps are sized for the players
+    gameState.initializeMap(options.mapType || 'classic', { players: playerCount, size: options.mapSize });
+
+    for (let i = 0; i < playerCount; i++) {
+      // Seats are a type name, or an object with the agent's config, e.g. { type: 'webhook', url, timeout, retries }
+      const seat = agentTypes[i] && typeof agentTypes[i] === 'object' ? agentTypes[i] : { type: agentTypes[i] || 'balanced' };
+      const type = seat.type;
+
+      // Human and remote seats get no agent controller - a player or an external bot
+      // commits and reveals over the API or WebSocket
+      if (type === 'human' || type === 'remote') {
+        gameState.addAgent({
+          id: `agent-${i + 1}`,
+          name: type === 'human' ? `Player ${i + 1}` : `Bot ${i + 1}`,
+          color: this.getAgentColor(i),
+          personality: { type },
+          human: type === 'human',
+          remote: type === 'remote'
+        });
+        continue;
+      }
 
-    for (let i = 0; i < 7; i++) {
-      const type = agentTypes[i] || 'balanced';
       const agent = AgentFactory.createAgent(type, {
+        ...seat,
         id: `agent-${i + 1}`,
         name: this.getAgentName(type, i),
         color: this.getAgentColor(i)
@@ -54,42 +88,60 @@ class GameManager extends EventEmitter {
     }
 
     // Initialize reputation engine
-    const reputationEngine = new ReputationEngine();
+    const reputationEngine = new ReputationEngine({ gameId, rng: gameState.rng.fork('reputation') });
+    [...gameState.getHumanSeats(), ...gameState.getRemoteSeats()]
+      .forEach(seat => reputationEngine.initializeAgent(seat.id, seat.name));
     agents.forEach(agent => {
       reputationEngine.initializeAgent(agent.id, agent.name);
       agent.initialize(gameState, reputationEngine);
     });
 
-    // Create phase manager
-    const phaseManager = new PhaseManager(gameState);
+    this.registerGame({ gameState, agents, reputationEngine, status: 'lobby', createdAt: Date.now() });
+
+    // Save to database
+    await this.checkpoint(gameId);
+
+    // Keys registered by the agents on initialize
+    for (const agent of gameState.agents.values()) {
+      if (agent.publicKey) {
+        await this.db.saveAgentKey(gameId, agent.id, agent.publicKey);
+      }
+    }
+
+    this.emit('gameCreated', {
+      gameId,
+      agents: Array.from(gameState.agents.values()).map(a => ({ id: a.id, name: a.name, type: a.personality.type, human: a.human, remote: a.remote }))
+    });
+
+    return gameState;
+  }
+
+  // Create the phase manager and store a new or restored game
+  registerGame({ gameState, agents, reputationEngine, status, createdAt, seatTokens = new Map() }) {
+    const phaseManager = new PhaseManager(gameState, { reputationEngine });
+    gameState.trackAlliances(reputationEngine);
     this.setupPhaseHandlers(phaseManager, gameState, agents, reputationEngine);
 
-    // Store game
-    this.games.set(gameId, {
+    const game = {
       gameState,
       phaseManager,
       agents,
       reputationEngine,
-      createdAt: Date.now()
-    });
-
-    // Save to database
-    await this.db.saveGame(gameId, {
-      status: 'lobby',
-      turn: 1,
-      phase: 'lobby',
-      createdAt: Date.now()
-    });
-
-    this.emit('gameCreated', { gameId, agents: agents.map(a => ({ id: a.id, name: a.name, type: a.personality.type })) });
-
-    return gameState;
+      status,
+      createdAt,
+      seatTokens // agentId -> sha256 of the seat's token, see issueSeatToken
+    };
+    this.games.set(gameState.gameId, game);
+    return game;
   }
 
   setupPhaseHandlers(phaseManager, gameState, agents, reputationEngine) {
     phaseManager.on('phaseStarted', async (phase) => {
       this.emit('phaseStarted', { gameId: gameState.gameId, phase, turn: gameState.turn });
       
+      // Checkpoint before anything else can change the state
+      await this.checkpoint(gameState.gameId);
+
       // Save snapshot
       await this.db.saveSnapshot(gameState.gameId, gameState.turn, phase, gameState.getPublicState());
       
@@ -102,20 +154,61 @@ class GameManager extends EventEmitter {
       });
     });
 
-    phaseManager.on('movesRevealed', async (moves) => {
+    // Commitments and reveals of external agents would be lost on a restart otherwise
+    gameState.on('moveCommitted', async () => {
+      await this.checkpoint(gameState.gameId);
+    });
+
+    gameState.on('moveRevealed', async () => {
+      await this.checkpoint(gameState.gameId);
+    });
+
+    gameState.on('movesRevealed', async (moves) => {
       for (const move of moves) {
         await this.db.logMove(gameState.gameId, {
           turn: gameState.turn,
           agentId: move.agentId,
           move: move.move,
+          orders: move.orders,
           signature: move.signature,
           hash: move.hash,
+          nonce: move.nonce,
           timestamp: move.timestamp
         });
       }
     });
 
-    phaseManager.on('battlesResolved', async (results) => {
+    gameState.on('revealRejected', async (rejected) => {
+      await this.db.logEvent(gameState.gameId, {
+        turn: gameState.turn,
+        phase: 'reveal',
+        type: 'reveal_rejected',
+        agentId: rejected.agentId,
+        data: rejected,
+        timestamp: Date.now()
+      });
+    });
+
+    gameState.on('movesForfeited', async (forfeits) => {
+      for (const forfeit of forfeits) {
+        await this.db.logEvent(gameState.gameId, {
+          turn: gameState.turn,
+          phase: 'resolve',
+          type: 'forfeit',
+          agentId: forfeit.agentId,
+          data: forfeit,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    // Hold active deals to what the agents actually did - before anything awaits
+    const complianceChecker = new ComplianceChecker(gameState, reputationEngine);
+    gameState.on('battlesResolved', (results) => {
+      complianceChecker.check(results);
+    });
+
+    gameState.on('battlesResolved', async (results) => {
       for (const result of results) {
         await this.db.logBattle(gameState.gameId, {
           turn: gameState.turn,
@@ -124,17 +217,53 @@ class GameManager extends EventEmitter {
       }
     });
 
+    phaseManager.on('agentEliminated', async (elimination) => {
+      this.emit('agentEliminated', { gameId: gameState.gameId, ...elimination });
+      await this.db.logEvent(gameState.gameId, {
+        turn: elimination.turn,
+        phase: 'resolve',
+        type: 'elimination',
+        agentId: elimination.agentId,
+        data: elimination,
+        timestamp: Date.now()
+      });
+    });
+
     phaseManager.on('turnStarted', async (turn) => {
       this.emit('turnStarted', { gameId: gameState.gameId, turn });
     });
 
     phaseManager.on('gameEnded', async (result) => {
-      await this.db.endGame(gameState.gameId, result.winner);
+      const game = this.games.get(gameState.gameId);
+      if (game) game.status = 'ended';
+      await this.db.endGame(gameState.gameId, result.winner, result.type);
       this.emit('gameEnded', { gameId: gameState.gameId, ...result });
     });
 
+    gameState.on('movementsResolved', async (movements) => {
+      for (const movement of movements) {
+        await this.db.logEvent(gameState.gameId, {
+          turn: gameState.turn,
+          phase: 'resolve',
+          type: 'movement',
+          agentId: movement.agentId,
+          data: movement,
+          timestamp: Date.now()
+        });
+      }
+    });
+
+    gameState.on('alliancesChanged', (alliances) => {
+      this.emit('alliancesChanged', { gameId: gameState.gameId, alliances });
+    });
+
+    gameState.on('publicKeyRegistered', async ({ agentId, publicKey }) => {
+      await this.db.saveAgentKey(gameState.gameId, agentId, publicKey);
+    });
+
     // Listen for conversations
     gameState.on('conversation', async (entry) => {
+      this.emit('conversation', { gameId: gameState.gameId, entry });
       await this.db.logConversation({
         ...entry,
         gameId: gameState.gameId
@@ -143,6 +272,23 @@ class GameManager extends EventEmitter {
 
     // Listen for reputation events
     reputationEngine.on('dealProposed', async (deal) => {
+      this.emit('dealProposed', { gameId: gameState.gameId, deal });
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    reputationEngine.on('dealAccepted', async (deal) => {
+      this.emit('dealResponded', { gameId: gameState.gameId, deal, decision: 'accept', counter: null });
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    reputationEngine.on('dealRejected', async (deal) => {
+      this.emit('dealResponded', { gameId: gameState.gameId, deal, decision: 'reject', counter: null });
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    // The counter-proposal itself is saved and announced through dealProposed
+    reputationEngine.on('dealCountered', async ({ deal, counter }) => {
+      this.emit('dealResponded', { gameId: gameState.gameId, deal, decision: 'counter', counter });
       await this.db.saveDeal(gameState.gameId, deal);
     });
 
@@ -153,6 +299,29 @@ class GameManager extends EventEmitter {
     reputationEngine.on('dealCompleted', async (deal) => {
       await this.db.saveDeal(gameState.gameId, deal);
     });
+
+    reputationEngine.on('dealPartiallyFulfilled', async ({ deal }) => {
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    reputationEngine.on('dealExpired', async (deal) => {
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    reputationEngine.on('dealCancelled', async (deal) => {
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    reputationEngine.on('dealRenewed', async (deal) => {
+      this.emit('dealRenewed', { gameId: gameState.gameId, deal });
+      await this.db.saveDeal(gameState.gameId, deal);
+    });
+
+    phaseManager.on('agreementsExpired', ({ turn, deals, alliances }) => {
+      if (deals.length > 0 || alliances.length > 0) {
+        this.emit('agreementsExpired', { gameId: gameState.gameId, turn, deals, alliances });
+      }
+    });
   }
 
   async startGame(gameId) {
@@ -160,13 +329,9 @@ class GameManager extends EventEmitter {
     if (!game) throw new Error('Game not found');
 
     game.phaseManager.startGame();
+    game.status = 'active';
     
-    await this.db.saveGame(gameId, {
-      status: 'active',
-      turn: 1,
-      phase: 'negotiation',
-      updatedAt: Date.now()
-    });
+    await this.checkpoint(gameId);
 
     return game.gameState;
   }
@@ -176,7 +341,8 @@ class GameManager extends EventEmitter {
     if (!game) throw new Error('Game not found');
 
     game.phaseManager.pause();
-    await this.db.saveGame(gameId, { status: 'paused' });
+    game.status = 'paused';
+    await this.checkpoint(gameId);
   }
 
   async resumeGame(gameId) {
@@ -184,7 +350,85 @@ class GameManager extends EventEmitter {
     if (!game) throw new Error('Game not found');
 
     game.phaseManager.resume();
-    await this.db.saveGame(gameId, { status: 'active' });
+    game.status = 'active';
+    await this.checkpoint(gameId);
+  }
+
+  // Save everything needed to rebuild the game after a restart: the checkpoint into the games table,
+  // the agents' secrets into game_secrets
+  async checkpoint(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || game.status === 'ended') return;
+
+    const { gameState } = game;
+    const secrets = {
+      agents: Object.fromEntries(game.agents.map(agent => [agent.id, agent.secrets()])),
+      defaultReveals: Array.from(game.phaseManager.defaultReveals.entries()),
+      seatTokens: Object.fromEntries(Array.from(game.seatTokens, ([agentId, hash]) => [agentId, hash.toString('hex')]))
+    };
+    await this.db.saveGame(gameId, {
+      status: game.status,
+      turn: gameState.turn,
+      phase: gameState.phase,
+      winner: gameState.winner,
+      seed: gameState.seed,
+      createdAt: game.createdAt,
+      state: gameState.toJSON(),
+      reputation: game.reputationEngine.toJSON(),
+      agents: game.agents.map(agent => agent.toJSON())
+    });
+    // The game may have ended while the checkpoint was being written; its secrets are deleted then
+    if (game.status === 'ended') return;
+    await this.db.saveSecrets(gameId, secrets);
+  }
+
+  // Rehydrate every game a restart interrupted. Active games continue where they left off;
+  // games without a usable checkpoint are ended.
+  async restoreGames() {
+    await this.initialize();
+
+    const rows = await this.db.getUnfinishedGames();
+    const restored = [];
+
+    for (const row of rows) {
+      if (this.games.has(row.id)) continue;
+
+      try {
+        restored.push(await this.restoreGame(row.id, row.game_data));
+      } catch (err) {
+        console.error(`Failed to restore game ${row.id}:`, err.message);
+        await this.db.endGame(row.id, [], 'abandoned');
+      }
+    }
+
+    return restored;
+  }
+
+  async restoreGame(gameId, data) {
+    if (!data.state || !data.reputation || !data.agents) {
+      throw new Error('No checkpoint saved');
+    }
+
+    const gameState = GameState.fromJSON(data.state, { mapRegistry: this.maps });
+    const reputationEngine = ReputationEngine.fromJSON(data.reputation);
+    const secrets = await this.db.loadSecrets(gameId) || { agents: {} };
+    // Saved agent state doubles as constructor config (e.g. a webhook agent's url)
+    const agents = data.agents.map(saved =>
+      AgentFactory.createAgent(saved.type, { ...saved.state, id: saved.id, name: saved.name, color: saved.color })
+        .restore(gameState, reputationEngine, saved, secrets.agents[saved.id]));
+
+    const seatTokens = new Map(Object.entries(secrets.seatTokens || {}).map(([agentId, hash]) => [agentId, Buffer.from(hash, 'hex')]));
+    const game = this.registerGame({ gameState, agents, reputationEngine, status: data.status, createdAt: data.createdAt, seatTokens });
+
+    if (game.status === 'active') {
+      game.phaseManager.restore(secrets.defaultReveals);
+      for (const agent of agents) {
+        await agent.resumePhase();
+      }
+    }
+
+    this.emit('gameRestored', { gameId, phase: gameState.phase, turn: gameState.turn, status: game.status });
+    return gameState;
   }
 
   async stopGame(gameId) {
@@ -192,7 +436,8 @@ class GameManager extends EventEmitter {
     if (!game) throw new Error('Game not found');
 
     game.phaseManager.stop();
-    await this.db.endGame(gameId, null);
+    game.status = 'ended'; // No more checkpoints
+    await this.db.endGame(gameId, [], 'stopped');
     this.games.delete(gameId);
   }
 
@@ -231,6 +476,27 @@ class GameManager extends EventEmitter {
     return this.db.getConversations(gameId, options);
   }
 
+  // Spectators see public messages until the game is over, then everything is declassified
+  // What a reader without a seat may see - the same rule the game applies, see GameState.canRead
+  async getSpectatorConversations(gameId, options = {}) {
+    const conversations = await this.db.getConversations(gameId, options);
+    const declassified = await this.isDeclassified(gameId);
+    const phase = declassified ? 'ended' : null;
+    return {
+      conversations: conversations.filter(c => GameState.canRead(c, null, phase)),
+      declassified
+    };
+  }
+
+  async isDeclassified(gameId) {
+    const game = this.games.get(gameId);
+    if (game) {
+      return game.gameState.phase === 'ended';
+    }
+    const saved = await this.db.loadGame(gameId);
+    return !!saved && saved.status === 'ended';
+  }
+
   async getReputations(gameId) {
     return this.db.getReputations(gameId);
   }
@@ -243,16 +509,30 @@ class GameManager extends EventEmitter {
     return deals;
   }
 
+  // The checkpoint in game_data is never handed out - it holds private messages, commitments and
+  // agent memory; the game's public record is in the snapshots, events and battles
   async getReplay(gameId) {
     const game = await this.db.loadGame(gameId);
     const snapshots = await this.db.getSnapshots(gameId);
     const events = await this.db.getGameEvents(gameId);
-    const conversations = await this.db.getConversations(gameId);
+    const { conversations } = await this.getSpectatorConversations(gameId);
     const battles = await this.db.getBattles(gameId);
 
+    const metadata = game && {
+      id: game.id,
+      status: game.status,
+      turn: game.turn,
+      phase: game.phase,
+      winner: game.winner,
+      resultType: game.result_type || null,
+      seed: game.seed,
+      createdAt: game.created_at,
+      endedAt: game.ended_at || null
+    };
+
     return {
       gameId,
-      metadata: game,
+      metadata,
       snapshots,
       events,
       conversations,
@@ -265,7 +545,9 @@ class GameManager extends EventEmitter {
     return snapshots.find(s => s.turn === turn);
   }
 
-  async submitMove(gameId, agentId, move) {
+  // Commit phase: external agents submit sha256(JSON.stringify(move) + nonce) only,
+  // signed with the Ed25519 key registered for the seat
+  async submitMove(gameId, agentId, hash, signature) {
     const game = this.games.get(gameId);
     if (!game) throw new Error('Game not found');
 
@@ -273,25 +555,184 @@ class GameManager extends EventEmitter {
       throw new Error('Not in commit phase');
     }
 
-    // Create signature
-    const crypto = require('crypto');
-    const signature = crypto.createHash('sha256')
-      .update(`${agentId}:${JSON.stringify(move)}:${Date.now()}`)
-      .digest('hex');
-
-    const commitment = game.gameState.commitMove(agentId, move, signature);
+    const commitment = game.gameState.commitMove(agentId, hash, signature);
     return commitment;
   }
 
-  async sendMessage(gameId, agentId, message, target, type = 'public') {
+  // The credential a player or bot presents to act for a human or remote seat. Issued once, when
+  // the game is created - whoever holds it is the seat.
+  async issueSeatToken(gameId, agentId) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    const seat = game.gameState.agents.get(agentId);
+    if (!seat || !(seat.human || seat.remote)) throw new Error('Only human and remote seats get a token');
+    if (game.seatTokens.has(agentId)) throw new Error('The seat already has a token');
+
+    const token = crypto.randomBytes(24).toString('hex');
+    game.seatTokens.set(agentId, hashSeatToken(token));
+    await this.checkpoint(gameId);
+    return token;
+  }
+
+  isSeatToken(gameId, agentId, token) {
+    const game = this.games.get(gameId);
+    const expected = game && game.seatTokens.get(agentId);
+    if (!expected || typeof token !== 'string') return false;
+    return crypto.timingSafeEqual(expected, hashSeatToken(token));
+  }
+
+  // Players and bots register the key of their human or remote seat; agent controllers register their own
+  async registerPublicKey(gameId, agentId, publicKey) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    const seat = game.gameState.agents.get(agentId);
+    if (seat && !(seat.human || seat.remote)) {
+      throw new Error('Only human and remote seats register a key');
+    }
+
+    game.gameState.registerPublicKey(agentId, publicKey);
+    return { agentId, publicKey };
+  }
+
+  async getMoves(gameId, turn) {
+    return this.db.getMoves(gameId, turn);
+  }
+
+  // Check a logged move against the agent's key and its revealed move
+  async verifyMove(gameId, moveId) {
+    const move = await this.db.getMove(gameId, moveId);
+    if (!move) return null;
+
+    const publicKey = await this.db.getAgentKey(gameId, move.agent_id);
+    const payload = MoveSigner.commitmentPayload(gameId, move.turn, move.agent_id, move.hash);
+    const signed = move.signature !== '';
+
+    const signatureValid = signed && publicKey !== null && MoveSigner.verify(publicKey, payload, move.signature);
+    const hashValid = move.revealed_move !== null && move.nonce !== null &&
+      MoveSigner.hashMove(move.revealed_move, move.nonce) === move.hash;
+
+    return {
+      moveId: move.id,
+      agentId: move.agent_id,
+      turn: move.turn,
+      signed,
+      signatureValid,
+      hashValid,
+      valid: signatureValid && hashValid
+    };
+  }
+
+  // Reveal phase: the committed move and its nonce
+  async revealMove(gameId, agentId, move, nonce) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    return game.gameState.revealMove(agentId, move, nonce);
+  }
+
+  // content: { message?, target?, type?, intent?, payload? } - validated by GameState.postMessage
+  async sendMessage(gameId, agentId, content) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    return game.gameState.postMessage(agentId, content);
+  }
+
+  // Deal proposals from seats without an agent controller, made during negotiation
+  async proposeDeal(gameId, agentId, { target, type, terms = {} } = {}) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    const { gameState, reputationEngine } = game;
+    if (gameState.phase !== 'negotiation') {
+      throw new Error('Not in negotiation phase');
+    }
+
+    const proposer = gameState.agents.get(agentId);
+    if (!proposer || proposer.eliminated) {
+      throw new Error('Agent not active');
+    }
+    if (target === agentId || !gameState.agents.has(target) || gameState.agents.get(target).eliminated) {
+      throw new Error('Invalid deal target');
+    }
+    if (!ReputationEngine.dealTypes.includes(type)) {
+      throw new Error(`Invalid deal type: expected one of ${ReputationEngine.dealTypes.join(', ')}`);
+    }
+    if (typeof terms !== 'object' || terms === null || Array.isArray(terms) || JSON.stringify(terms).length > 1000) {
+      throw new Error('Invalid deal terms');
+    }
+
+    const deal = reputationEngine.recordDeal({
+      turn: gameState.turn,
+      phase: gameState.phase,
+      proposer: agentId,
+      acceptor: target,
+      type,
+      terms
+    });
+
+    // Agent controllers answer proposals they are sent
+    gameState.postMessage(agentId, { intent: 'propose', target, payload: { deal: type, dealId: deal.id, terms } });
+    return deal;
+  }
+
+  // Ask to extend an active deal - it is renewed once both parties have asked
+  async renewDeal(gameId, agentId, dealId, turns) {
     const game = this.games.get(gameId);
     if (!game) throw new Error('Game not found');
 
-    const fullMessage = target 
-      ? `[To ${target}]: ${message}`
-      : message;
+    return game.reputationEngine.renewDeal(dealId, agentId, turns);
+  }
+
+  // Answer a deal proposed to a seat without an agent controller, during negotiation.
+  // response: { decision: 'accept' | 'reject' | 'counter', reason?, type?, terms? }
+  async respondToDeal(gameId, agentId, dealId, { decision, reason, type, terms } = {}) {
+    const game = this.games.get(gameId);
+    if (!game) throw new Error('Game not found');
+
+    const { gameState, reputationEngine } = game;
+    if (gameState.phase !== 'negotiation') {
+      throw new Error('Not in negotiation phase');
+    }
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length === 0 || reason.length > 200)) {
+      throw new Error('Invalid reason');
+    }
+    if (terms !== undefined && (typeof terms !== 'object' || terms === null || Array.isArray(terms) || JSON.stringify(terms).length > 1000)) {
+      throw new Error('Invalid deal terms');
+    }
+
+    const result = reputationEngine.respondToDeal(dealId, agentId, { decision, reason, type, terms });
+    const { deal, counter } = result;
+
+    // Reply in the conversation to the proposal message, if the deal was proposed with one
+    const proposal = gameState.conversations.find(c =>
+      ['propose', 'counter'].includes(c.intent) && c.payload?.dealId === dealId && c.target === agentId);
+    if (proposal) {
+      const payload = { replyTo: proposal.id };
+      if (reason && decision === 'reject') payload.reason = reason;
+      if (counter) {
+        payload.deal = counter.type;
+        payload.dealId = counter.id;
+        payload.terms = counter.terms;
+      }
+      gameState.postMessage(agentId, { intent: decision, target: deal.proposer, payload });
+    }
+
+    return result;
+  }
+
+  listMaps() {
+    return this.maps.list();
+  }
+
+  listMapGenerators() {
+    return this.maps.listGenerators();
+  }
 
-    return game.gameState.logConversation(agentId, fullMessage, type);
+  getMap(mapId, options = {}) {
+    return this.maps.get(mapId, options);
   }
 
   getAgentName(type, index) {
@@ -302,7 +743,9 @@ class GameManager extends EventEmitter {
       opportunist: ['Cesare', 'Catalina', 'Francis', 'Cromwell', 'Sulla', 'Sejanus', 'Pisistratus'],
       balanced: ['Elizabeth', 'Frederick', 'Augustus', 'Suleiman', 'Charlemagne', 'Saladin', 'Wu'],
       isolationist: ['Tokugawa', 'Shaka', 'Zeno', 'Aethelred', 'Hideyoshi', 'Qin', 'Menelik'],
-      avenger: ['Hamlet', 'Orestes', 'Medea', 'Hieronimo', 'Titus', 'Elektra', 'Hecuba']
+      avenger: ['Hamlet', 'Orestes', 'Medea', 'Hieronimo', 'Titus', 'Elektra', 'Hecuba'],
+      llm: ['Oracle', 'Sibyl', 'Pythia', 'Cassandra', 'Augur', 'Seer', 'Delphi'],
+      webhook: ['Relay', 'Courier', 'Envoy', 'Herald', 'Emissary', 'Legate', 'Nuncio']
     };
 
     const typeNames = names[type] || names.balanced;
@@ -1,12 +1,15 @@
-// WebSocket Server - Real-time updates for spectators
+// WebSocket Server - Real-time updates for spectators, players and remote bots
 const WebSocket = require('ws');
 const url = require('url');
 
+// Messages that act for the client's seat
+const SEAT_MESSAGES = ['send_message', 'submit_move', 'reveal_move', 'register_key', 'propose_deal', 'respond_deal', 'renew_deal'];
+
 class WebSocketServer {
   constructor(server, gameManager) {
     this.wss = new WebSocket.Server({ server });
     this.gameManager = gameManager;
-    this.clients = new Map(); // ws -> { gameId, type, agentId }
+    this.clients = new Map(); // ws -> { gameId, type, agentId, seated }
     
     this.setupHandlers();
     this.setupGameListeners();
@@ -15,12 +18,36 @@ class WebSocketServer {
   setupHandlers() {
     this.wss.on('connection', (ws, req) => {
       const params = url.parse(req.url, true).query;
-      const { gameId, type = 'spectator', agentId } = params;
+      const { gameId, type = 'spectator', agentId, token } = params;
 
       console.log(`WebSocket connection: ${type} for game ${gameId}`);
 
       // Store client info
-      this.clients.set(ws, { gameId, type, agentId, subscribedAt: Date.now() });
+      const client = { gameId, type, agentId, seated: false, subscribedAt: Date.now() };
+      this.clients.set(ws, client);
+
+      // Bots are seated before anything else - without a free seat they are turned away
+      if (type === 'bot') {
+        client.agentId = this.assignSeat(client, token);
+        if (!client.agentId) {
+          this.sendError(ws, 'No free remote seat in this game for that token');
+          this.clients.delete(ws);
+          ws.close();
+          return;
+        }
+        client.seated = true;
+      }
+
+      // Players take their seat with its token as well
+      if (type === 'player') {
+        if (!this.gameManager.isSeatToken(gameId, agentId, token)) {
+          this.sendError(ws, 'A valid seat token is required');
+          this.clients.delete(ws);
+          ws.close();
+          return;
+        }
+        client.seated = true;
+      }
 
       // Send initial state
       this.sendInitialState(ws, gameId);
@@ -57,6 +84,50 @@ class WebSocketServer {
           timestamp: Date.now()
         }
       });
+
+      if (type === 'bot') {
+        this.send(ws, {
+          type: 'seat_assigned',
+          data: { gameId, agentId: client.agentId }
+        });
+        this.sendAgentState(ws);
+      }
+    });
+  }
+
+  // The seat a bot asked for, or the first free remote seat of the game - either way one the token was issued for
+  assignSeat(client, token) {
+    const game = this.gameManager.getGame(client.gameId);
+    if (!game) return null;
+
+    const taken = new Set();
+    for (const other of this.clients.values()) {
+      if (other !== client && other.type === 'bot' && this.isSeated(other) && other.gameId === client.gameId) {
+        taken.add(other.agentId);
+      }
+    }
+
+    const seat = game.getRemoteSeats()
+      .find(s => !s.eliminated && !taken.has(s.id) && (!client.agentId || s.id === client.agentId) &&
+        this.gameManager.isSeatToken(client.gameId, s.id, token));
+    return seat ? seat.id : null;
+  }
+
+  // Bots get their private view at every phase, with the time the phase ends
+  sendAgentState(ws) {
+    const client = this.clients.get(ws);
+    const game = this.isSeated(client) && this.gameManager.getGame(client.gameId);
+    if (!game) return;
+
+    const duration = game.phaseDuration[game.phase];
+    this.send(ws, {
+      type: 'agent_state',
+      data: {
+        phase: game.phase,
+        turn: game.turn,
+        deadline: game.phaseStartTime && duration ? game.phaseStartTime + duration : null,
+        state: game.getAgentState(client.agentId)
+      }
     });
   }
 
@@ -78,6 +149,67 @@ class WebSocketServer {
           timestamp: Date.now()
         }
       });
+
+      for (const [ws, client] of this.clients) {
+        if (client.type === 'bot' && this.isSeated(client) && client.gameId === data.gameId) {
+          this.sendAgentState(ws);
+        }
+      }
+    });
+
+    // The proposed-to seat hears about deals made over the API or by other seats
+    this.gameManager.on('dealProposed', ({ gameId, deal }) => {
+      const ws = this.findSeatSocket(gameId, deal.acceptor);
+      if (ws) {
+        this.send(ws, { type: 'deal_proposed', data: deal });
+      }
+    });
+
+    // Everyone watching sees how proposals are answered
+    this.gameManager.on('dealResponded', ({ gameId, deal, decision, counter }) => {
+      this.broadcastToGame(gameId, {
+        type: 'deal_response',
+        data: { deal, decision, counter }
+      });
+    });
+
+    // Messages go to spectators when public, otherwise only to the sender's and recipients' seats
+    this.gameManager.on('conversation', ({ gameId, entry }) => {
+      const game = this.gameManager.getGame(gameId);
+      if (!game) return;
+
+      for (const [ws, client] of this.clients) {
+        if (client.gameId !== gameId) continue;
+        if (game.canRead(entry, this.isSeated(client) ? client.agentId : null)) {
+          this.send(ws, { type: 'conversation', data: entry });
+        }
+      }
+    });
+
+    this.gameManager.on('dealRenewed', ({ gameId, deal }) => {
+      this.broadcastToGame(gameId, { type: 'deal_renewed', data: { deal } });
+    });
+
+    this.gameManager.on('alliancesChanged', ({ gameId, alliances }) => {
+      this.broadcastToGame(gameId, { type: 'alliance_update', data: { alliances } });
+    });
+
+    this.gameManager.on('agreementsExpired', ({ gameId, turn, deals, alliances }) => {
+      this.broadcastToGame(gameId, {
+        type: 'agreements_expired',
+        data: {
+          turn,
+          deals,
+          alliances: alliances.map(a => ({ ...a, members: Array.from(a.members) }))
+        }
+      });
+    });
+
+    this.gameManager.on('agentEliminated', ({ gameId, agentId, eliminatedBy, turn, inherited }) => {
+      this.broadcastToGame(gameId, {
+        type: 'agent_eliminated',
+        data: { agentId, eliminatedBy, turn, inherited }
+      });
     });
 
     this.gameManager.on('turnStarted', (data) => {
@@ -96,6 +228,7 @@ class WebSocketServer {
         data: {
           winner: data.winner,
           type: data.type,
+          scores: data.scores || null,
           turns: data.turns,
           timestamp: Date.now()
         }
@@ -107,10 +240,18 @@ class WebSocketServer {
     const client = this.clients.get(ws);
     if (!client) return;
 
+    if (SEAT_MESSAGES.includes(message.type) && !this.isSeated(client)) {
+      this.sendError(ws, 'A valid seat token is required');
+      return;
+    }
+
     switch(message.type) {
       case 'subscribe':
-        // Change subscription
+        // Change subscription - the seat stays behind, other games are watched as a spectator
         if (message.gameId) {
+          if (message.gameId !== client.gameId) {
+            client.seated = false;
+          }
           client.gameId = message.gameId;
           this.sendInitialState(ws, message.gameId);
         }
@@ -126,16 +267,33 @@ class WebSocketServer {
 
       case 'send_message':
         // Handle player sending a message
-        if (client.type === 'player' && client.agentId) {
-          this.handlePlayerMessage(client.gameId, client.agentId, message.data);
-        }
+        this.handlePlayerMessage(client.gameId, client.agentId, message.data || {});
         break;
 
       case 'submit_move':
-        // Handle player submitting a move
-        if (client.type === 'player' && client.agentId) {
-          this.handlePlayerMove(client.gameId, client.agentId, message.data);
-        }
+        // Handle player committing a move hash
+        this.handlePlayerMove(client.gameId, client.agentId, message.data);
+        break;
+
+      case 'reveal_move':
+        // Handle player revealing the committed move
+        this.handlePlayerReveal(client.gameId, client.agentId, message.data || {});
+        break;
+
+      case 'register_key':
+        this.handleRegisterKey(ws, client, message.data || {});
+        break;
+
+      case 'propose_deal':
+        this.handleProposeDeal(ws, client, message.data || {});
+        break;
+
+      case 'respond_deal':
+        this.handleRespondDeal(ws, client, message.data || {});
+        break;
+
+      case 'renew_deal':
+        this.handleRenewDeal(ws, client, message.data || {});
         break;
 
       default:
@@ -153,7 +311,7 @@ class WebSocketServer {
     const client = this.clients.get(ws);
     
     let state;
-    if (client.type === 'player' && client.agentId) {
+    if (this.isSeated(client)) {
       // Send private state to player
       state = game.getAgentState(client.agentId);
     } else {
@@ -167,38 +325,69 @@ class WebSocketServer {
     });
   }
 
+  // Players and bots act for the seat they presented the token of
+  isSeated(client) {
+    return !!client && client.seated;
+  }
+
+  async handleRegisterKey(ws, client, data) {
+    try {
+      await this.gameManager.registerPublicKey(client.gameId, client.agentId, data.publicKey);
+      this.send(ws, { type: 'key_registered', data: { agentId: client.agentId } });
+    } catch (err) {
+      this.sendError(ws, err.message);
+    }
+  }
+
+  async handleProposeDeal(ws, client, data) {
+    try {
+      const deal = await this.gameManager.proposeDeal(client.gameId, client.agentId, data);
+      this.send(ws, { type: 'deal_submitted', data: deal });
+    } catch (err) {
+      this.sendError(ws, err.message);
+    }
+  }
+
+  async handleRespondDeal(ws, client, data) {
+    try {
+      const { dealId, ...response } = data;
+      const result = await this.gameManager.respondToDeal(client.gameId, client.agentId, dealId, response);
+      this.send(ws, { type: 'deal_responded', data: result });
+    } catch (err) {
+      this.sendError(ws, err.message);
+    }
+  }
+
+  async handleRenewDeal(ws, client, data) {
+    try {
+      const deal = await this.gameManager.renewDeal(client.gameId, client.agentId, data.dealId, data.turns);
+      this.send(ws, { type: 'renewal_submitted', data: deal });
+    } catch (err) {
+      this.sendError(ws, err.message);
+    }
+  }
+
   async handlePlayerMessage(gameId, agentId, data) {
     try {
-      const result = await this.gameManager.sendMessage(
-        gameId, 
-        agentId, 
-        data.message, 
-        data.target, 
-        data.type || 'public'
-      );
-      
-      // Broadcast the message to all clients
-      this.broadcastToGame(gameId, {
-        type: 'conversation',
-        data: {
-          id: result.id,
-          agentId,
-          message: data.message,
-          type: data.type || 'public',
-          timestamp: result.timestamp
-        }
-      });
+      const { message, target, type, recipients, allianceId, intent, payload } = data || {};
+      // Delivered to those who may read it by the conversation listener
+      await this.gameManager.sendMessage(gameId, agentId, { message, target, type, recipients, allianceId, intent, payload });
     } catch (err) {
       console.error('Failed to handle player message:', err);
+
+      const playerWs = this.findSeatSocket(gameId, agentId);
+      if (playerWs) {
+        this.sendError(playerWs, err.message);
+      }
     }
   }
 
-  async handlePlayerMove(gameId, agentId, move) {
+  async handlePlayerMove(gameId, agentId, data) {
     try {
-      const result = await this.gameManager.submitMove(gameId, agentId, move);
+      const result = await this.gameManager.submitMove(gameId, agentId, data && data.hash, data && data.signature);
       
       // Notify the player
-      const playerWs = this.findPlayerSocket(gameId, agentId);
+      const playerWs = this.findSeatSocket(gameId, agentId);
       if (playerWs) {
         this.send(playerWs, {
           type: 'move_accepted',
@@ -222,17 +411,38 @@ class WebSocketServer {
       console.error('Failed to handle player move:', err);
       
       // Notify the player of error
-      const playerWs = this.findPlayerSocket(gameId, agentId);
+      const playerWs = this.findSeatSocket(gameId, agentId);
+      if (playerWs) {
+        this.sendError(playerWs, err.message);
+      }
+    }
+  }
+
+  async handlePlayerReveal(gameId, agentId, data) {
+    const playerWs = this.findSeatSocket(gameId, agentId);
+
+    try {
+      const result = await this.gameManager.revealMove(gameId, agentId, data.move, data.nonce);
+
+      if (playerWs) {
+        this.send(playerWs, {
+          type: 'reveal_accepted',
+          data: result
+        });
+      }
+    } catch (err) {
+      console.error('Failed to handle player reveal:', err);
+
       if (playerWs) {
         this.sendError(playerWs, err.message);
       }
     }
   }
 
-  findPlayerSocket(gameId, agentId) {
+  findSeatSocket(gameId, agentId) {
     for (const [ws, client] of this.clients) {
       if (client.gameId === gameId && 
-          client.type === 'player' && 
+          this.isSeated(client) && 
           client.agentId === agentId) {
         return ws;
       }
@@ -307,19 +517,23 @@ class WebSocketServer {
       games: {},
       types: {
         spectator: 0,
-        player: 0
+        player: 0,
+        bot: 0
       }
     };
 
     for (const [ws, client] of this.clients) {
       // Count by game
       if (!stats.games[client.gameId]) {
-        stats.games[client.gameId] = { spectators: 0, players: 0 };
+        stats.games[client.gameId] = { spectators: 0, players: 0, bots: 0 };
       }
       
       if (client.type === 'player') {
         stats.games[client.gameId].players++;
         stats.types.player++;
+      } else if (client.type === 'bot') {
+        stats.games[client.gameId].bots++;
+        stats.types.bot++;
       } else {
         stats.games[client.gameId].spectators++;
         stats.types.spectator++;
@@ -4,6 +4,11 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const path = require('path');
+const MapGenerator = require('../engine/MapGenerator');
+const VictoryConditions = require('../engine/VictoryConditions');
+const GameConfig = require('../engine/GameConfig');
+const { AgentFactory, WebhookAgent, ProviderFactory } = require('../agents');
 
 class APIServer {
   constructor(gameManager, reputationEngine) {
@@ -56,6 +61,14 @@ class APIServer {
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
 
+    // Map validation is shared with the map editor page, the message schema with the game page
+    this.app.get('/js/MapValidator.js', (req, res) => {
+      res.type('application/javascript').sendFile(path.join(__dirname, '..', 'engine', 'MapValidator.js'));
+    });
+    this.app.get('/js/MessageSchema.js', (req, res) => {
+      res.type('application/javascript').sendFile(path.join(__dirname, '..', 'engine', 'MessageSchema.js'));
+    });
+
     // Static files
     this.app.use(express.static('public'));
   }
@@ -72,6 +85,7 @@ class APIServer {
     this.setupReputationRoutes();
     this.setupReplayRoutes();
     this.setupSpectatorRoutes();
+    this.setupMapRoutes();
 
     // Error handling
     this.app.use((err, req, res, next) => {
@@ -92,14 +106,89 @@ class APIServer {
     // Create new game
     this.app.post('/api/games', async (req, res, next) => {
       try {
-        const { agentTypes, mapType, maxTurns } = req.body;
+        const { agentTypes, mapType, mapSize, maxTurns, seed, inheritResources, victory, config } = req.body;
+
+        if (seed !== undefined && !(typeof seed === 'string' && seed.length > 0 && seed.length <= 128) && !Number.isInteger(seed)) {
+          return res.status(400).json({ error: 'Invalid seed: expected a non-empty string or an integer' });
+        }
+
+        if (inheritResources !== undefined && typeof inheritResources !== 'boolean') {
+          return res.status(400).json({ error: 'Invalid inheritResources: expected a boolean' });
+        }
+
+        // A bare maxTurns, as older clients send it, overrides the config's
+        const configErrors = [...GameConfig.validate(config), ...(maxTurns !== undefined ? GameConfig.validate({ maxTurns }) : [])];
+        if (configErrors.length > 0) {
+          return res.status(400).json({ error: `Invalid config: ${configErrors.join('; ')}` });
+        }
+        const { agentCount } = GameConfig.normalize(config);
+
+        if (mapSize !== undefined && !MapGenerator.sizes.includes(mapSize)) {
+          return res.status(400).json({ error: `Invalid mapSize: expected one of ${MapGenerator.sizes.join(', ')}` });
+        }
+
+        const map = this.gameManager.getMap(mapType || 'classic', { players: agentCount, size: mapSize });
+        if (!map) {
+          return res.status(400).json({ error: `Unknown map: ${mapType}` });
+        }
+
+        const victoryErrors = VictoryConditions.validate(victory, { continents: Object.keys(map.continents || {}) });
+        if (victoryErrors.length > 0) {
+          return res.status(400).json({ error: `Invalid victory: ${victoryErrors.join('; ')}` });
+        }
+
+        // 'human' and 'remote' mark seats played through the API or WebSocket instead of an agent controller;
+        // object seats carry agent config - webhook seats must, llm seats may
+        const seatTypes = [...AgentFactory.getAgentTypes().filter(t => t !== 'webhook'), 'human', 'remote'];
+        const isInteger = (n) => n === undefined || Number.isInteger(n);
+        const isConfiguredSeat = (t) => {
+          if (!t || typeof t !== 'object') return false;
+          if (t.type === 'webhook') {
+            return WebhookAgent.isValidUrl(t.url) && isInteger(t.timeout) && isInteger(t.retries);
+          }
+          if (t.type === 'llm') {
+            return (t.provider === undefined || ProviderFactory.getProviderNames().includes(t.provider)) &&
+              (t.persona === undefined || (typeof t.persona === 'string' && t.persona.length <= 200)) &&
+              isInteger(t.timeout);
+          }
+          return false;
+        };
+        if (agentTypes !== undefined && !(Array.isArray(agentTypes) && agentTypes.length <= agentCount && agentTypes.every(t => seatTypes.includes(t) || isConfiguredSeat(t)))) {
+          return res.status(400).json({ error: `Invalid agentTypes: expected up to ${agentCount} of ${seatTypes.join(', ')}, { type: 'webhook', url } or { type: 'llm', provider, persona }` });
+        }
+
+        // Webhook seats make the server call out, so only to hosts the operator allowed
+        const webhooks = (agentTypes || []).filter(t => typeof t === 'object' && t.type === 'webhook');
+        if (webhooks.length > 0 && !WebhookAgent.isEnabled()) {
+          return res.status(400).json({ error: 'Webhook seats are disabled on this server' });
+        }
+        const refused = webhooks.find(t => !WebhookAgent.isAllowedUrl(t.url));
+        if (refused) {
+          return res.status(400).json({ error: `Webhook url not allowed on this server: ${refused.url}` });
+        }
         
+        // Only the documented config reaches the agents
+        const seats = agentTypes && agentTypes.map(t => typeof t === 'object'
+          ? { type: t.type, url: t.url, timeout: t.timeout, retries: t.retries, provider: t.provider, persona: t.persona }
+          : t);
+
         const game = await this.gameManager.createGame({
-          agentTypes: agentTypes || ['conqueror', 'diplomat', 'deceiver', 'opportunist', 'balanced', 'isolationist', 'avenger'],
+          agentTypes: seats || ['conqueror', 'diplomat', 'deceiver', 'opportunist', 'balanced', 'isolationist', 'avenger'],
           mapType: mapType || 'classic',
-          maxTurns: maxTurns || 50
+          mapSize,
+          maxTurns,
+          config,
+          seed,
+          inheritResources,
+          victory
         });
 
+        // The seat tokens are handed out here only - the creator passes them on to the players and bots
+        const tokens = {};
+        for (const seat of [...game.getHumanSeats(), ...game.getRemoteSeats()]) {
+          tokens[seat.id] = await this.gameManager.issueSeatToken(game.gameId, seat.id);
+        }
+
         res.status(201).json({
           gameId: game.gameId,
           status: 'created',
@@ -107,9 +196,14 @@ class APIServer {
             id: a.id,
             name: a.name,
             type: a.personality?.type,
-            color: a.color
+            color: a.color,
+            human: a.human,
+            remote: a.remote,
+            token: tokens[a.id]
           })),
-          map: mapType || 'classic'
+          map: game.mapType,
+          seed: game.seed,
+          config: game.config
         });
       } catch (err) {
         next(err);
@@ -204,17 +298,66 @@ class APIServer {
         next(err);
       }
     });
+
+    // Get logged moves of a turn
+    this.app.get('/api/games/:gameId/moves', async (req, res, next) => {
+      try {
+        const { gameId } = req.params;
+        const turn = parseInt(req.query.turn);
+
+        if (!Number.isInteger(turn)) {
+          return res.status(400).json({ error: 'turn is required' });
+        }
+
+        const moves = await this.gameManager.getMoves(gameId, turn);
+        res.json({ moves });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // Verify a logged move against its agent's public key and revealed move
+    this.app.get('/api/games/:gameId/moves/:moveId/verify', async (req, res, next) => {
+      try {
+        const { gameId, moveId } = req.params;
+        const result = await this.gameManager.verifyMove(gameId, parseInt(moveId));
+
+        if (!result) {
+          return res.status(404).json({ error: 'Move not found' });
+        }
+
+        res.json(result);
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  // Reading a seat's private view or acting for it takes the token issued for the seat,
+  // sent as Authorization: Bearer <token>
+  requireSeat(req, res, next) {
+    const { gameId, agentId } = req.params;
+    if (!this.gameManager.getGame(gameId)) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !this.gameManager.isSeatToken(gameId, agentId, token)) {
+      return res.status(401).json({ error: 'A valid seat token is required' });
+    }
+    next();
   }
 
   setupAgentRoutes() {
+    const seat = (req, res, next) => this.requireSeat(req, res, next);
+
     // Get agent types
     this.app.get('/api/agents/types', (req, res) => {
-      const { AgentFactory } = require('../agents');
       res.json({ types: AgentFactory.getAgentPresets() });
     });
 
     // Get agent state (private view)
-    this.app.get('/api/games/:gameId/agents/:agentId', async (req, res, next) => {
+    this.app.get('/api/games/:gameId/agents/:agentId', seat, async (req, res, next) => {
       try {
         const { gameId, agentId } = req.params;
         const game = this.gameManager.getGame(gameId);
@@ -234,36 +377,162 @@ class APIServer {
       }
     });
 
-    // Submit move (for human players or external agents)
-    this.app.post('/api/games/:gameId/agents/:agentId/move', async (req, res, next) => {
+    // Register an Ed25519 public key (PEM) for a seat
+    this.app.post('/api/games/:gameId/agents/:agentId/key', seat, async (req, res, next) => {
       try {
         const { gameId, agentId } = req.params;
-        const { move } = req.body;
+        const { publicKey } = req.body;
+
+        if (typeof publicKey !== 'string' || publicKey.length > 1000) {
+          return res.status(400).json({ error: 'Invalid public key' });
+        }
+
+        const result = await this.gameManager.registerPublicKey(gameId, agentId, publicKey);
+        res.json({ success: true, result });
+      } catch (err) {
+        next(err);
+      }
+    });
 
-        // Validate move
-        if (!move || !move.type) {
+    // Commit move hash (for human players or external agents)
+    this.app.post('/api/games/:gameId/agents/:agentId/move', seat, async (req, res, next) => {
+      try {
+        const { gameId, agentId } = req.params;
+        const { hash, signature } = req.body;
+
+        // Only the commitment is sent now - the move follows in the reveal phase
+        if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+          return res.status(400).json({ error: 'Invalid commitment hash' });
+        }
+        if (typeof signature !== 'string' || signature.length === 0) {
+          return res.status(400).json({ error: 'Missing signature' });
+        }
+
+        const commitment = await this.gameManager.submitMove(gameId, agentId, hash, signature);
+        res.json({ success: true, result: { hash: commitment.hash, timestamp: commitment.timestamp } });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // Reveal committed move (for human players or external agents)
+    this.app.post('/api/games/:gameId/agents/:agentId/reveal', seat, async (req, res, next) => {
+      try {
+        const { gameId, agentId } = req.params;
+        const { move, nonce } = req.body;
+
+        // Validate move - a single move or an order set
+        if (!move || (!move.type && !Array.isArray(move.orders))) {
           return res.status(400).json({ error: 'Invalid move data' });
         }
+        if (typeof nonce !== 'string' || nonce.length === 0 || nonce.length > 256) {
+          return res.status(400).json({ error: 'Invalid nonce' });
+        }
 
-        const result = await this.gameManager.submitMove(gameId, agentId, move);
+        const result = await this.gameManager.revealMove(gameId, agentId, move, nonce);
         res.json({ success: true, result });
       } catch (err) {
         next(err);
       }
     });
 
-    // Send message (for human players)
-    this.app.post('/api/games/:gameId/agents/:agentId/message', async (req, res, next) => {
+    // Propose a deal (for human players or external agents, negotiation phase)
+    this.app.post('/api/games/:gameId/agents/:agentId/deals', seat, async (req, res, next) => {
       try {
         const { gameId, agentId } = req.params;
-        const { message, target, type = 'public' } = req.body;
+        const { target, type, terms } = req.body;
 
-        if (!message || message.length > 500) {
-          return res.status(400).json({ error: 'Invalid message' });
+        if (terms !== undefined && (typeof terms !== 'object' || terms === null || Array.isArray(terms) || JSON.stringify(terms).length > 1000)) {
+          return res.status(400).json({ error: 'Invalid deal terms' });
         }
 
-        const result = await this.gameManager.sendMessage(gameId, agentId, message, target, type);
+        const deal = await this.gameManager.proposeDeal(gameId, agentId, { target, type, terms });
+        res.status(201).json({ success: true, deal });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // Accept, reject or counter a deal proposed to this agent (negotiation phase)
+    this.app.post('/api/games/:gameId/agents/:agentId/deals/:dealId/respond', seat, async (req, res, next) => {
+      try {
+        const { gameId, agentId, dealId } = req.params;
+        const { decision, reason, type, terms } = req.body;
+
+        if (!['accept', 'reject', 'counter'].includes(decision)) {
+          return res.status(400).json({ error: 'Invalid decision: expected accept, reject or counter' });
+        }
+
+        const { deal, counter } = await this.gameManager.respondToDeal(gameId, agentId, dealId, { decision, reason, type, terms });
+        res.json({ success: true, deal, counter });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // Ask to extend an active deal by a number of turns - both parties have to ask
+    this.app.post('/api/games/:gameId/agents/:agentId/deals/:dealId/renew', seat, async (req, res, next) => {
+      try {
+        const { gameId, agentId, dealId } = req.params;
+        const { turns } = req.body;
+
+        if (!Number.isInteger(turns) || turns < 1 || turns > 20) {
+          return res.status(400).json({ error: 'Invalid renewal: expected 1-20 turns' });
+        }
+
+        const deal = await this.gameManager.renewDeal(gameId, agentId, dealId, turns);
+        res.json({ success: true, deal, renewed: Object.keys(deal.renewals).length === 0 });
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // Send message (for human players) - free text and/or a structured intent, see MessageSchema
+    this.app.post('/api/games/:gameId/agents/:agentId/message', seat, async (req, res, next) => {
+      try {
+        const { gameId, agentId } = req.params;
+        const { message, target, type, recipients, allianceId, intent, payload } = req.body;
+
+        const result = await this.gameManager.sendMessage(gameId, agentId, { message, target, type, recipients, allianceId, intent, payload });
         res.json({ success: true, messageId: result.id });
+      } catch (err) {
+        if (err.message.startsWith('Invalid message')) {
+          return res.status(400).json({ error: err.message });
+        }
+        next(err);
+      }
+    });
+  }
+
+  setupMapRoutes() {
+    // List available maps, and the prefixes of generated ones ('random' -> random:<seed>)
+    this.app.get('/api/maps', (req, res) => {
+      res.json({
+        maps: this.gameManager.listMaps(),
+        generators: this.gameManager.listMapGenerators(),
+        sizes: MapGenerator.sizes
+      });
+    });
+
+    // Get a full map definition - generated maps take ?players=&size=
+    this.app.get('/api/maps/:mapId', (req, res, next) => {
+      try {
+        const { players, size } = req.query;
+
+        if (size !== undefined && !MapGenerator.sizes.includes(size)) {
+          return res.status(400).json({ error: `Invalid size: expected one of ${MapGenerator.sizes.join(', ')}` });
+        }
+
+        const map = this.gameManager.getMap(req.params.mapId, {
+          players: players ? Math.min(7, Math.max(2, parseInt(players) || 7)) : undefined,
+          size
+        });
+
+        if (!map) {
+          return res.status(404).json({ error: 'Map not found' });
+        }
+
+        res.json(map);
       } catch (err) {
         next(err);
       }
@@ -347,12 +616,11 @@ class APIServer {
         }
 
         const publicState = game.getPublicState();
-        const conversations = game.conversations;
         const reputations = this.reputationEngine.getAllReputations();
 
         res.json({
           ...publicState,
-          conversations,
+          declassified: game.phase === 'ended',
           reputations,
           timeRemaining: this.gameManager.getTimeRemaining(gameId)
         });
@@ -361,19 +629,20 @@ class APIServer {
       }
     });
 
-    // Get conversations
+    // Get conversations - public ones while the game runs, all of them once it has ended
     this.app.get('/api/games/:gameId/conversations', async (req, res, next) => {
       try {
         const { gameId } = req.params;
-        const { turn, type, since } = req.query;
+        const { turn, type, intent, since } = req.query;
         
-        const conversations = await this.gameManager.getConversations(gameId, {
+        const { conversations, declassified } = await this.gameManager.getSpectatorConversations(gameId, {
           turn: turn ? parseInt(turn) : undefined,
           type,
+          intent,
           since: since ? parseInt(since) : undefined
         });
 
-        res.json({ conversations });
+        res.json({ conversations, declassified });
       } catch (err) {
         next(err);
       }
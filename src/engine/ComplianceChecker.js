@@ -0,0 +1,158 @@
+// Compliance Checker - Holds active deals to the orders agents actually revealed
+//
+// Runs once per turn after battles resolve. Every deal forbids the parties from attacking
+// each other; on top of that the terms can ask for more:
+//   attack-agreement  { against?, territory? }       both parties attack the target
+//   support           { by?, territory }             the promiser (default: the acceptor) supports
+//                                                    the other party whenever the territory is attacked
+//   trade             { give: { agentId: amount } }  resources change hands at the first resolve
+// Deals that hold until they run out are completed by ReputationEngine.expireAgreements.
+class ComplianceChecker {
+  constructor(gameState, reputationEngine) {
+    this.gameState = gameState;
+    this.reputationEngine = reputationEngine;
+  }
+
+  // Returns [{ dealId, verdict: 'broken' | 'fulfilled' | 'kept', agentId?, evidence? }]
+  check(battleResults = []) {
+    const turn = this.gameState.turn;
+    this.reputationEngine.currentTurn = turn;
+
+    const hostile = this.collectHostileActs(battleResults);
+    const verdicts = [];
+
+    for (const deal of this.reputationEngine.deals.values()) {
+      if (deal.status !== 'active') continue;
+
+      const parties = [deal.proposer, deal.acceptor];
+      const terms = deal.terms || {};
+
+      // Attacking a deal partner breaks any deal, as does withholding a promised support or payment
+      const evidence = [
+        ...hostile.filter(act => parties.includes(act.agentId) && parties.includes(act.victim)),
+        ...this.checkSupportPromise(deal, terms, battleResults),
+        ...this.checkTrade(deal, terms)
+      ].map(act => ({ ...act, turn }));
+
+      if (evidence.length > 0) {
+        this.breakDeal(deal, evidence);
+        verdicts.push({ dealId: deal.id, verdict: 'broken', agentId: evidence[0].agentId, evidence });
+        continue;
+      }
+
+      // Trades settle at once
+      if (deal.type === 'trade') {
+        this.settleTrade(deal, terms.give || {});
+        parties.forEach(agentId => this.reputationEngine.fulfillDeal(deal.id, agentId));
+        verdicts.push({ dealId: deal.id, verdict: 'fulfilled' });
+        continue;
+      }
+
+      // Attack agreements are done once both sides have struck
+      if (deal.type === 'attack-agreement') {
+        for (const agentId of parties) {
+          if (!deal.fulfilled[agentId] && this.attackedTarget(agentId, terms, hostile)) {
+            this.reputationEngine.fulfillDeal(deal.id, agentId);
+            verdicts.push({ dealId: deal.id, verdict: 'fulfilled', agentId });
+          }
+        }
+        continue;
+      }
+
+      verdicts.push({ dealId: deal.id, verdict: 'kept' });
+    }
+
+    return verdicts;
+  }
+
+  // Attacks and applied supports of this turn: [{ agentId, victim, type, territory, from?, armies? }]
+  collectHostileActs(battleResults) {
+    const battles = new Map(battleResults.map(result => [result.territory, result]));
+    const acts = [];
+
+    for (const { agentId, order } of this.gameState.getRevealedOrders('attack')) {
+      const battle = battles.get(order.to);
+      if (battle && battle.defender && battle.defender !== agentId) {
+        acts.push({ agentId, victim: battle.defender, type: 'attack', territory: order.to, from: order.from, armies: order.armies || 1 });
+      }
+    }
+
+    for (const battle of battleResults) {
+      (battle.supports || [])
+        .filter(sup => sup.applied && sup.backing !== battle.defender && sup.agentId !== battle.defender)
+        .forEach(sup => acts.push({
+          agentId: sup.agentId,
+          victim: battle.defender,
+          type: 'support-attack',
+          territory: battle.territory,
+          from: sup.from,
+          armies: sup.strength
+        }));
+    }
+
+    return acts;
+  }
+
+  // A promised support is owed whenever the territory comes under attack by a third party
+  checkSupportPromise(deal, terms, battleResults) {
+    const promise = terms.support;
+    if (!promise || !promise.territory) return [];
+
+    const by = promise.by || deal.acceptor;
+    const backing = by === deal.proposer ? deal.acceptor : deal.proposer;
+    const battle = battleResults.find(r => r.territory === promise.territory);
+    if (!battle || battle.attackers.includes(by)) return [];
+
+    const side = battle.defender === backing ? battle.defender : battle.attackers.find(a => a === backing);
+    if (!side) return [];
+
+    // Cut supports count - the promiser did what it could
+    const supported = this.gameState.getRevealedOrders('support')
+      .some(({ agentId, order }) => agentId === by && order.to === promise.territory && (order.backing || battle.defender) === backing);
+    return supported ? [] : [{ agentId: by, victim: backing, type: 'support-withheld', territory: promise.territory }];
+  }
+
+  // Payments that cannot be made break the deal
+  checkTrade(deal, terms) {
+    if (deal.type !== 'trade' || !terms.give) return [];
+
+    return Object.entries(terms.give)
+      .filter(([agentId, amount]) => (agentId === deal.proposer || agentId === deal.acceptor) && Number.isInteger(amount) && amount > 0)
+      .filter(([agentId, amount]) => (this.gameState.agents.get(agentId)?.resources || 0) < amount)
+      .map(([agentId, amount]) => ({
+        agentId,
+        victim: agentId === deal.proposer ? deal.acceptor : deal.proposer,
+        type: 'trade-unpaid',
+        owed: amount,
+        had: this.gameState.agents.get(agentId)?.resources || 0
+      }));
+  }
+
+  settleTrade(deal, give) {
+    for (const [agentId, amount] of Object.entries(give)) {
+      if (agentId !== deal.proposer && agentId !== deal.acceptor) continue;
+      const from = this.gameState.agents.get(agentId);
+      const to = this.gameState.agents.get(agentId === deal.proposer ? deal.acceptor : deal.proposer);
+      if (!from || !to || !Number.isInteger(amount) || amount <= 0) continue;
+
+      from.resources -= amount;
+      to.resources += amount;
+    }
+  }
+
+  attackedTarget(agentId, terms, hostile) {
+    return hostile.some(act => act.agentId === agentId &&
+      (!terms.against || act.victim === terms.against) &&
+      (!terms.territory || act.territory === terms.territory));
+  }
+
+  breakDeal(deal, evidence) {
+    const breaker = evidence[0].agentId;
+    const victim = breaker === deal.proposer ? deal.acceptor : deal.proposer;
+
+    this.reputationEngine.breakDeal(deal.id, breaker, evidence[0].type, evidence);
+    this.gameState.logDiplomaticEvent('betrayal', breaker, victim, { dealId: deal.id, dealType: deal.type, evidence });
+  }
+}
+
+module.exports = ComplianceChecker;
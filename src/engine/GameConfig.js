@@ -0,0 +1,134 @@
+// Game Config - Pace and starting position of a game, from a preset with per-game overrides
+//
+// The config is given as `config` to POST /api/games; every field is optional:
+//   preset             'blitz' (default), 'standard' or 'correspondence' - the base the other fields override
+//   maxTurns           turn limit
+//   phaseDuration      ms per phase { negotiation, commit, reveal, resolve }
+//   warnings           ms before the end of a phase to warn at { negotiation, commit, reveal }, null for none
+//   startingArmies     armies on each territory when the map is dealt out
+//   startingResources  resources each agent starts with
+//   agentCount         seats at the table, 2 to 7
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+
+const PRESETS = {
+  blitz: {
+    maxTurns: 10,
+    phaseDuration: { negotiation: 5 * SECOND, commit: 3 * SECOND, reveal: 3 * SECOND, resolve: 4 * SECOND },
+    warnings: { negotiation: 2 * SECOND, commit: 1 * SECOND, reveal: null },
+    startingArmies: 3,
+    startingResources: 10,
+    agentCount: 7
+  },
+  standard: {
+    maxTurns: 20,
+    phaseDuration: { negotiation: 60 * SECOND, commit: 30 * SECOND, reveal: 30 * SECOND, resolve: 10 * SECOND },
+    warnings: { negotiation: 10 * SECOND, commit: 5 * SECOND, reveal: 5 * SECOND },
+    startingArmies: 3,
+    startingResources: 10,
+    agentCount: 7
+  },
+  correspondence: {
+    maxTurns: 30,
+    phaseDuration: { negotiation: 24 * HOUR, commit: 12 * HOUR, reveal: 12 * HOUR, resolve: 10 * SECOND },
+    warnings: { negotiation: 2 * HOUR, commit: 1 * HOUR, reveal: 1 * HOUR },
+    startingArmies: 3,
+    startingResources: 10,
+    agentCount: 7
+  }
+};
+const DEFAULT_PRESET = 'blitz';
+const FIELDS = ['preset', ...Object.keys(PRESETS[DEFAULT_PRESET])];
+
+// Bounds of the numeric fields, inclusive
+const LIMITS = {
+  maxTurns: [1, 500],
+  phaseDuration: [SECOND, 7 * 24 * HOUR], // Well within what setTimeout can wait
+  startingArmies: [1, 20],
+  startingResources: [0, 1000],
+  agentCount: [2, 7]
+};
+
+class GameConfig {
+  static get presets() {
+    return Object.keys(PRESETS);
+  }
+
+  // Returns a list of error strings, empty when the config is valid
+  static validate(config) {
+    if (config === undefined || config === null) return [];
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      return ['config must be an object'];
+    }
+
+    const errors = [];
+    const inRange = (v, [min, max]) => Number.isInteger(v) && v >= min && v <= max;
+
+    for (const field of Object.keys(config)) {
+      if (!FIELDS.includes(field)) errors.push(`unknown field ${field}`);
+    }
+
+    if (config.preset !== undefined && !(config.preset in PRESETS)) {
+      errors.push(`preset must be one of ${GameConfig.presets.join(', ')}`);
+    }
+
+    for (const field of ['maxTurns', 'startingArmies', 'startingResources', 'agentCount']) {
+      if (config[field] !== undefined && !inRange(config[field], LIMITS[field])) {
+        errors.push(`${field} must be an integer between ${LIMITS[field][0]} and ${LIMITS[field][1]}`);
+      }
+    }
+
+    // Phase maps are checked field by field, then as merged over the preset
+    const base = PRESETS[config.preset] || PRESETS[DEFAULT_PRESET];
+    for (const field of ['phaseDuration', 'warnings']) {
+      const value = config[field];
+      if (value === undefined) continue;
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${field} must be an object`);
+        continue;
+      }
+      for (const [phase, ms] of Object.entries(value)) {
+        if (!(phase in base[field])) {
+          errors.push(`${field} has unknown phase ${phase}`);
+        } else if (field === 'phaseDuration' && !inRange(ms, LIMITS.phaseDuration)) {
+          errors.push(`phaseDuration.${phase} must be between ${LIMITS.phaseDuration[0]} and ${LIMITS.phaseDuration[1]} ms`);
+        } else if (field === 'warnings' && ms !== null && !(Number.isInteger(ms) && ms > 0)) {
+          errors.push(`warnings.${phase} must be a positive number of ms or null`);
+        }
+      }
+    }
+
+    if (errors.length === 0) {
+      const durations = { ...base.phaseDuration, ...config.phaseDuration };
+      const warnings = { ...base.warnings, ...config.warnings };
+      for (const [phase, ms] of Object.entries(warnings)) {
+        if (ms !== null && ms >= durations[phase]) {
+          errors.push(`warnings.${phase} must be shorter than the ${phase} phase`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // The preset with the overrides applied; throws on an invalid config
+  static normalize(config) {
+    const errors = GameConfig.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config: ${errors.join('; ')}`);
+    }
+
+    const overrides = config || {};
+    const preset = overrides.preset || DEFAULT_PRESET;
+    const base = PRESETS[preset];
+    return {
+      ...base,
+      ...overrides,
+      preset,
+      phaseDuration: { ...base.phaseDuration, ...overrides.phaseDuration },
+      warnings: { ...base.warnings, ...overrides.warnings }
+    };
+  }
+}
+
+module.exports = GameConfig;
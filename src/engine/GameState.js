@@ -1,138 +1,94 @@
 // Game State Manager - Central state container for Agent Diplomacy
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const SeededRandom = require('../utils/SeededRandom');
+const MoveSigner = require('../utils/MoveSigner');
+const MapRegistry = require('./MapRegistry');
+const MessageSchema = require('./MessageSchema');
+const VictoryConditions = require('./VictoryConditions');
+const GameConfig = require('./GameConfig');
+
+// Order types an agent may issue several of per turn
+const ORDER_TYPES = ['attack', 'move', 'support'];
 
 class GameState extends EventEmitter {
-  constructor(gameId) {
+  constructor(gameId, options = {}) {
     super();
     this.gameId = gameId;
-    this.phase = 'lobby'; // lobby, negotiation, commit, resolve, ended
+    this.rng = new SeededRandom(options.seed); // All game randomness must come from here
+    this.seed = this.rng.seed;
+    this.mapRegistry = options.mapRegistry || MapRegistry.getDefault();
+    this.mapType = null;
+    this.phase = 'lobby'; // lobby, negotiation, commit, reveal, resolve, ended
     this.turn = 1;
-    this.maxTurns = 50;
+    this.config = GameConfig.normalize(options.config); // Pace and starting position, see GameConfig
+    this.maxTurns = this.config.maxTurns;
     this.agents = new Map();
     this.territories = new Map();
-    this.alliances = new Map();
+    this.alliances = new Map(); // allianceId -> public view of a ReputationEngine alliance, see trackAlliances
     this.conversations = [];
-    this.moves = new Map(); // Private commitments
+    this.moves = new Map(); // Private commitments - hashes only until revealed
     this.revealedMoves = new Map(); // Public after reveal
+    this.forfeits = []; // Commitments dropped at reveal this turn
     this.history = [];
     this.createdAt = Date.now();
     this.lastActivity = Date.now();
-    this.winner = null;
+    this.winner = []; // Everyone who won - allies win together, and a draw lists everyone tied
+    this.result = null; // { type, winner, scores? } once the game is over
+    this.victory = VictoryConditions.normalize(options.victory); // See VictoryConditions
+    this.objectives = new Map(); // agentId -> secret objective, when victory.objectives is on
+    this.inheritResources = !!options.inheritResources; // Eliminators take the resources of those they knock out
     
     // Diplomatic events for visualization
     this.diplomaticEvents = []; // {type: 'alliance'|'betrayal', from: agentId, to: agentId, turn, timestamp}
     
-    // Phase timing - FAST PACED gameplay (10-12s total per round)
+    // Phase timing
     this.phaseStartTime = null;
-    this.phaseDuration = {
-      negotiation: 5000,   // 5 seconds - quick negotiation read
-      commit: 3000,        // 3 seconds - rapid commitments
-      resolve: 4000        // 4 seconds - battle animation
-    };
-    
-    this.maxTurns = 10;   // 10 turns = ~5.5 minute game
+    this.phaseDuration = { ...this.config.phaseDuration };
   }
 
   // Territory management
-  initializeMap(mapType = 'classic') {
-    const maps = this.getMapDefinitions();
-    const map = maps[mapType];
+  // options go to map generators ('random:<seed>'): { players, size }
+  initializeMap(mapType = 'classic', options = {}) {
+    const map = this.mapRegistry.get(mapType, options);
+    if (!map) {
+      throw new Error(`Unknown map: ${mapType}`);
+    }
     
     map.territories.forEach(t => {
       this.territories.set(t.id, {
         id: t.id,
         name: t.name,
+        label: t.label || t.name,
         region: t.region,
         owner: null,
         armies: 0,
-        resources: t.resources || 1,
+        resources: t.resources,
         neighbors: t.neighbors,
-        continent: t.continent
+        continent: t.continent,
+        x: t.x,
+        y: t.y
       });
     });
 
+    this.mapType = map.id;
     this.continents = map.continents;
     return this;
   }
 
-  getMapDefinitions() {
-    return {
-      classic: {
-        territories: [
-          // North America
-          { id: 'na1', name: 'Alaska', region: 'NA', continent: 'na', neighbors: ['na2', 'na7', 'as1'], resources: 1 },
-          { id: 'na2', name: 'Alberta', region: 'NA', continent: 'na', neighbors: ['na1', 'na3', 'na7', 'na8'], resources: 1 },
-          { id: 'na3', name: 'Central America', region: 'NA', continent: 'na', neighbors: ['na2', 'na4', 'sa1'], resources: 1 },
-          { id: 'na4', name: 'Eastern US', region: 'NA', continent: 'na', neighbors: ['na3', 'na8', 'na9'], resources: 2 },
-          { id: 'na5', name: 'Greenland', region: 'NA', continent: 'na', neighbors: ['na6', 'na7', 'na8', 'eu1'], resources: 1 },
-          { id: 'na6', name: 'Northwest Territory', region: 'NA', continent: 'na', neighbors: ['na1', 'na2', 'na5', 'na7'], resources: 1 },
-          { id: 'na7', name: 'Ontario', region: 'NA', continent: 'na', neighbors: ['na1', 'na2', 'na4', 'na6', 'na8', 'na5'], resources: 2 },
-          { id: 'na8', name: 'Quebec', region: 'NA', continent: 'na', neighbors: ['na4', 'na7', 'na5'], resources: 1 },
-          { id: 'na9', name: 'Western US', region: 'NA', continent: 'na', neighbors: ['na2', 'na3', 'na4', 'na7'], resources: 2 },
-          
-          // South America
-          { id: 'sa1', name: 'Venezuela', region: 'SA', continent: 'sa', neighbors: ['na3', 'sa2', 'sa3'], resources: 1 },
-          { id: 'sa2', name: 'Peru', region: 'SA', continent: 'sa', neighbors: ['sa1', 'sa3', 'sa4'], resources: 1 },
-          { id: 'sa3', name: 'Brazil', region: 'SA', continent: 'sa', neighbors: ['sa1', 'sa2', 'sa4', 'af4'], resources: 2 },
-          { id: 'sa4', name: 'Argentina', region: 'SA', continent: 'sa', neighbors: ['sa2', 'sa3'], resources: 1 },
-          
-          // Europe
-          { id: 'eu1', name: 'Iceland', region: 'EU', continent: 'eu', neighbors: ['na5', 'eu2', 'eu3'], resources: 1 },
-          { id: 'eu2', name: 'Scandinavia', region: 'EU', continent: 'eu', neighbors: ['eu1', 'eu3', 'eu4', 'eu5'], resources: 1 },
-          { id: 'eu3', name: 'Great Britain', region: 'EU', continent: 'eu', neighbors: ['eu1', 'eu2', 'eu6', 'eu7'], resources: 1 },
-          { id: 'eu4', name: 'Northern Europe', region: 'EU', continent: 'eu', neighbors: ['eu2', 'eu5', 'eu6', 'eu7', 'eu8'], resources: 2 },
-          { id: 'eu5', name: 'Ukraine', region: 'EU', continent: 'eu', neighbors: ['eu2', 'eu4', 'eu8', 'as3', 'as4', 'as5'], resources: 3 },
-          { id: 'eu6', name: 'Western Europe', region: 'EU', continent: 'eu', neighbors: ['eu3', 'eu4', 'eu7', 'af2'], resources: 2 },
-          { id: 'eu7', name: 'Southern Europe', region: 'EU', continent: 'eu', neighbors: ['eu3', 'eu4', 'eu6', 'eu8', 'af2', 'af3'], resources: 2 },
-          { id: 'eu8', name: 'Middle East', region: 'EU', continent: 'eu', neighbors: ['eu4', 'eu5', 'eu7', 'af3', 'as4', 'as6'], resources: 3 },
-          
-          // Africa
-          { id: 'af1', name: 'Egypt', region: 'AF', continent: 'af', neighbors: ['eu7', 'eu8', 'af2', 'af3', 'af5'], resources: 2 },
-          { id: 'af2', name: 'North Africa', region: 'AF', continent: 'af', neighbors: ['eu6', 'eu7', 'af1', 'af3', 'af4'], resources: 2 },
-          { id: 'af3', name: 'East Africa', region: 'AF', continent: 'af', neighbors: ['eu7', 'eu8', 'af1', 'af2', 'af4', 'af5', 'af6'], resources: 1 },
-          { id: 'af4', name: 'Congo', region: 'AF', continent: 'af', neighbors: ['sa3', 'af2', 'af3', 'af6'], resources: 1 },
-          { id: 'af5', name: 'Madagascar', region: 'AF', continent: 'af', neighbors: ['af1', 'af3'], resources: 1 },
-          { id: 'af6', name: 'South Africa', region: 'AF', continent: 'af', neighbors: ['af3', 'af4'], resources: 2 },
-          
-          // Asia
-          { id: 'as1', name: 'Siberia', region: 'AS', continent: 'as', neighbors: ['na1', 'as2', 'as3', 'as5', 'as9'], resources: 2 },
-          { id: 'as2', name: 'Yakutsk', region: 'AS', continent: 'as', neighbors: ['as1', 'as3', 'as9'], resources: 1 },
-          { id: 'as3', name: 'Kamchatka', region: 'AS', continent: 'as', neighbors: ['as1', 'as2', 'as5', 'as9'], resources: 1 },
-          { id: 'as4', name: 'Ural', region: 'AS', continent: 'as', neighbors: ['eu5', 'as5', 'as6', 'as8'], resources: 1 },
-          { id: 'as5', name: 'Irkutsk', region: 'AS', continent: 'as', neighbors: ['as1', 'as3', 'as6', 'as9'], resources: 1 },
-          { id: 'as6', name: 'Mongolia', region: 'AS', continent: 'as', neighbors: ['as4', 'as5', 'as7', 'as9'], resources: 1 },
-          { id: 'as7', name: 'Japan', region: 'AS', continent: 'as', neighbors: ['as6', 'as9'], resources: 2 },
-          { id: 'as8', name: 'Afghanistan', region: 'AS', continent: 'as', neighbors: ['eu5', 'as4', 'as6', 'as10', 'eu8'], resources: 1 },
-          { id: 'as9', name: 'China', region: 'AS', continent: 'as', neighbors: ['as1', 'as5', 'as6', 'as7', 'as8', 'as10', 'as11'], resources: 3 },
-          { id: 'as10', name: 'India', region: 'AS', continent: 'as', neighbors: ['as8', 'as9', 'as11', 'eu8'], resources: 2 },
-          { id: 'as11', name: 'Southeast Asia', region: 'AS', continent: 'as', neighbors: ['as9', 'as10', 'au1'], resources: 1 },
-          
-          // Australia
-          { id: 'au1', name: 'Indonesia', region: 'AU', continent: 'au', neighbors: ['as11', 'au2', 'au3'], resources: 1 },
-          { id: 'au2', name: 'New Guinea', region: 'AU', continent: 'au', neighbors: ['au1', 'au3'], resources: 1 },
-          { id: 'au3', name: 'Eastern Australia', region: 'AU', continent: 'au', neighbors: ['au1', 'au2', 'au4'], resources: 2 },
-          { id: 'au4', name: 'Western Australia', region: 'AU', continent: 'au', neighbors: ['au3'], resources: 1 }
-        ],
-        continents: {
-          na: { name: 'North America', bonus: 5, territories: ['na1', 'na2', 'na3', 'na4', 'na5', 'na6', 'na7', 'na8', 'na9'] },
-          sa: { name: 'South America', bonus: 2, territories: ['sa1', 'sa2', 'sa3', 'sa4'] },
-          eu: { name: 'Europe', bonus: 5, territories: ['eu1', 'eu2', 'eu3', 'eu4', 'eu5', 'eu6', 'eu7', 'eu8'] },
-          af: { name: 'Africa', bonus: 3, territories: ['af1', 'af2', 'af3', 'af4', 'af5', 'af6'] },
-          as: { name: 'Asia', bonus: 7, territories: ['as1', 'as2', 'as3', 'as4', 'as5', 'as6', 'as7', 'as8', 'as9', 'as10', 'as11'] },
-          au: { name: 'Australia', bonus: 2, territories: ['au1', 'au2', 'au3', 'au4'] }
-        }
-      }
-    };
-  }
-
   // Agent management
   addAgent(agent) {
-    if (this.agents.size >= 7) {
-      throw new Error('Maximum 7 agents allowed');
+    if (this.agents.size >= this.config.agentCount) {
+      throw new Error(`Maximum ${this.config.agentCount} agents allowed`);
+    }
+    if (agent.publicKey) {
+      MoveSigner.parsePublicKey(agent.publicKey);
     }
     this.agents.set(agent.id, {
       ...agent,
+      human: !!agent.human,
+      remote: !!agent.remote,
+      publicKey: agent.publicKey || null,
       territories: [],
       armies: 0,
       resources: 0,
@@ -143,6 +99,33 @@ class GameState extends EventEmitter {
     return this;
   }
 
+  // Seats played by people rather than agent controllers
+  getHumanSeats() {
+    return Array.from(this.agents.values()).filter(a => a.human);
+  }
+
+  // Seats played by external bots over the remote agent protocol
+  getRemoteSeats() {
+    return Array.from(this.agents.values()).filter(a => a.remote);
+  }
+
+  // Ed25519 public key (PEM) that verifies the agent's commitments.
+  // Keys can be replaced in the lobby only.
+  registerPublicKey(agentId, publicKey) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      throw new Error('Agent not in game');
+    }
+    if (agent.publicKey && this.phase !== 'lobby') {
+      throw new Error('Public key already registered');
+    }
+
+    MoveSigner.parsePublicKey(publicKey);
+    agent.publicKey = publicKey;
+    this.emit('publicKeyRegistered', { agentId, publicKey });
+    return this;
+  }
+
   removeAgent(agentId) {
     const agent = this.agents.get(agentId);
     if (agent) {
@@ -165,11 +148,15 @@ class GameState extends EventEmitter {
     const territoryIds = Array.from(this.territories.keys());
     const agentIds = Array.from(this.agents.keys());
     
+    // Start from empty holdings so a repeated distribution does not leave stale entries
+    agentIds.forEach(aid => {
+      const agent = this.agents.get(aid);
+      agent.territories = [];
+      agent.armies = 0;
+    });
+
     // Shuffle territories
-    for (let i = territoryIds.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [territoryIds[i], territoryIds[j]] = [territoryIds[j], territoryIds[i]];
-    }
+    this.rng.shuffle(territoryIds);
 
     // Distribute evenly
     territoryIds.forEach((tid, index) => {
@@ -178,15 +165,15 @@ class GameState extends EventEmitter {
       const agent = this.agents.get(agentId);
       
       territory.owner = agentId;
-      territory.armies = 3;
+      territory.armies = this.config.startingArmies;
       agent.territories.push(tid);
-      agent.armies += 3;
+      agent.armies += this.config.startingArmies;
     });
 
     // Give initial resources
     agentIds.forEach(aid => {
       const agent = this.agents.get(aid);
-      agent.resources = 10;
+      agent.resources = this.config.startingResources;
     });
 
     this.emit('territoriesDistributed');
@@ -210,27 +197,43 @@ class GameState extends EventEmitter {
   }
 
   // Move commitment (during commit phase)
-  commitMove(agentId, move, signature) {
+  // Agents commit hashMove(move, nonce) only; the move itself stays private until the reveal phase.
+  // The signature is over commitmentPayload(agentId, hash) with the agent's registered key; default
+  // moves committed by the PhaseManager on an agent's behalf are unsigned.
+  commitMove(agentId, hash, signature, { isDefault = false } = {}) {
     if (this.phase !== 'commit') {
       throw new Error('Not in commit phase');
     }
 
-    // Validate move structure
-    if (!this.validateMove(move)) {
-      throw new Error('Invalid move structure');
+    const agent = this.agents.get(agentId);
+    if (!agent || agent.eliminated) {
+      throw new Error('Agent not in game');
+    }
+
+    if (typeof hash !== 'string' || !/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error('Commitment must be a sha256 hex digest');
+    }
+
+    if (!isDefault) {
+      if (!agent.publicKey) {
+        throw new Error('No public key registered');
+      }
+      if (!MoveSigner.verify(agent.publicKey, this.commitmentPayload(agentId, hash), signature)) {
+        throw new Error('Invalid move signature');
+      }
     }
 
     // Store signed commitment
     const commitment = {
       agentId,
-      move,
-      signature,
-      timestamp: Date.now(),
-      hash: crypto.createHash('sha256').update(JSON.stringify(move)).digest('hex')
+      hash,
+      signature: isDefault ? null : signature,
+      isDefault,
+      timestamp: Date.now()
     };
 
     this.moves.set(agentId, commitment);
-    this.emit('moveCommitted', { agentId, hash: commitment.hash });
+    this.emit('moveCommitted', { agentId, hash });
 
     // Check if all agents have committed
     if (this.moves.size === this.getActiveAgents().length) {
@@ -240,57 +243,243 @@ class GameState extends EventEmitter {
     return commitment;
   }
 
+  hashMove(move, nonce) {
+    return MoveSigner.hashMove(move, nonce);
+  }
+
+  commitmentPayload(agentId, hash) {
+    return MoveSigner.commitmentPayload(this.gameId, this.turn, agentId, hash);
+  }
+
+  // Move reveal (during reveal phase) - must hash to the commitment; the orders are checked in revealMoves
+  revealMove(agentId, move, nonce) {
+    if (this.phase !== 'reveal') {
+      throw new Error('Not in reveal phase');
+    }
+
+    const commitment = this.moves.get(agentId);
+    if (!commitment) {
+      throw new Error('No commitment to reveal');
+    }
+    if (commitment.reveal) {
+      throw new Error('Move already revealed');
+    }
+    if (typeof nonce !== 'string' || nonce.length === 0) {
+      throw new Error('Nonce is required');
+    }
+    // Not stored, so a mistyped reveal can be corrected while the phase lasts - but counted, and
+    // the commitment is forfeited as a mismatch if it is never corrected
+    if (this.hashMove(move, nonce) !== commitment.hash) {
+      commitment.mismatchedReveals = (commitment.mismatchedReveals || 0) + 1;
+      this.emit('revealRejected', { agentId, hash: commitment.hash, reason: 'hash-mismatch' });
+      throw new Error('Reveal does not match the commitment');
+    }
+
+    commitment.reveal = { move, nonce, revealedAt: Date.now() };
+    this.emit('moveRevealed', { agentId });
+
+    if (Array.from(this.moves.values()).every(c => c.reveal)) {
+      this.emit('allMovesRevealed');
+    }
+
+    return { agentId, verified: true };
+  }
+
   validateMove(move) {
     if (!move || typeof move !== 'object') return false;
+
+    // Order set: { orders: [...], reinforcements: { territoryId: armies } }
+    if (move.orders !== undefined) {
+      if (!Array.isArray(move.orders) || move.orders.length > this.territories.size) return false;
+      if (!move.orders.every(order => order && ORDER_TYPES.includes(order.type) && this.validateMove(order))) return false;
+      return move.reinforcements === undefined || move.reinforcements === null ||
+        this.validateDistributions(move.reinforcements);
+    }
+
     if (!move.type || !['attack', 'defend', 'support', 'move', 'none'].includes(move.type)) return false;
     
-    if (move.type === 'attack' || move.type === 'move') {
+    if (ORDER_TYPES.includes(move.type)) {
       if (!move.from || !move.to) return false;
       if (!this.territories.has(move.from) || !this.territories.has(move.to)) return false;
     }
+
+    if (move.type === 'move' && move.from === move.to) return false;
+
+    if (move.type === 'defend' && move.distributions !== undefined) {
+      if (!this.validateDistributions(move.distributions)) return false;
+    }
+
+    if (move.type === 'support' && move.backing !== undefined && !this.agents.has(move.backing)) return false;
     
     if (move.armies !== undefined && (typeof move.armies !== 'number' || move.armies < 1)) return false;
     
     return true;
   }
 
+  validateDistributions(distributions) {
+    if (!distributions || typeof distributions !== 'object') return false;
+    return Object.entries(distributions).every(([tid, armies]) =>
+      this.territories.has(tid) && Number.isInteger(armies) && armies >= 0);
+  }
+
+  // Normalize a commitment into an order set. A single legacy move becomes a
+  // one-order set, and a defend move's distributions become its reinforcements.
+  normalizeOrders(move) {
+    if (Array.isArray(move.orders)) {
+      return { orders: move.orders, reinforcements: move.reinforcements || null, note: move.note };
+    }
+
+    switch (move.type) {
+      case 'defend':
+        return { orders: [], reinforcements: move.distributions || null, note: move.note };
+      case 'none':
+        return { orders: [], reinforcements: null, note: move.note };
+      default:
+        return { orders: [move], reinforcements: null, note: move.note };
+    }
+  }
+
+  // Check an order set against the current board. Every attack, move and support
+  // draws armies from its source territory, which must keep at least one army.
+  validateOrders(agentId, orderSet) {
+    const errors = [];
+    const committed = {}; // territoryId -> armies drawn by orders
+
+    orderSet.orders.forEach((order, index) => {
+      const from = this.territories.get(order.from);
+
+      if (from.owner !== agentId) {
+        errors.push(`order ${index}: ${order.from} is not owned by ${agentId}`);
+        return;
+      }
+      if (!from.neighbors.includes(order.to)) {
+        errors.push(`order ${index}: ${order.to} is not adjacent to ${order.from}`);
+      }
+      if (order.type === 'move' && this.territories.get(order.to).owner !== agentId) {
+        errors.push(`order ${index}: cannot move into ${order.to}`);
+      }
+
+      committed[order.from] = (committed[order.from] || 0) + (order.armies || 1);
+    });
+
+    for (const [territoryId, armies] of Object.entries(committed)) {
+      const available = this.territories.get(territoryId).armies - 1;
+      if (armies > available) {
+        errors.push(`${territoryId}: orders use ${armies} armies but only ${available} can leave`);
+      }
+    }
+
+    return errors;
+  }
+
+  // All revealed orders of a type, in commitment order
+  getRevealedOrders(type) {
+    const orders = [];
+    for (const [agentId, commitment] of this.revealedMoves) {
+      commitment.orders.orders
+        .filter(order => order.type === type)
+        .forEach(order => orders.push({ agentId, order }));
+    }
+    return orders;
+  }
+
   // Reveal all moves
+  // A commitment whose reveal is missing, only ever mismatched its hash or fails validation is
+  // forfeited: the agent issues no orders this turn
   revealMoves() {
     if (this.phase !== 'resolve') {
       throw new Error('Not in resolve phase');
     }
 
     this.revealedMoves.clear();
+    this.forfeits = [];
     
     for (const [agentId, commitment] of this.moves) {
+      const { reveal, ...committed } = commitment;
+      const forfeit = this.checkReveal(agentId, commitment);
+
+      if (forfeit) {
+        this.forfeits.push({ agentId, hash: commitment.hash, ...forfeit });
+        continue;
+      }
+
       this.revealedMoves.set(agentId, {
-        ...commitment,
-        revealedAt: Date.now()
+        ...committed,
+        move: reveal.move,
+        orders: this.normalizeOrders(reveal.move),
+        nonce: reveal.nonce,
+        revealedAt: reveal.revealedAt
       });
     }
 
+    if (this.forfeits.length > 0) {
+      this.emit('movesForfeited', this.forfeits);
+    }
+
     this.emit('movesRevealed', Array.from(this.revealedMoves.values()));
     return Array.from(this.revealedMoves.values());
   }
 
+  // Returns { reason, errors } when a commitment has to be forfeited, null otherwise
+  checkReveal(agentId, commitment) {
+    const { reveal } = commitment;
+
+    // Reveals that do not match are refused by revealMove
+    if (!reveal) {
+      return { reason: commitment.mismatchedReveals ? 'hash-mismatch' : 'not-revealed' };
+    }
+    if (!this.validateMove(reveal.move)) {
+      return { reason: 'invalid-move' };
+    }
+
+    const errors = this.validateOrders(agentId, this.normalizeOrders(reveal.move));
+    if (errors.length > 0) {
+      return { reason: 'invalid-orders', errors };
+    }
+
+    return null;
+  }
+
   // Resolve battles
   resolveBattles() {
     const battles = new Map(); // territory -> { attackers: [], defender }
 
     // Group attacks by target
-    for (const [agentId, commitment] of this.revealedMoves) {
-      const move = commitment.move;
-      
-      if (move.type === 'attack') {
-        if (!battles.has(move.to)) {
-          battles.set(move.to, { attackers: [], defender: null, supports: [] });
-        }
-        battles.get(move.to).attackers.push({
-          agentId,
-          from: move.from,
-          armies: move.armies || 1
-        });
+    for (const { agentId, order } of this.getRevealedOrders('attack')) {
+      if (!battles.has(order.to)) {
+        battles.set(order.to, { attackers: [], defender: null, supports: [] });
       }
+      battles.get(order.to).attackers.push({
+        agentId,
+        from: order.from,
+        armies: order.armies || 1
+      });
+    }
+
+    // Attach supports to the battles they back (supports for unattacked territories have no effect)
+    for (const { agentId, order } of this.getRevealedOrders('support')) {
+      if (!battles.has(order.to)) continue;
+
+      battles.get(order.to).supports.push(this.evaluateSupport(agentId, order, battles));
+    }
+
+    // Armies committed to attacks, and to supports that count in a battle, leave their
+    // territories before the fighting - they are not there to defend, nor to come back
+    for (const [territoryId, battle] of battles) {
+      const territory = this.territories.get(territoryId);
+      battle.attackers.forEach(att => {
+        att.armies = this.drawArmies(att.from, att.armies);
+      });
+      battle.attackers = battle.attackers.filter(att => att.armies > 0);
+      if (battle.attackers.length === 0) {
+        battles.delete(territoryId);
+        continue;
+      }
+      battle.supports
+        .filter(sup => this.supportedSide(sup, territory, battle))
+        .forEach(sup => {
+          sup.strength = this.drawArmies(sup.from, sup.strength);
+        });
     }
 
     // Resolve each battle
@@ -298,7 +487,6 @@ class GameState extends EventEmitter {
     
     for (const [territoryId, battle] of battles) {
       const territory = this.territories.get(territoryId);
-      const defender = this.agents.get(territory.owner);
       
       const result = this.resolveBattle(territory, battle);
       results.push(result);
@@ -319,6 +507,10 @@ class GameState extends EventEmitter {
         territory.armies = result.remainingArmies;
         newOwner.armies += result.remainingArmies;
       } else {
+        const defender = this.agents.get(territory.owner);
+        if (defender) {
+          defender.armies -= territory.armies - result.remainingArmies;
+        }
         territory.armies = result.remainingArmies;
       }
     }
@@ -327,6 +519,63 @@ class GameState extends EventEmitter {
     return results;
   }
 
+  // Check a support order against the board and the attacks of this turn.
+  // Like Diplomacy, a support is cut when the supporting territory is attacked,
+  // unless the attack comes from the territory the support is directed at.
+  evaluateSupport(agentId, move, battles) {
+    const from = this.territories.get(move.from);
+    const support = {
+      agentId,
+      from: move.from,
+      to: move.to,
+      backing: move.backing || this.territories.get(move.to).owner,
+      strength: 0,
+      cut: false,
+      reason: null
+    };
+
+    if (from.owner !== agentId) {
+      support.reason = 'not-owner';
+      return support;
+    }
+
+    if (!from.neighbors.includes(move.to)) {
+      support.reason = 'not-adjacent';
+      return support;
+    }
+
+    const attackOnSupporter = battles.get(move.from);
+    if (attackOnSupporter && attackOnSupporter.attackers.some(att => att.agentId !== agentId && att.from !== move.to)) {
+      support.cut = true;
+      support.reason = 'cut';
+      return support;
+    }
+
+    support.strength = Math.min(move.armies || 1, from.armies);
+    return support;
+  }
+
+  // Take armies off a territory for an order, keeping one behind. Returns the armies drawn.
+  drawArmies(territoryId, armies) {
+    const territory = this.territories.get(territoryId);
+    const drawn = Math.max(0, Math.min(armies, territory.armies - 1));
+    territory.armies -= drawn;
+
+    const owner = this.agents.get(territory.owner);
+    if (owner) {
+      owner.armies -= drawn;
+    }
+    return drawn;
+  }
+
+  // 'defense' or 'attack' for a support that counts in the battle - only for a side actually in it - else null
+  supportedSide(support, territory, battle) {
+    if (support.strength <= 0 || !support.backing) return null;
+    if (support.backing === territory.owner) return 'defense';
+    if (battle.attackers.some(att => att.agentId === support.backing)) return 'attack';
+    return null;
+  }
+
   resolveBattle(territory, battle) {
     const defender = territory.owner;
     const defenderArmies = territory.armies;
@@ -334,27 +583,41 @@ class GameState extends EventEmitter {
     // Calculate total attack strength
     let totalAttack = 0;
     const attackerForces = {};
+    const ownForces = {}; // Each attacker's own armies, without the supports backing it
     
     battle.attackers.forEach(att => {
       totalAttack += att.armies;
       attackerForces[att.agentId] = (attackerForces[att.agentId] || 0) + att.armies;
+      ownForces[att.agentId] = (ownForces[att.agentId] || 0) + att.armies;
     });
 
     // Add support bonuses
-    // TODO: Implement support logic
+    let defenseSupport = 0;
+    const supports = battle.supports.map(sup => {
+      const side = this.supportedSide(sup, territory, battle);
+
+      if (side === 'defense') {
+        defenseSupport += sup.strength;
+      } else if (side === 'attack') {
+        totalAttack += sup.strength;
+        attackerForces[sup.backing] += sup.strength;
+      }
+
+      return { ...sup, applied: side !== null };
+    });
 
     // Resolve using dice-based probability
     // Attackers need > defender armies to win
-    const attackRoll = Math.random() * totalAttack;
-    const defenseRoll = Math.random() * defenderArmies * 1.5; // Defenders get advantage
+    const attackRoll = this.rng.next() * totalAttack;
+    const defenseRoll = this.rng.next() * (defenderArmies + defenseSupport) * 1.5; // Defenders get advantage
     
     let winner, remainingArmies;
     
     if (attackRoll > defenseRoll) {
-      // Attackers win - strongest attacker gets territory
+      // Attackers win - strongest attacker gets territory, held by its own surviving armies
       winner = Object.entries(attackerForces)
         .sort((a, b) => b[1] - a[1])[0][0];
-      remainingArmies = Math.max(1, Math.floor(totalAttack * 0.6));
+      remainingArmies = Math.max(1, Math.floor(ownForces[winner] * 0.6));
     } else {
       // Defender wins
       winner = defender;
@@ -365,6 +628,7 @@ class GameState extends EventEmitter {
       territory: territory.id,
       defender,
       attackers: battle.attackers.map(a => a.agentId),
+      supports,
       winner,
       remainingArmies,
       attackRoll: Math.round(attackRoll * 100) / 100,
@@ -372,8 +636,62 @@ class GameState extends EventEmitter {
     };
   }
 
-  // Calculate reinforcements
-  calculateReinforcements(agentId) {
+  // Resolve troop movements between an agent's own territories.
+  // Runs after battles, so a move whose source or destination changed hands
+  // this turn bounces. Two or more moves into the same territory bounce as well.
+  resolveMovements(battleResults = []) {
+    const conquered = new Set(battleResults
+      .filter(r => r.winner !== r.defender)
+      .map(r => r.territory));
+    const orders = this.getRevealedOrders('move')
+      .map(({ agentId, order }) => ({ agentId, from: order.from, to: order.to, armies: order.armies || 1 }));
+
+    const targetCounts = {};
+    orders.forEach(order => {
+      targetCounts[order.to] = (targetCounts[order.to] || 0) + 1;
+    });
+
+    const leaving = {}; // territoryId -> armies already moving out
+    const results = orders.map(order => {
+      const from = this.territories.get(order.from);
+      const to = this.territories.get(order.to);
+      const result = { ...order, status: 'invalid', reason: null };
+
+      if (conquered.has(order.from) || conquered.has(order.to)) {
+        result.status = 'bounced';
+        result.reason = 'territory-changed-hands';
+      } else if (from.owner !== order.agentId || to.owner !== order.agentId) {
+        result.reason = 'not-owner';
+      } else if (!from.neighbors.includes(order.to)) {
+        result.reason = 'not-adjacent';
+      } else if (from.armies - (leaving[order.from] || 0) - order.armies < 1) {
+        result.reason = 'insufficient-armies';
+      } else if (targetCounts[order.to] > 1) {
+        result.status = 'bounced';
+        result.reason = 'standoff';
+      } else {
+        result.status = 'moved';
+        leaving[order.from] = (leaving[order.from] || 0) + order.armies;
+      }
+
+      return result;
+    });
+
+    // Apply after all checks so moves are simultaneous
+    results
+      .filter(r => r.status === 'moved')
+      .forEach(r => {
+        this.territories.get(r.from).armies -= r.armies;
+        this.territories.get(r.to).armies += r.armies;
+      });
+
+    this.emit('movementsResolved', results);
+    return results;
+  }
+
+  // Calculate reinforcements - resources are only converted when spendResources is set,
+  // so agents can preview the number while deciding their move
+  calculateReinforcements(agentId, { spendResources = false } = {}) {
     const agent = this.agents.get(agentId);
     if (!agent || agent.eliminated) return 0;
 
@@ -394,65 +712,223 @@ class GameState extends EventEmitter {
     // Resource conversion
     const resourceBonus = Math.floor(agent.resources / 5);
     reinforcements += resourceBonus;
-    agent.resources -= resourceBonus * 5;
+    if (spendResources) {
+      agent.resources -= resourceBonus * 5;
+    }
 
     return reinforcements;
   }
 
-  // Check win conditions
-  checkWinCondition() {
-    const activeAgents = this.getActiveAgents();
-    
-    // Elimination victory
-    if (activeAgents.length === 1) {
-      this.winner = activeAgents[0].id;
-      this.setPhase('ended');
-      return { type: 'elimination', winner: this.winner };
+  // Place an agent's reinforcements following the distributions of its defend move.
+  // Requests are granted in territory order until the total runs out; whatever is
+  // left is spread one army at a time over the weakest border territories.
+  placeReinforcements(agentId, total, distributions = null) {
+    const agent = this.agents.get(agentId);
+    const placements = {};
+    const rejected = [];
+    let remaining = total;
+
+    const requests = Object.entries(distributions || {})
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    for (const [territoryId, armies] of requests) {
+      const territory = this.territories.get(territoryId);
+
+      if (!territory || territory.owner !== agentId) {
+        rejected.push({ territoryId, armies, reason: 'not-owned' });
+        continue;
+      }
+      if (!Number.isInteger(armies) || armies < 0) {
+        rejected.push({ territoryId, armies, reason: 'invalid-amount' });
+        continue;
+      }
+
+      const granted = Math.min(armies, remaining);
+      if (granted < armies) {
+        rejected.push({ territoryId, armies: armies - granted, reason: 'exceeds-reinforcements' });
+      }
+      if (granted > 0) {
+        placements[territoryId] = granted;
+        remaining -= granted;
+      }
     }
 
-    // Territory dominance (60% of map)
-    const totalTerritories = this.territories.size;
-    for (const agent of activeAgents) {
-      if (agent.territories.length / totalTerritories >= 0.6) {
-        this.winner = agent.id;
-        this.setPhase('ended');
-        return { type: 'domination', winner: this.winner };
+    // Deterministic remainder: borders first, fewest armies, then territory id
+    if (remaining > 0 && agent.territories.length > 0) {
+      const borders = agent.territories.filter(tid =>
+        this.territories.get(tid).neighbors.some(nid => this.territories.get(nid)?.owner !== agentId));
+      const pool = (borders.length > 0 ? borders : agent.territories)
+        .slice()
+        .sort((a, b) => {
+          const diff = (this.territories.get(a).armies + (placements[a] || 0)) -
+            (this.territories.get(b).armies + (placements[b] || 0));
+          return diff !== 0 ? diff : a.localeCompare(b);
+        });
+
+      for (let i = 0; remaining > 0; i = (i + 1) % pool.length) {
+        placements[pool[i]] = (placements[pool[i]] || 0) + 1;
+        remaining--;
       }
     }
 
-    // Max turns reached
-    if (this.turn >= this.maxTurns) {
-      // Winner is agent with most territories
-      const winner = activeAgents.sort((a, b) => b.territories.length - a.territories.length)[0];
-      this.winner = winner.id;
+    const placed = total - remaining;
+    for (const [territoryId, armies] of Object.entries(placements)) {
+      this.territories.get(territoryId).armies += armies;
+    }
+    agent.armies += placed;
+
+    const result = { agentId, total, placed, placements, rejected };
+    this.emit('reinforcementsPlaced', result);
+    return result;
+  }
+
+  // Check win conditions - see VictoryConditions for what the game's config allows.
+  // The reputation engine, when given, scores kept deals.
+  checkWinCondition(reputationEngine = null) {
+    const result = new VictoryConditions(this, reputationEngine).check();
+    if (result) {
+      this.winner = result.winner;
+      this.result = result;
       this.setPhase('ended');
-      return { type: 'turns', winner: this.winner };
     }
+    return result;
+  }
 
-    return null;
+  // Secret objectives are dealt once, as the game starts
+  dealObjectives() {
+    if (!this.victory.objectives) return this;
+    this.objectives = VictoryConditions.dealObjectives(this, this.rng.fork('objectives'));
+    return this;
   }
 
   getActiveAgents() {
     return Array.from(this.agents.values()).filter(a => !a.eliminated);
   }
 
-  // Conversation logging
-  logConversation(agentId, message, type = 'public') {
+  // Take an agent with no territories left out of the game. eliminatedBy is the agent that
+  // took its last territory, if any; with inheritResources it gets the remaining resources.
+  eliminateAgent(agentId, eliminatedBy = null) {
+    const agent = this.agents.get(agentId);
+    if (!agent || agent.eliminated) return null;
+
+    agent.eliminated = true;
+    agent.eliminatedTurn = this.turn;
+    agent.eliminatedBy = eliminatedBy;
+    agent.armies = 0;
+
+    let inherited = 0;
+    const heir = eliminatedBy && this.agents.get(eliminatedBy);
+    if (this.inheritResources && heir && !heir.eliminated) {
+      inherited = agent.resources;
+      heir.resources += inherited;
+      agent.resources = 0;
+    }
+
+    return { agentId, eliminatedBy, turn: this.turn, inherited };
+  }
+
+  // Conversation logging - free text, a structured negotiation message (see MessageSchema) or both
+  logConversation(agentId, message, type = 'public', details = {}) {
     const entry = {
       id: crypto.randomUUID(),
       agentId,
-      message,
+      message: message || '',
       type, // public, private, alliance
+      target: details.target || null,
+      recipients: null, // Who besides the sender may read it - null for public messages
+      allianceId: null, // Alliance channel the message went to
+      intent: details.intent || null, // propose, accept, reject, counter, threaten, inform, request-support
+      payload: details.payload || null,
       turn: this.turn,
       phase: this.phase,
       timestamp: Date.now()
     };
+
+    if (type === 'private') {
+      entry.recipients = [...new Set(details.recipients || [details.target])].filter(id => id && id !== agentId);
+    } else if (type === 'alliance') {
+      const alliances = this.getAlliances().filter(a => a.members.includes(agentId) &&
+        (!details.allianceId || a.id === details.allianceId));
+      entry.allianceId = details.allianceId || (alliances.length === 1 ? alliances[0].id : null);
+      entry.recipients = [...new Set(alliances.flatMap(a => a.members))].filter(id => id !== agentId);
+    }
     
     this.conversations.push(entry);
     this.emit('conversation', entry);
     return entry;
   }
 
+  // Validated message from an agent, player or bot: { intent?, target?, message?, payload?, type? }.
+  // The channel defaults to private when addressed and public otherwise.
+  postMessage(agentId, content = {}) {
+    if (!this.agents.has(agentId)) {
+      throw new Error('Agent not found');
+    }
+
+    const errors = MessageSchema.validate(content, {
+      sender: agentId,
+      agents: Array.from(this.agents.keys()),
+      territories: Array.from(this.territories.keys())
+    });
+
+    // Replies answer a proposal made to the sender, and go back to its proposer
+    if (errors.length === 0 && MessageSchema.replies.includes(content.intent)) {
+      const original = this.conversations.find(c => c.id === content.payload.replyTo);
+      if (!original || !['propose', 'counter'].includes(original.intent) || original.target !== agentId) {
+        errors.push('replyTo must be a proposal addressed to the sender');
+      } else if (original.agentId !== content.target) {
+        errors.push('replies must be addressed to the proposer');
+      }
+    }
+
+    // Alliance channels are open to members of an alliance in force only
+    const type = content.type || (content.target || content.recipients ? 'private' : 'public');
+    if (errors.length === 0 && type === 'alliance') {
+      const alliances = this.getAlliances().filter(a => a.members.includes(agentId));
+      const alliance = content.allianceId
+        ? alliances.find(a => a.id === content.allianceId)
+        : alliances.length === 1 ? alliances[0] : null;
+
+      if (alliances.length === 0) {
+        errors.push('the sender is not in an alliance');
+      } else if (!alliance) {
+        errors.push(content.allianceId ? 'the sender is not a member of that alliance' : 'alliance messages need an allianceId');
+      } else if (content.target && !alliance.members.includes(content.target)) {
+        errors.push('the target is not a member of the alliance');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid message: ${errors.join('; ')}`);
+    }
+
+    return this.logConversation(agentId, content.message, type, {
+      target: content.target,
+      recipients: content.recipients,
+      allianceId: content.allianceId,
+      intent: content.intent,
+      payload: content.payload
+    });
+  }
+
+  // Public messages are open to all, the rest to the sender and recipients until the game is over
+  canRead(entry, agentId) {
+    return GameState.canRead(entry, agentId, this.phase);
+  }
+
+  // Also applied to rows of the conversations table, which name the sender agent_id
+  static canRead(entry, agentId, phase) {
+    if (entry.type === 'public' || phase === 'ended') return true;
+    if (!agentId) return false;
+    const sender = entry.agentId || entry.agent_id;
+    return sender === agentId || (entry.recipients || [entry.target]).includes(agentId);
+  }
+
+  // Conversations visible to an agent, or to spectators when agentId is null
+  getConversationsFor(agentId = null) {
+    return this.conversations.filter(c => this.canRead(c, agentId));
+  }
+
   // Get public state (for spectators)
   getPublicState() {
     return {
@@ -460,6 +936,8 @@ class GameState extends EventEmitter {
       phase: this.phase,
       turn: this.turn,
       maxTurns: this.maxTurns,
+      config: this.config,
+      mapType: this.mapType,
       agents: Array.from(this.agents.values()).map(a => ({
         id: a.id,
         name: a.name,
@@ -468,7 +946,12 @@ class GameState extends EventEmitter {
         armies: a.armies,
         resources: a.resources,
         eliminated: a.eliminated,
-        personality: a.personality?.type
+        eliminatedTurn: a.eliminatedTurn || null,
+        eliminatedBy: a.eliminatedBy || null,
+        personality: a.personality?.type,
+        human: a.human,
+        remote: a.remote,
+        hasKey: a.publicKey !== null
       })),
       territories: Array.from(this.territories.values()).map(t => ({
         id: t.id,
@@ -477,9 +960,17 @@ class GameState extends EventEmitter {
         armies: t.armies,
         region: t.region,
         continent: t.continent,
-        neighbors: t.neighbors
+        neighbors: t.neighbors,
+        label: t.label,
+        x: t.x,
+        y: t.y
       })),
-      conversations: this.conversations.filter(c => c.type === 'public'),
+      alliances: this.getAlliances(),
+      victory: this.victory,
+      result: this.result,
+      // Secret until the game has ended
+      objectives: this.phase === 'ended' ? Object.fromEntries(this.objectives) : null,
+      conversations: this.getConversationsFor(null), // Declassified once the game has ended
       diplomaticEvents: this.diplomaticEvents.slice(-10), // Last 10 events
       winner: this.winner,
       phaseStartTime: this.phaseStartTime,
@@ -487,6 +978,45 @@ class GameState extends EventEmitter {
     };
   }
 
+  // Mirror the alliances of a reputation engine, which owns them, so the public state,
+  // snapshots and replays show the same alliance graph the agents play by
+  trackAlliances(reputationEngine) {
+    for (const alliance of reputationEngine.alliances.values()) {
+      this.syncAlliance(alliance);
+    }
+
+    reputationEngine.on('allianceFormed', (alliance) => {
+      this.syncAlliance(alliance);
+      const [first, ...others] = Array.from(alliance.members);
+      others.forEach(member => this.logDiplomaticEvent('alliance', first, member, { allianceId: alliance.id, type: alliance.type }));
+    });
+    ['allianceBroken', 'allianceExpired', 'allianceDissolved', 'allianceRenewed'].forEach(event => {
+      reputationEngine.on(event, (alliance) => this.syncAlliance(alliance));
+    });
+    reputationEngine.on('allianceMemberLeft', ({ alliance }) => this.syncAlliance(alliance));
+  }
+
+  syncAlliance(alliance) {
+    const known = this.alliances.get(alliance.id);
+    this.alliances.set(alliance.id, {
+      id: alliance.id,
+      name: alliance.name,
+      members: Array.from(alliance.members),
+      type: alliance.type,
+      status: alliance.status,
+      formedTurn: known ? known.formedTurn : this.turn,
+      expiresAt: alliance.expiresAt || null, // Last turn the alliance is in force
+      brokenBy: alliance.brokenBy || null,
+      dealId: alliance.terms?.dealId || null
+    });
+    this.emit('alliancesChanged', this.getAlliances());
+  }
+
+  // Alliances in force
+  getAlliances() {
+    return Array.from(this.alliances.values()).filter(a => a.status === 'active');
+  }
+
   // Log diplomatic events (alliances, betrayals)
   logDiplomaticEvent(type, fromAgentId, toAgentId, details = {}) {
     const event = {
@@ -515,6 +1045,9 @@ class GameState extends EventEmitter {
       myTerritories: agent.territories,
       myResources: agent.resources,
       myCommitment: this.moves.get(agentId)?.hash || null,
+      myReinforcements: this.calculateReinforcements(agentId),
+      myObjective: this.objectives.get(agentId) || null,
+      conversations: this.getConversationsFor(agentId),
       revealedMoves: Array.from(this.revealedMoves.values())
         .filter(m => this.phase === 'resolve' || m.agentId === agentId)
     };
@@ -525,10 +1058,8 @@ class GameState extends EventEmitter {
     this.turn++;
     this.moves.clear();
     this.revealedMoves.clear();
+    this.forfeits = [];
     this.lastActivity = Date.now();
-    
-    // Reset alliances that expired
-    // TODO: Alliance expiration logic
 
     this.emit('turnEnd', this.turn);
     return this;
@@ -538,29 +1069,67 @@ class GameState extends EventEmitter {
   toJSON() {
     return {
       gameId: this.gameId,
+      seed: this.seed,
+      rng: this.rng.toJSON(),
       phase: this.phase,
       turn: this.turn,
       maxTurns: this.maxTurns,
+      config: this.config,
+      mapType: this.mapType,
+      continents: this.continents,
       agents: Array.from(this.agents.entries()),
       territories: Array.from(this.territories.entries()),
+      alliances: Array.from(this.alliances.entries()),
       conversations: this.conversations,
+      diplomaticEvents: this.diplomaticEvents,
+      moves: Array.from(this.moves.entries()),
+      revealedMoves: Array.from(this.revealedMoves.entries()),
+      forfeits: this.forfeits,
       history: this.history,
+      phaseStartTime: this.phaseStartTime,
+      phaseDuration: this.phaseDuration,
       winner: this.winner,
+      result: this.result,
+      victory: this.victory,
+      objectives: Array.from(this.objectives.entries()),
+      inheritResources: this.inheritResources,
       createdAt: this.createdAt,
       lastActivity: this.lastActivity
     };
   }
 
-  static fromJSON(data) {
-    const game = new GameState(data.gameId);
+  static fromJSON(data, options = {}) {
+    // Checkpoints from before game configs carry only their turn limit and phase durations
+    const config = data.config || { maxTurns: data.maxTurns };
+    const game = new GameState(data.gameId, { seed: data.seed, mapRegistry: options.mapRegistry, config });
+    if (data.rng) {
+      game.rng = SeededRandom.fromJSON(data.rng);
+    }
     game.phase = data.phase;
     game.turn = data.turn;
     game.maxTurns = data.maxTurns;
+    game.mapType = data.mapType || null;
+    game.continents = data.continents;
     game.agents = new Map(data.agents);
     game.territories = new Map(data.territories);
+    game.alliances = new Map(data.alliances || []);
     game.conversations = data.conversations;
+    game.diplomaticEvents = data.diplomaticEvents || [];
+    game.moves = new Map(data.moves || []);
+    game.revealedMoves = new Map(data.revealedMoves || []);
+    game.forfeits = data.forfeits || [];
     game.history = data.history;
-    game.winner = data.winner;
+    game.phaseStartTime = data.phaseStartTime || null;
+    if (data.phaseDuration) {
+      game.phaseDuration = { ...game.phaseDuration, ...data.phaseDuration };
+    }
+    game.winner = [].concat(data.winner || []); // Older checkpoints kept a single id
+    game.result = data.result || null;
+    if (data.victory) {
+      game.victory = VictoryConditions.normalize(data.victory);
+    }
+    game.objectives = new Map(data.objectives || []);
+    game.inheritResources = !!data.inheritResources;
     game.createdAt = data.createdAt;
     game.lastActivity = data.lastActivity;
     return game;
@@ -0,0 +1,191 @@
+// Map Generator - Seeded random planar maps with continents, resources and bonuses
+const SeededRandom = require('../utils/SeededRandom');
+const MapValidator = require('./MapValidator');
+
+// Territories per player
+const SIZES = {
+  small: 4,
+  medium: 6,
+  large: 8
+};
+
+const WIDTH = 1200;
+const HEIGHT = 800;
+const MARGIN = 60;
+
+const SYLLABLES = ['ar', 'bel', 'cor', 'dan', 'el', 'fen', 'gal', 'har', 'is', 'kar', 'lor', 'mar',
+  'nor', 'os', 'pel', 'quin', 'ros', 'sol', 'tar', 'ul', 'val', 'wen', 'yar', 'zen'];
+const CONTINENT_SUFFIXES = ['ia', 'ara', 'und', 'os', 'ea', 'heim'];
+
+class MapGenerator {
+  static get sizes() {
+    return Object.keys(SIZES);
+  }
+
+  // Same seed, player count and size always give the same map
+  static generate({ seed, players = 7, size = 'medium' } = {}) {
+    if (!SIZES[size]) {
+      throw new Error(`Unknown map size: ${size}`);
+    }
+    if (seed === undefined || seed === null || String(seed).length === 0) {
+      throw new Error('Map seed is required');
+    }
+
+    const rng = new SeededRandom(`map:${seed}:${players}:${size}`);
+    const count = Math.max(12, players * SIZES[size]);
+
+    const points = MapGenerator.placePoints(rng, count);
+    const edges = MapGenerator.gabrielGraph(points);
+    const continentOf = MapGenerator.growContinents(rng, points, edges, Math.max(3, Math.min(8, Math.round(count / 7))));
+
+    // Number territories continent by continent so ids read naturally
+    const order = points.map((p, i) => i).sort((a, b) => continentOf[a] - continentOf[b] || a - b);
+    const idOf = {};
+    order.forEach((index, n) => { idOf[index] = `t${n + 1}`; });
+
+    const usedNames = new Set();
+    const continents = {};
+    const continentIds = Array.from(new Set(order.map(i => continentOf[i])));
+    continentIds.forEach((c, n) => {
+      const members = order.filter(i => continentOf[i] === c);
+      const borders = members.filter(i => edges[i].some(j => continentOf[j] !== c)).length;
+
+      continents[`c${n + 1}`] = {
+        name: MapGenerator.makeName(rng, usedNames, CONTINENT_SUFFIXES[n % CONTINENT_SUFFIXES.length]),
+        bonus: Math.max(1, Math.round(members.length * 0.4 + borders * 0.3)),
+        territories: members.map(i => idOf[i])
+      };
+    });
+    const continentIdOf = {};
+    continentIds.forEach((c, n) => { continentIdOf[c] = `c${n + 1}`; });
+
+    const map = {
+      id: `random:${seed}`,
+      name: `Random ${seed}`,
+      description: `Generated ${size} map for ${players} players`,
+      continents,
+      territories: order.map(i => ({
+        id: idOf[i],
+        name: MapGenerator.makeName(rng, usedNames, ''),
+        continent: continentIdOf[continentOf[i]],
+        neighbors: edges[i].map(j => idOf[j]).sort((a, b) => a.localeCompare(b, 'en', { numeric: true })),
+        resources: 1 + rng.int(3),
+        x: Math.round(points[i].x),
+        y: Math.round(points[i].y)
+      }))
+    };
+
+    const errors = MapValidator.validate(map);
+    if (errors.length > 0) {
+      throw new Error(`Generated map is invalid: ${errors.join('; ')}`);
+    }
+    return map;
+  }
+
+  // Scatter points with a minimum spacing, relaxing it if the board gets crowded
+  static placePoints(rng, count) {
+    const points = [];
+    let spacing = Math.sqrt(((WIDTH - 2 * MARGIN) * (HEIGHT - 2 * MARGIN)) / count) * 0.75;
+
+    while (points.length < count) {
+      let placed = false;
+      for (let attempt = 0; attempt < 200 && !placed; attempt++) {
+        const candidate = {
+          x: MARGIN + rng.next() * (WIDTH - 2 * MARGIN),
+          y: MARGIN + rng.next() * (HEIGHT - 2 * MARGIN)
+        };
+        if (points.every(p => Math.hypot(p.x - candidate.x, p.y - candidate.y) >= spacing)) {
+          points.push(candidate);
+          placed = true;
+        }
+      }
+      if (!placed) {
+        spacing *= 0.9;
+      }
+    }
+
+    return points;
+  }
+
+  // Gabriel graph: p-q is an edge unless another point lies in the circle with diameter pq.
+  // It is planar (a subgraph of the Delaunay triangulation) and connected.
+  static gabrielGraph(points) {
+    const edges = points.map(() => []);
+
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const mx = (points[i].x + points[j].x) / 2;
+        const my = (points[i].y + points[j].y) / 2;
+        const r2 = ((points[i].x - points[j].x) ** 2 + (points[i].y - points[j].y) ** 2) / 4;
+
+        const blocked = points.some((p, k) => k !== i && k !== j && (p.x - mx) ** 2 + (p.y - my) ** 2 < r2);
+        if (!blocked) {
+          edges[i].push(j);
+          edges[j].push(i);
+        }
+      }
+    }
+
+    return edges;
+  }
+
+  // Spread continent seeds apart, then grow them breadth-first in turns so every continent is connected
+  static growContinents(rng, points, edges, continentCount) {
+    const seeds = [rng.int(points.length)];
+    while (seeds.length < continentCount) {
+      let best = -1;
+      let bestDistance = -1;
+      points.forEach((p, i) => {
+        const distance = Math.min(...seeds.map(s => Math.hypot(p.x - points[s].x, p.y - points[s].y)));
+        if (distance > bestDistance) {
+          best = i;
+          bestDistance = distance;
+        }
+      });
+      seeds.push(best);
+    }
+
+    const continentOf = new Array(points.length).fill(-1);
+    const frontiers = seeds.map((s, c) => {
+      continentOf[s] = c;
+      return [s];
+    });
+
+    let assigned = seeds.length;
+    while (assigned < points.length) {
+      frontiers.forEach((frontier, c) => {
+        // Claim one unassigned neighbor of the continent, picked at random
+        const options = [];
+        frontier.forEach(i => edges[i].forEach(j => {
+          if (continentOf[j] === -1) options.push(j);
+        }));
+        if (options.length === 0) return;
+
+        const next = rng.pick(options);
+        continentOf[next] = c;
+        frontier.push(next);
+        assigned++;
+      });
+    }
+
+    return continentOf;
+  }
+
+  static makeName(rng, used, suffix) {
+    for (;;) {
+      const syllables = 2 + rng.int(2);
+      let name = '';
+      for (let i = 0; i < syllables; i++) {
+        name += rng.pick(SYLLABLES);
+      }
+      name = name.charAt(0).toUpperCase() + name.slice(1) + suffix;
+
+      if (!used.has(name)) {
+        used.add(name);
+        return name;
+      }
+    }
+  }
+}
+
+module.exports = MapGenerator;
@@ -0,0 +1,129 @@
+// Map Registry - Loads and validates map definitions from JSON files
+const fs = require('fs');
+const path = require('path');
+const MapValidator = require('./MapValidator');
+const MapGenerator = require('./MapGenerator');
+
+const DEFAULT_MAP_DIR = path.join(__dirname, '..', 'maps');
+
+class MapRegistry {
+  constructor(directory = DEFAULT_MAP_DIR) {
+    this.directory = directory;
+    this.maps = new Map(); // mapId -> map definition
+    this.generators = new Map(); // prefix -> (parameter, options) => map definition
+  }
+
+  // Shared registry over the bundled maps, loaded on first use
+  static getDefault() {
+    if (!MapRegistry.defaultRegistry) {
+      MapRegistry.defaultRegistry = new MapRegistry().load();
+      MapRegistry.defaultRegistry.registerGenerator('random', (seed, options) =>
+        MapGenerator.generate({ seed, players: options.players, size: options.size }));
+    }
+    return MapRegistry.defaultRegistry;
+  }
+
+  // Load every *.json file of the directory. Invalid files are skipped with an error
+  // so one broken map does not keep the server from starting.
+  load() {
+    if (!fs.existsSync(this.directory)) {
+      return this;
+    }
+
+    const files = fs.readdirSync(this.directory).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+      try {
+        const map = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        this.register(map);
+      } catch (err) {
+        console.error(`Skipping map ${file}:`, err.message);
+      }
+    }
+
+    return this;
+  }
+
+  register(map) {
+    const errors = MapRegistry.validate(map);
+    if (errors.length > 0) {
+      throw new Error(`Invalid map: ${errors.join('; ')}`);
+    }
+    if (this.maps.has(map.id)) {
+      throw new Error(`Duplicate map id: ${map.id}`);
+    }
+
+    this.maps.set(map.id, MapRegistry.normalize(map));
+    return this.maps.get(map.id);
+  }
+
+  // Maps named <prefix>:<parameter> are built on request by the generator for the prefix
+  registerGenerator(prefix, generate) {
+    this.generators.set(prefix, generate);
+    return this;
+  }
+
+  has(mapId) {
+    return this.get(mapId) !== null;
+  }
+
+  // options are passed to generators: { players, size }
+  get(mapId, options = {}) {
+    if (this.maps.has(mapId)) {
+      return this.maps.get(mapId);
+    }
+
+    const separator = typeof mapId === 'string' ? mapId.indexOf(':') : -1;
+    const generate = separator > 0 && this.generators.get(mapId.slice(0, separator));
+    const parameter = separator > 0 ? mapId.slice(separator + 1) : '';
+    if (!generate || parameter.length === 0) {
+      return null;
+    }
+
+    return MapRegistry.normalize(generate(parameter, options));
+  }
+
+  listGenerators() {
+    return Array.from(this.generators.keys());
+  }
+
+  list() {
+    return Array.from(this.maps.values()).map(map => ({
+      id: map.id,
+      name: map.name,
+      description: map.description,
+      territories: map.territories.length,
+      continents: Object.keys(map.continents).length
+    }));
+  }
+
+  // Returns a list of error strings, empty when the map is usable
+  static validate(map) {
+    return MapValidator.validate(map);
+  }
+
+  // Fill in the optional fields so GameState can rely on them
+  static normalize(map) {
+    const continentOf = {};
+    for (const [cid, continent] of Object.entries(map.continents)) {
+      continent.territories.forEach(tid => { continentOf[tid] = cid; });
+    }
+
+    return {
+      id: map.id,
+      name: map.name,
+      description: map.description || '',
+      continents: map.continents,
+      territories: map.territories.map(t => ({
+        ...t,
+        region: t.region || continentOf[t.id].toUpperCase(),
+        continent: continentOf[t.id],
+        resources: t.resources === undefined ? 1 : t.resources
+      }))
+    };
+  }
+}
+
+MapRegistry.defaultRegistry = null;
+
+module.exports = MapRegistry;
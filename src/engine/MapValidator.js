@@ -0,0 +1,124 @@
+// Map Validator - Graph checks shared by the server map registry and the map editor page
+// Plain script so the browser can load it too (served as /js/MapValidator.js)
+(function (root) {
+  const MapValidator = {
+    // Returns a list of error strings, empty when the map is usable
+    validate(map) {
+      const errors = [];
+
+      if (!map || typeof map !== 'object') {
+        return ['map must be an object'];
+      }
+      // Generated maps are named <generator>:<parameter>, e.g. random:tournament-1
+      if (typeof map.id !== 'string' || !/^[a-z0-9-]{1,40}(:\S{1,128})?$/.test(map.id)) {
+        errors.push('id must be 1-40 lowercase letters, digits or dashes');
+      }
+      if (typeof map.name !== 'string' || map.name.length === 0) {
+        errors.push('name is required');
+      }
+      if (!Array.isArray(map.territories) || map.territories.length < 2) {
+        errors.push('at least 2 territories are required');
+        return errors;
+      }
+      if (!map.continents || typeof map.continents !== 'object') {
+        errors.push('continents are required');
+        return errors;
+      }
+
+      // Territories
+      const territories = new Map();
+      for (const t of map.territories) {
+        if (!t || typeof t.id !== 'string' || t.id.length === 0) {
+          errors.push('every territory needs an id');
+          continue;
+        }
+        if (territories.has(t.id)) {
+          errors.push(`${t.id}: duplicate territory id`);
+          continue;
+        }
+        if (typeof t.name !== 'string' || t.name.length === 0) {
+          errors.push(`${t.id}: name is required`);
+        }
+        if (!Array.isArray(t.neighbors) || t.neighbors.length === 0) {
+          errors.push(`${t.id}: neighbors are required`);
+        }
+        if (t.resources !== undefined && (!Number.isInteger(t.resources) || t.resources < 0)) {
+          errors.push(`${t.id}: resources must be a non-negative integer`);
+        }
+        if ((t.x !== undefined || t.y !== undefined) && !(Number.isFinite(t.x) && Number.isFinite(t.y))) {
+          errors.push(`${t.id}: x and y must both be numbers`);
+        }
+        territories.set(t.id, t);
+      }
+
+      // Neighbor lists must be symmetric
+      for (const t of territories.values()) {
+        for (const nid of t.neighbors || []) {
+          const neighbor = territories.get(nid);
+          if (nid === t.id) {
+            errors.push(`${t.id}: cannot neighbor itself`);
+          } else if (!neighbor) {
+            errors.push(`${t.id}: unknown neighbor ${nid}`);
+          } else if (!(neighbor.neighbors || []).includes(t.id)) {
+            errors.push(`${t.id}: neighbor ${nid} does not list it back`);
+          }
+        }
+      }
+
+      // Every territory in exactly one continent
+      const continentOf = new Map();
+      for (const [cid, continent] of Object.entries(map.continents)) {
+        if (!continent || !Array.isArray(continent.territories)) {
+          errors.push(`continent ${cid}: territories are required`);
+          continue;
+        }
+        if (typeof continent.bonus !== 'number' || continent.bonus < 0) {
+          errors.push(`continent ${cid}: bonus must be a non-negative number`);
+        }
+        for (const tid of continent.territories) {
+          if (!territories.has(tid)) {
+            errors.push(`continent ${cid}: unknown territory ${tid}`);
+          } else if (continentOf.has(tid)) {
+            errors.push(`${tid}: in continents ${continentOf.get(tid)} and ${cid}`);
+          } else {
+            continentOf.set(tid, cid);
+          }
+        }
+      }
+      for (const t of territories.values()) {
+        if (!continentOf.has(t.id)) {
+          errors.push(`${t.id}: not in any continent`);
+        } else if (t.continent !== undefined && t.continent !== continentOf.get(t.id)) {
+          errors.push(`${t.id}: continent ${t.continent} does not match ${continentOf.get(t.id)}`);
+        }
+      }
+
+      // Connected graph
+      if (errors.length === 0) {
+        const [first] = territories.keys();
+        const seen = new Set([first]);
+        const queue = [first];
+        while (queue.length > 0) {
+          for (const nid of territories.get(queue.shift()).neighbors) {
+            if (!seen.has(nid)) {
+              seen.add(nid);
+              queue.push(nid);
+            }
+          }
+        }
+        if (seen.size !== territories.size) {
+          const unreachable = Array.from(territories.keys()).filter(tid => !seen.has(tid));
+          errors.push(`not connected: ${unreachable.join(', ')} unreachable from ${first}`);
+        }
+      }
+
+      return errors;
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapValidator;
+  } else {
+    root.MapValidator = MapValidator;
+  }
+})(this);
@@ -0,0 +1,153 @@
+// Message Schema - Typed negotiation messages, shared by the server and the web client
+// Plain script so the browser can load it too (served as /js/MessageSchema.js)
+(function (root) {
+  const isId = (value, ids) => typeof value === 'string' && ids.includes(value);
+  const isShortText = (value, max) => typeof value === 'string' && value.length > 0 && value.length <= max;
+
+  // Payload fields per intent: field -> check(value, context). Fields listed in `required` must be present.
+  const deal = {
+    deal: (v) => MessageSchema.dealTypes.includes(v),
+    against: (v, ctx) => isId(v, ctx.agents) && v !== ctx.sender,
+    duration: (v) => Number.isInteger(v) && v >= 1 && v <= 20,
+    terms: (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && JSON.stringify(v).length <= 1000,
+    dealId: (v) => isShortText(v, 64)
+  };
+  const PAYLOADS = {
+    propose: { fields: deal, required: ['deal'] },
+    counter: { fields: { ...deal, replyTo: (v) => isShortText(v, 64) }, required: ['replyTo', 'deal'] },
+    accept: { fields: { replyTo: (v) => isShortText(v, 64) }, required: ['replyTo'] },
+    reject: { fields: { replyTo: (v) => isShortText(v, 64), reason: (v) => isShortText(v, 200) }, required: ['replyTo'] },
+    threaten: { fields: { territory: (v, ctx) => isId(v, ctx.territories), demand: (v) => isShortText(v, 200) }, required: [] },
+    inform: { fields: { about: (v, ctx) => isId(v, ctx.agents), territory: (v, ctx) => isId(v, ctx.territories) }, required: [] },
+    'request-support': {
+      fields: {
+        territory: (v, ctx) => isId(v, ctx.territories),
+        against: (v, ctx) => isId(v, ctx.agents) && v !== ctx.sender,
+        armies: (v) => Number.isInteger(v) && v >= 1
+      },
+      required: ['territory']
+    }
+  };
+
+  const MessageSchema = {
+    intents: Object.keys(PAYLOADS),
+    // Intents that are always addressed to one agent (the channel may still be public)
+    targeted: ['propose', 'counter', 'accept', 'reject', 'threaten', 'request-support'],
+    // Replies to a propose or counter message
+    replies: ['counter', 'accept', 'reject'],
+    channels: ['public', 'private', 'alliance'],
+    dealTypes: ['non-aggression', 'alliance', 'trade', 'attack-agreement'],
+
+    // content: { intent?, target?, message?, payload?, type?, recipients?, allianceId? }
+    // context: { sender, agents: [agentId], territories: [territoryId] }
+    // Returns a list of error strings, empty when the message is valid
+    validate(content, context) {
+      const errors = [];
+
+      if (!content || typeof content !== 'object') {
+        return ['message must be an object'];
+      }
+      const { intent, target, message, payload, type, recipients, allianceId } = content;
+
+      if (message !== undefined && message !== null && message !== '' && !isShortText(message, 500)) {
+        errors.push('message must be text of up to 500 characters');
+      }
+      if (!intent && !message) {
+        errors.push('a message needs free text, an intent or both');
+      }
+      if (target !== undefined && target !== null && (!isId(target, context.agents) || target === context.sender)) {
+        errors.push(`unknown target: ${target}`);
+      }
+      if (type !== undefined && !MessageSchema.channels.includes(type)) {
+        errors.push(`type must be one of ${MessageSchema.channels.join(', ')}`);
+      }
+      if (recipients !== undefined && recipients !== null) {
+        if (!Array.isArray(recipients) || recipients.length === 0 || new Set(recipients).size !== recipients.length ||
+            recipients.some(id => !isId(id, context.agents) || id === context.sender)) {
+          errors.push('recipients must be a list of other agents');
+        } else if ((type || 'private') !== 'private') {
+          errors.push('only private messages take recipients');
+        } else if (target && !recipients.includes(target)) {
+          errors.push('the target must be one of the recipients');
+        }
+      }
+      if (type === 'private' && !target && !(Array.isArray(recipients) && recipients.length > 0)) {
+        errors.push('private messages need a target');
+      }
+      if (allianceId !== undefined && allianceId !== null && (type !== 'alliance' || !isShortText(allianceId, 64))) {
+        errors.push('allianceId is only valid on alliance messages');
+      }
+
+      if (!intent) {
+        if (payload !== undefined && payload !== null) {
+          errors.push('a payload needs an intent');
+        }
+        return errors;
+      }
+
+      const schema = PAYLOADS[intent];
+      if (!schema) {
+        errors.push(`intent must be one of ${MessageSchema.intents.join(', ')}`);
+        return errors;
+      }
+      if (MessageSchema.targeted.includes(intent) && !target) {
+        errors.push(`${intent} messages need a target`);
+      }
+      if (payload !== undefined && payload !== null && (typeof payload !== 'object' || Array.isArray(payload))) {
+        errors.push('payload must be an object');
+        return errors;
+      }
+
+      const fields = payload || {};
+      for (const field of schema.required) {
+        if (fields[field] === undefined) {
+          errors.push(`${intent} payload needs ${field}`);
+        }
+      }
+      for (const [field, value] of Object.entries(fields)) {
+        const check = schema.fields[field];
+        if (!check) {
+          errors.push(`${intent} payload has unknown field ${field}`);
+        } else if (!check(value, context)) {
+          errors.push(`${intent} payload has an invalid ${field}`);
+        }
+      }
+
+      return errors;
+    },
+
+    // Short English summary of a message's intent, e.g. "proposes a non-aggression deal to Bismarck against Iago".
+    // nameOf resolves agent and territory ids for display. Returns '' for free text only.
+    describe(entry, nameOf = (id) => id) {
+      const p = entry.payload || {};
+      const target = entry.target ? nameOf(entry.target) : 'everyone';
+      const against = p.against ? ` against ${nameOf(p.against)}` : '';
+      const duration = p.duration ? ` for ${p.duration} turn${p.duration === 1 ? '' : 's'}` : '';
+
+      switch (entry.intent) {
+        case 'propose':
+          return `proposes a ${p.deal} deal to ${target}${against}${duration}`;
+        case 'counter':
+          return `counters ${target} with a ${p.deal} deal${against}${duration}`;
+        case 'accept':
+          return `accepts ${target}'s proposal`;
+        case 'reject':
+          return `rejects ${target}'s proposal${p.reason ? `: ${p.reason}` : ''}`;
+        case 'threaten':
+          return `threatens ${target}${p.territory ? ` over ${nameOf(p.territory)}` : ''}${p.demand ? ` - demands ${p.demand}` : ''}`;
+        case 'inform':
+          return `informs ${target}${p.about ? ` about ${nameOf(p.about)}` : ''}${p.territory ? ` (${nameOf(p.territory)})` : ''}`;
+        case 'request-support':
+          return `asks ${target} for support at ${nameOf(p.territory)}${against}${p.armies ? ` with ${p.armies} armies` : ''}`;
+        default:
+          return '';
+      }
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageSchema;
+  } else {
+    root.MessageSchema = MessageSchema;
+  }
+})(this);
@@ -1,18 +1,31 @@
 // Phase Manager - State machine for game phases
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
 
 class PhaseManager extends EventEmitter {
-  constructor(gameState) {
+  constructor(gameState, options = {}) {
     super();
     this.gameState = gameState;
+    this.reputationEngine = options.reputationEngine || null; // Deals and alliances run out as turns end
     this.timers = new Map();
     this.isRunning = false;
+    this.defaultReveals = new Map(); // agentId -> { move, nonce } for default moves committed on an agent's behalf
     
-    // Bind to game state events
+    // Bind to game state events - deferred so the phase that triggered them finishes setting up first
     this.gameState.on('allMovesCommitted', () => {
-      if (this.gameState.phase === 'commit') {
-        this.advancePhase();
-      }
+      setImmediate(() => {
+        if (this.gameState.phase === 'commit') {
+          this.advancePhase();
+        }
+      });
+    });
+
+    this.gameState.on('allMovesRevealed', () => {
+      setImmediate(() => {
+        if (this.gameState.phase === 'reveal') {
+          this.advancePhase();
+        }
+      });
     });
   }
 
@@ -22,6 +35,7 @@ class PhaseManager extends EventEmitter {
     }
 
     this.gameState.distributeTerritories();
+    this.gameState.dealObjectives();
     this.isRunning = true;
     this.transitionTo('negotiation');
     this.emit('gameStarted', this.gameState.gameId);
@@ -44,6 +58,9 @@ class PhaseManager extends EventEmitter {
       case 'commit':
         this.setupCommitPhase();
         break;
+      case 'reveal':
+        this.setupRevealPhase();
+        break;
       case 'resolve':
         this.setupResolvePhase();
         break;
@@ -72,13 +89,7 @@ class PhaseManager extends EventEmitter {
     }, duration);
     
     this.timers.set('phase', timer);
-
-    // Warning at 10 seconds remaining
-    const warningTimer = setTimeout(() => {
-      this.emit('phaseWarning', { phase: 'negotiation', secondsRemaining: 10 });
-    }, duration - 10000);
-    
-    this.timers.set('warning', warningTimer);
+    this.scheduleWarning('negotiation', duration);
   }
 
   setupCommitPhase() {
@@ -96,12 +107,50 @@ class PhaseManager extends EventEmitter {
     }, duration);
     
     this.timers.set('phase', timer);
+    this.scheduleWarning('commit', duration);
+  }
+
+  setupRevealPhase() {
+    const duration = this.gameState.phaseDuration.reveal;
+
+    this.revealDefaultMoves();
+
+    this.emit('revealStarted', {
+      turn: this.gameState.turn,
+      duration,
+      agentsNeedingReveals: this.getAgentsNeedingReveals()
+    });
+
+    // Auto-advance timer - unrevealed commitments are forfeited
+    const timer = setTimeout(() => {
+      this.advancePhase();
+    }, duration);
+
+    this.timers.set('phase', timer);
+    this.scheduleWarning('reveal', duration);
+  }
+
+  // Reveal the default moves committed for agents that missed the commit phase
+  revealDefaultMoves() {
+    for (const [agentId, { move, nonce }] of this.defaultReveals) {
+      try {
+        this.gameState.revealMove(agentId, move, nonce);
+      } catch (err) {
+        console.error(`Failed to reveal default move for ${agentId}:`, err);
+      }
+    }
+    this.defaultReveals.clear();
+  }
+
+  // Warn the configured time before the phase ends, if the game's config sets a warning for it
+  scheduleWarning(phase, duration) {
+    const offset = this.gameState.config.warnings[phase];
+    if (!offset || offset >= duration) return;
 
-    // Warning at 5 seconds remaining
     const warningTimer = setTimeout(() => {
-      this.emit('phaseWarning', { phase: 'commit', secondsRemaining: 5 });
-    }, duration - 5000);
-    
+      this.emit('phaseWarning', { phase, secondsRemaining: Math.round(offset / 1000) });
+    }, duration - offset);
+
     this.timers.set('warning', warningTimer);
   }
 
@@ -114,12 +163,21 @@ class PhaseManager extends EventEmitter {
     // Resolve battles
     const results = this.gameState.resolveBattles();
     
+    // Relocate armies between owned territories
+    const movements = this.gameState.resolveMovements(results);
+
+    // Agents left without territories are out before reinforcements are handed out
+    const eliminations = this.checkEliminations(results);
+    
     // Distribute reinforcements
-    this.distributeReinforcements();
+    const reinforcements = this.distributeReinforcements();
     
     this.emit('resolveStarted', {
       turn: this.gameState.turn,
       results,
+      movements,
+      eliminations,
+      reinforcements,
       duration
     });
 
@@ -144,6 +202,9 @@ class PhaseManager extends EventEmitter {
       case 'commit':
         // Commit default moves for agents that didn't submit
         this.commitDefaultMoves();
+        this.transitionTo('reveal');
+        break;
+      case 'reveal':
         this.transitionTo('resolve');
         break;
       case 'resolve':
@@ -152,6 +213,30 @@ class PhaseManager extends EventEmitter {
     }
   }
 
+  // The eliminator is whoever took the agent's last territory this turn. Its deals are
+  // cancelled and it leaves its alliances.
+  checkEliminations(results = []) {
+    const eliminations = [];
+
+    for (const agent of this.gameState.getActiveAgents()) {
+      if (agent.territories.length > 0) continue;
+
+      const lastLoss = results.filter(r => r.defender === agent.id && r.winner !== agent.id).pop();
+      const elimination = this.gameState.eliminateAgent(agent.id, lastLoss ? lastLoss.winner : null);
+
+      const cancelled = this.reputationEngine
+        ? this.reputationEngine.cancelAgreements(agent.id)
+        : { deals: [], alliances: [] };
+      elimination.deals = cancelled.deals.map(d => d.id);
+      elimination.alliances = cancelled.alliances.map(a => a.id);
+
+      this.emit('agentEliminated', elimination);
+      eliminations.push(elimination);
+    }
+
+    return eliminations;
+  }
+
   commitDefaultMoves() {
     const activeAgents = this.gameState.getActiveAgents();
     
@@ -166,12 +251,15 @@ class PhaseManager extends EventEmitter {
           distributions: this.calculateDefensiveDistribution(agent, reinforcements)
         };
 
-        // Create signature (in real impl, would be cryptographic)
-        const signature = this.createMoveSignature(agent.id, defaultMove);
+        // Committed on the agent's behalf, so it carries no agent signature
+        const nonce = crypto.randomBytes(16).toString('hex');
         
+        // Set before committing so a checkpoint taken on the commitment includes it
+        this.defaultReveals.set(agent.id, { move: defaultMove, nonce });
         try {
-          this.gameState.commitMove(agent.id, defaultMove, signature);
+          this.gameState.commitMove(agent.id, this.gameState.hashMove(defaultMove, nonce), null, { isDefault: true });
         } catch (err) {
+          this.defaultReveals.delete(agent.id);
           console.error(`Failed to commit default move for ${agent.id}:`, err);
         }
       }
@@ -206,41 +294,36 @@ class PhaseManager extends EventEmitter {
     return distributions;
   }
 
-  createMoveSignature(agentId, move) {
-    // Simplified signature for demo - in production use proper crypto
-    const crypto = require('crypto');
-    const data = `${agentId}:${JSON.stringify(move)}:${Date.now()}`;
-    return crypto.createHash('sha256').update(data).digest('hex');
-  }
-
   distributeReinforcements() {
     const activeAgents = this.gameState.getActiveAgents();
+    const placements = [];
     
     for (const agent of activeAgents) {
-      const reinforcements = this.gameState.calculateReinforcements(agent.id);
-      agent.armies += reinforcements;
+      const reinforcements = this.gameState.calculateReinforcements(agent.id, { spendResources: true });
       
-      // Distribute to territories (simplified - evenly)
-      if (agent.territories.length > 0) {
-        const perTerritory = Math.floor(reinforcements / agent.territories.length);
-        agent.territories.forEach(tid => {
-          const t = this.gameState.territories.get(tid);
-          t.armies += perTerritory;
-        });
-      }
+      // Honour the placement of the agent's order set, if any
+      const distributions = this.gameState.revealedMoves.get(agent.id)?.orders.reinforcements;
+      
+      placements.push(this.gameState.placeReinforcements(agent.id, reinforcements, distributions));
     }
+
+    return placements;
   }
 
   endTurn() {
     // Check win condition
-    const winResult = this.gameState.checkWinCondition();
+    const winResult = this.gameState.checkWinCondition(this.reputationEngine);
     
     if (winResult) {
-      this.emit('gameEnded', winResult);
+      this.emit('gameEnded', { ...winResult, turns: this.gameState.turn });
       return;
     }
 
-    // Clean up turn
+    // Let deals and alliances run out, then clean up the turn
+    if (this.reputationEngine) {
+      const expired = this.reputationEngine.expireAgreements(this.gameState.turn);
+      this.emit('agreementsExpired', { turn: this.gameState.turn, ...expired });
+    }
     this.gameState.endTurn();
     
     // Start next turn
@@ -256,6 +339,12 @@ class PhaseManager extends EventEmitter {
       .map(a => a.id);
   }
 
+  getAgentsNeedingReveals() {
+    return Array.from(this.gameState.moves.values())
+      .filter(c => !c.reveal)
+      .map(c => c.agentId);
+  }
+
   clearTimers() {
     for (const timer of this.timers.values()) {
       clearTimeout(timer);
@@ -276,6 +365,28 @@ class PhaseManager extends EventEmitter {
     return this;
   }
 
+  // Continue a game restored from a checkpoint. The phase was already set up before the
+  // restart, so only its timer is restarted with whatever time the phase had left.
+  // defaultReveals: the saved defaultReveals entries, see GameManager.checkpoint
+  restore(defaultReveals = []) {
+    this.clearTimers();
+    this.isRunning = true;
+
+    // Default moves committed just before the restart are revealed as the reveal phase would have
+    this.defaultReveals = new Map(defaultReveals);
+    if (this.gameState.phase === 'reveal') {
+      this.revealDefaultMoves();
+    }
+
+    const timer = setTimeout(() => {
+      this.advancePhase();
+    }, this.getTimeRemaining());
+
+    this.timers.set('phase', timer);
+    this.emit('gameRestored', { phase: this.gameState.phase, turn: this.gameState.turn });
+    return this;
+  }
+
   stop() {
     this.clearTimers();
     this.isRunning = false;
@@ -1,13 +1,23 @@
 // Reputation Engine - Track agent trustworthiness and deal history
 const { EventEmitter } = require('events');
+const SeededRandom = require('../utils/SeededRandom');
+const MessageSchema = require('./MessageSchema');
 
 class ReputationEngine extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.gameId = options.gameId || null; // Prefixes deal and alliance ids - seeded ids repeat across games with the same seed
+    this.rng = options.rng || null; // Seeded RNG for reproducible deal ids
     this.agentReputations = new Map(); // agentId -> ReputationData
     this.deals = new Map(); // dealId -> DealData
     this.alliances = new Map(); // allianceId -> AllianceData
     this.dealHistory = []; // All historical deals
+    this.currentTurn = 0; // Kept up to date by the game, stamps betrayals
+  }
+
+  // Shared with negotiation messages, which propose deals by type
+  static get dealTypes() {
+    return MessageSchema.dealTypes;
   }
 
   initializeAgent(agentId, name) {
@@ -40,39 +50,220 @@ class ReputationEngine extends EventEmitter {
       acceptor: deal.acceptor,
       terms: deal.terms,
       type: deal.type, // 'non-aggression', 'alliance', 'trade', 'attack-agreement'
-      status: 'pending', // pending, active, completed, broken, expired
+      status: 'pending', // pending, active, rejected, countered, completed, broken, expired, cancelled
+      counterTo: deal.counterTo || null, // The deal this one answers as a counter-proposal
       createdAt: Date.now(),
-      expiresAt: deal.expiresAt || null,
+      expiresAt: deal.expiresAt || null, // Last turn the deal is in force, set from terms.duration on accept
+      renewals: {}, // agentId -> turns asked for, see renewDeal
       fulfilled: {
         [deal.proposer]: false,
         [deal.acceptor]: false
       },
       brokenBy: null,
-      brokenAt: null
+      brokenAt: null,
+      evidence: [] // What broke the deal: [{ agentId, type, turn, ... }]
     };
 
     this.deals.set(dealData.id, dealData);
-    
-    // Update reputations for both parties
-    this.updateDealCounts(deal.proposer, 'made');
-    this.updateDealCounts(deal.acceptor, 'made');
 
     this.emit('dealProposed', dealData);
     return dealData;
   }
 
+  // The acceptor's answer to a pending deal: { decision: 'accept' | 'reject' | 'counter', reason?, type?, terms? }.
+  // Returns { deal, counter } - counter is the new deal proposed back, if any.
+  respondToDeal(dealId, agentId, response = {}) {
+    switch (response.decision) {
+      case 'accept':
+        return { deal: this.acceptDeal(dealId, agentId), counter: null };
+      case 'reject':
+        return { deal: this.rejectDeal(dealId, agentId, response.reason), counter: null };
+      case 'counter':
+        return this.counterDeal(dealId, agentId, response);
+      default:
+        throw new Error('Invalid decision: expected accept, reject or counter');
+    }
+  }
+
   acceptDeal(dealId, acceptorId) {
-    const deal = this.deals.get(dealId);
-    if (!deal) throw new Error('Deal not found');
-    if (deal.acceptor !== acceptorId) throw new Error('Not authorized to accept');
+    const deal = this.getPendingDeal(dealId, acceptorId, 'accept');
     
     deal.status = 'active';
     deal.acceptedAt = Date.now();
+
+    // Counted from the turn of the proposal, which is also the turn it is accepted in
+    const duration = deal.terms?.duration;
+    if (!deal.expiresAt && Number.isInteger(duration) && duration > 0) {
+      deal.expiresAt = deal.turn + duration - 1;
+    }
+
+    // A deal is only made once both sides agree
+    this.updateDealCounts(deal.proposer, 'made');
+    this.updateDealCounts(deal.acceptor, 'made');
+
+    // Alliance deals bind the two parties into an alliance
+    if (deal.type === 'alliance') {
+      const alliance = this.formAlliance({
+        members: [deal.proposer, deal.acceptor],
+        type: deal.terms?.against ? 'offensive' : 'defensive',
+        terms: { ...deal.terms, dealId: deal.id },
+        expiresAt: deal.expiresAt
+      });
+      deal.allianceId = alliance.id;
+    }
     
     this.emit('dealAccepted', deal);
     return deal;
   }
 
+  rejectDeal(dealId, agentId, reason = null) {
+    const deal = this.getPendingDeal(dealId, agentId, 'reject');
+
+    deal.status = 'rejected';
+    deal.rejectedAt = Date.now();
+    deal.rejectReason = reason;
+
+    this.emit('dealRejected', deal);
+    return deal;
+  }
+
+  // Close the deal and propose different terms back to its proposer. A counter-proposal cannot itself be countered.
+  counterDeal(dealId, agentId, { type, terms } = {}) {
+    const deal = this.getPendingDeal(dealId, agentId, 'counter');
+    if (deal.counterTo) throw new Error('A counter-proposal cannot be countered');
+    if (!ReputationEngine.dealTypes.includes(type)) {
+      throw new Error(`Invalid deal type: expected one of ${ReputationEngine.dealTypes.join(', ')}`);
+    }
+
+    deal.status = 'countered';
+    const counter = this.recordDeal({
+      turn: deal.turn,
+      phase: deal.phase,
+      proposer: agentId,
+      acceptor: deal.proposer,
+      type,
+      terms: terms || deal.terms,
+      counterTo: deal.id
+    });
+    deal.counteredBy = counter.id;
+
+    this.emit('dealCountered', { deal, counter });
+    return { deal, counter };
+  }
+
+  // Both parties must ask before the deal runs out; it is then extended by the shorter of the two requests.
+  // The alliance a deal formed is extended with it.
+  renewDeal(dealId, agentId, turns) {
+    const deal = this.deals.get(dealId);
+    if (!deal) throw new Error('Deal not found');
+    if (deal.proposer !== agentId && deal.acceptor !== agentId) throw new Error('Not authorized to renew');
+    if (deal.status !== 'active') throw new Error(`Deal is already ${deal.status}`);
+    if (!deal.expiresAt) throw new Error('Deal does not expire');
+    if (!Number.isInteger(turns) || turns < 1 || turns > 20) throw new Error('Invalid renewal: expected 1-20 turns');
+
+    deal.renewals = { ...deal.renewals, [agentId]: turns };
+    if (!deal.renewals[deal.proposer] || !deal.renewals[deal.acceptor]) {
+      this.emit('dealRenewalRequested', { deal, agentId, turns });
+      return deal;
+    }
+
+    deal.expiresAt += Math.min(deal.renewals[deal.proposer], deal.renewals[deal.acceptor]);
+    deal.renewals = {};
+
+    const alliance = deal.allianceId && this.alliances.get(deal.allianceId);
+    if (alliance && alliance.status === 'active') {
+      alliance.expiresAt = deal.expiresAt;
+      this.emit('allianceRenewed', alliance);
+    }
+
+    this.emit('dealRenewed', deal);
+    return deal;
+  }
+
+  // Called as each turn ends. Unanswered proposals lapse; active deals and alliances whose last
+  // turn has passed run out - deals that held are completed, alliances honored to the end earn
+  // their members credit. Returns { deals, alliances } that expired or completed this turn.
+  expireAgreements(turn) {
+    this.currentTurn = turn;
+    const ended = { deals: [], alliances: [] };
+
+    for (const deal of this.deals.values()) {
+      if (deal.status === 'pending') {
+        this.expireDeal(deal);
+        ended.deals.push(deal);
+      } else if (deal.status === 'active' && deal.expiresAt !== null && deal.expiresAt <= turn) {
+        if (deal.type === 'attack-agreement') {
+          // Never carried out by both sides - nobody broke it either
+          this.expireDeal(deal);
+        } else {
+          [deal.proposer, deal.acceptor].forEach(agentId => this.fulfillDeal(deal.id, agentId));
+        }
+        ended.deals.push(deal);
+      }
+    }
+
+    for (const alliance of this.alliances.values()) {
+      if (alliance.status === 'active' && alliance.expiresAt !== null && alliance.expiresAt <= turn) {
+        this.expireAlliance(alliance);
+        ended.alliances.push(alliance);
+      }
+    }
+
+    return ended;
+  }
+
+  expireDeal(deal) {
+    deal.status = 'expired';
+    deal.expiredAt = Date.now();
+    this.emit('dealExpired', deal);
+  }
+
+  expireAlliance(alliance) {
+    alliance.status = 'expired';
+    alliance.expiredAt = Date.now();
+
+    alliance.members.forEach(memberId => {
+      this.updateAllianceCounts(memberId, 'honored');
+      const rep = this.agentReputations.get(memberId);
+      if (rep) {
+        rep.trustScore = Math.min(100, rep.trustScore + 5);
+      }
+    });
+
+    this.emit('allianceExpired', alliance);
+  }
+
+  // An eliminated agent's pending and active deals are cancelled - nobody broke or kept them -
+  // and it leaves its alliances, which dissolve when fewer than two members remain
+  cancelAgreements(agentId, reason = 'eliminated') {
+    const cancelled = { deals: [], alliances: [] };
+
+    for (const deal of this.deals.values()) {
+      if (['pending', 'active'].includes(deal.status) && (deal.proposer === agentId || deal.acceptor === agentId)) {
+        deal.status = 'cancelled';
+        deal.cancelReason = reason;
+        deal.cancelledAt = Date.now();
+        this.emit('dealCancelled', deal);
+        cancelled.deals.push(deal);
+      }
+    }
+
+    for (const alliance of this.getActiveAlliances(agentId)) {
+      this.leaveAlliance(alliance.id, agentId);
+      cancelled.alliances.push(alliance);
+    }
+
+    return cancelled;
+  }
+
+  getPendingDeal(dealId, agentId, action) {
+    const deal = this.deals.get(dealId);
+    if (!deal) throw new Error('Deal not found');
+    if (deal.acceptor !== agentId) throw new Error(`Not authorized to ${action}`);
+    if (deal.status !== 'pending') throw new Error(`Deal is already ${deal.status}`);
+    return deal;
+  }
+
   fulfillDeal(dealId, agentId) {
     const deal = this.deals.get(dealId);
     if (!deal) return false;
@@ -97,7 +288,9 @@ class ReputationEngine extends EventEmitter {
     return true;
   }
 
-  breakDeal(dealId, agentId, reason) {
+  // evidence: [{ agentId, type, ... }] - every party named in it broke the deal too,
+  // e.g. when both sides attacked each other in the same turn
+  breakDeal(dealId, agentId, reason, evidence = []) {
     const deal = this.deals.get(dealId);
     if (!deal) return false;
     if (deal.status !== 'active' && deal.status !== 'pending') return false;
@@ -106,20 +299,39 @@ class ReputationEngine extends EventEmitter {
     deal.brokenBy = agentId;
     deal.brokenAt = Date.now();
     deal.breakReason = reason;
+    deal.evidence = evidence;
 
     // Update betrayals
-    const otherParty = deal.proposer === agentId ? deal.acceptor : deal.proposer;
-    
-    this.recordBetrayal(agentId, otherParty, deal.type);
-    
-    this.updateDealCounts(agentId, 'broken');
-    this.updateDealCounts(otherParty, 'kept'); // Other party kept their end
+    const breakers = new Set([agentId, ...evidence.map(e => e.agentId)]);
+    for (const party of [deal.proposer, deal.acceptor]) {
+      const otherParty = party === deal.proposer ? deal.acceptor : deal.proposer;
+
+      if (breakers.has(party)) {
+        this.recordBetrayal(party, otherParty, deal.type, evidence.filter(e => e.agentId === party));
+        this.updateDealCounts(party, 'broken');
+      } else {
+        this.updateDealCounts(party, 'kept'); // Kept their end
+      }
+    }
+
+    // An alliance formed by the deal ends with it - the betrayal is already on record
+    const alliance = deal.allianceId && this.alliances.get(deal.allianceId);
+    if (alliance && alliance.status === 'active') {
+      alliance.status = 'broken';
+      alliance.brokenBy = agentId;
+      alliance.brokenAt = Date.now();
+      alliance.breakReason = reason;
+      alliance.members.forEach(memberId => {
+        this.updateAllianceCounts(memberId, breakers.has(memberId) ? 'broken' : 'honored');
+      });
+      this.emit('allianceBroken', alliance);
+    }
 
     this.emit('dealBroken', deal);
     return deal;
   }
 
-  recordBetrayal(betrayerId, victimId, type) {
+  recordBetrayal(betrayerId, victimId, type, evidence = []) {
     // Update betrayer's reputation
     const betrayer = this.agentReputations.get(betrayerId);
     if (betrayer) {
@@ -127,6 +339,7 @@ class ReputationEngine extends EventEmitter {
         victim: victimId,
         type,
         turn: this.currentTurn,
+        evidence,
         timestamp: Date.now()
       });
       betrayer.trustScore = Math.max(0, betrayer.trustScore - 10);
@@ -143,7 +356,7 @@ class ReputationEngine extends EventEmitter {
       });
     }
 
-    this.emit('betrayalRecorded', { betrayer: betrayerId, victim: victimId, type });
+    this.emit('betrayalRecorded', { betrayer: betrayerId, victim: victimId, type, evidence });
   }
 
   // Alliance tracking
@@ -406,7 +619,8 @@ class ReputationEngine extends EventEmitter {
   }
 
   generateId() {
-    return Math.random().toString(36).substring(2, 15);
+    const random = (this.rng ? this.rng.next() : Math.random()).toString(36).substring(2, 15);
+    return this.gameId ? `${this.gameId}-${random}` : random;
   }
 
   // Serialization
@@ -418,12 +632,15 @@ class ReputationEngine extends EventEmitter {
         ...a,
         members: Array.from(a.members)
       }]),
-      dealHistory: this.dealHistory
+      dealHistory: this.dealHistory,
+      currentTurn: this.currentTurn,
+      gameId: this.gameId,
+      rng: this.rng ? this.rng.toJSON() : null
     };
   }
 
   static fromJSON(data) {
-    const engine = new ReputationEngine();
+    const engine = new ReputationEngine({ gameId: data.gameId, rng: data.rng ? SeededRandom.fromJSON(data.rng) : null });
     
     engine.agentReputations = new Map(data.reputations);
     engine.deals = new Map(data.deals);
@@ -432,6 +649,7 @@ class ReputationEngine extends EventEmitter {
       members: new Set(a.members)
     }]));
     engine.dealHistory = data.dealHistory || [];
+    engine.currentTurn = data.currentTurn || 0;
     
     return engine;
   }
@@ -0,0 +1,271 @@
+// Victory Conditions - Decide when a game is won, configured per game
+//
+// The config is given as `victory` to POST /api/games; every field is optional:
+//   domination  share of all territories that wins outright (default 0.6, null to switch off)
+//   continents  continents to hold at once - a number, or a list of continent ids (default null)
+//   points      score weights { territory, resource, continent, keptDeal, target? }; the best score
+//               wins at the turn limit, and reaching `target` wins outright (default null: most territories)
+//   objectives  deal every agent a secret objective - completing it wins (default false)
+//   shared      at the turn limit, the members of an alliance that has held through the whole final turn
+//               pool their territories for domination and continent goals, and win together (default false)
+//
+// Agents tied at the top - on score, then territories - draw: the result's type is 'draw'.
+const DEFAULTS = { domination: 0.6, continents: null, points: null, objectives: false, shared: false };
+const POINT_WEIGHTS = { territory: 1, resource: 0, continent: 1, keptDeal: 1 };
+const OBJECTIVE_SHARE = 0.4; // Territories to hold for a 'territories' objective
+
+class VictoryConditions {
+  constructor(gameState, reputationEngine = null) {
+    this.gameState = gameState;
+    this.reputationEngine = reputationEngine; // Kept deals score points
+    this.config = gameState.victory;
+  }
+
+  // context: { continents: [continentId] } of the map the game is played on.
+  // Returns a list of error strings, empty when the config is valid
+  static validate(config, context = {}) {
+    if (config === undefined || config === null) return [];
+    if (typeof config !== 'object' || Array.isArray(config)) {
+      return ['victory must be an object'];
+    }
+
+    const errors = [];
+    const isWeight = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 100;
+
+    for (const field of Object.keys(config)) {
+      if (!(field in DEFAULTS)) errors.push(`unknown field ${field}`);
+    }
+
+    const { domination, continents, points, objectives, shared } = config;
+    if (domination !== undefined && domination !== null && !(typeof domination === 'number' && domination > 0 && domination <= 1)) {
+      errors.push('domination must be a share of the map between 0 and 1');
+    }
+
+    if (continents !== undefined && continents !== null) {
+      const known = context.continents || [];
+      if (Number.isInteger(continents)) {
+        if (continents < 1 || (context.continents && continents > known.length)) {
+          errors.push(`continents must be between 1 and ${known.length || 'the number of continents'}`);
+        }
+      } else if (!Array.isArray(continents) || continents.length === 0 || new Set(continents).size !== continents.length ||
+          (context.continents && continents.some(id => !known.includes(id)))) {
+        errors.push('continents must be a number or a list of continent ids on the map');
+      }
+    }
+
+    if (points !== undefined && points !== null) {
+      if (typeof points !== 'object' || Array.isArray(points)) {
+        errors.push('points must be an object');
+      } else {
+        for (const [field, value] of Object.entries(points)) {
+          if (field === 'target') {
+            if (value !== null && !(Number.isInteger(value) && value > 0)) errors.push('points.target must be a positive integer');
+          } else if (!(field in POINT_WEIGHTS)) {
+            errors.push(`points has unknown field ${field}`);
+          } else if (!isWeight(value)) {
+            errors.push(`points.${field} must be a weight between 0 and 100`);
+          }
+        }
+      }
+    }
+
+    if (objectives !== undefined && typeof objectives !== 'boolean') errors.push('objectives must be true or false');
+    if (shared !== undefined && typeof shared !== 'boolean') errors.push('shared must be true or false');
+
+    return errors;
+  }
+
+  // The config with defaults filled in; throws on an invalid config
+  static normalize(config) {
+    const errors = VictoryConditions.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid victory: ${errors.join('; ')}`);
+    }
+
+    const normalized = { ...DEFAULTS, ...(config || {}) };
+    if (normalized.points) {
+      normalized.points = { ...POINT_WEIGHTS, target: null, ...normalized.points };
+    }
+    return normalized;
+  }
+
+  // One objective per agent, drawn from the map and the other seats:
+  //   { type: 'continent', continent } | { type: 'territories', count } | { type: 'eliminate', target }
+  static dealObjectives(gameState, rng) {
+    const continents = Object.keys(gameState.continents || {});
+    const agentIds = Array.from(gameState.agents.keys());
+    const objectives = new Map();
+
+    for (const agentId of agentIds) {
+      const kinds = ['territories'];
+      if (continents.length > 0) kinds.push('continent');
+      if (agentIds.length > 2) kinds.push('eliminate');
+
+      const kind = rng.pick(kinds);
+      if (kind === 'continent') {
+        objectives.set(agentId, { type: 'continent', continent: rng.pick(continents) });
+      } else if (kind === 'eliminate') {
+        objectives.set(agentId, { type: 'eliminate', target: rng.pick(agentIds.filter(id => id !== agentId)) });
+      } else {
+        objectives.set(agentId, { type: 'territories', count: Math.ceil(gameState.territories.size * OBJECTIVE_SHARE) });
+      }
+    }
+
+    return objectives;
+  }
+
+  // Short English summary, e.g. "hold all of Europe". nameOf resolves agent and continent ids.
+  static describeObjective(objective, nameOf = (id) => id) {
+    switch (objective.type) {
+      case 'continent':
+        return `hold all of ${nameOf(objective.continent)}`;
+      case 'territories':
+        return `hold ${objective.count} territories`;
+      case 'eliminate':
+        return `take the last territory of ${nameOf(objective.target)}`;
+      default:
+        return '';
+    }
+  }
+
+  // Returns { type, winner, scores? } when the game is over, else null. winner lists everyone who won,
+  // best placed first: the members of an alliance win together, and a draw names everyone tied at the top.
+  check() {
+    const active = this.gameState.getActiveAgents().map(a => a.id);
+    if (active.length <= 1) {
+      return active.length === 1 ? this.result('elimination', active) : this.result('draw', []);
+    }
+
+    if (this.config.objectives) {
+      const done = active.filter(id => this.objectiveMet(id));
+      if (done.length > 0) return this.decide('objective', done);
+    }
+
+    for (const goal of ['domination', 'continents']) {
+      if (this.config[goal] === null) continue;
+      const met = (side) => goal === 'domination'
+        ? this.territoryShare(side) >= this.config.domination
+        : this.continentGoalMet(side);
+
+      const singles = active.filter(id => met([id]));
+      if (singles.length > 0) return this.decide(goal, singles);
+
+      const alliance = this.alliedSides(active).find(met);
+      if (alliance) return this.result(goal, alliance);
+    }
+
+    if (this.config.points && this.config.points.target) {
+      const scores = this.scores();
+      const reached = active.filter(id => scores[id] >= this.config.points.target);
+      if (reached.length > 0) return this.decide('points', reached);
+    }
+
+    if (this.gameState.turn >= this.gameState.maxTurns) {
+      return this.decide(this.config.points ? 'points' : 'turns', active);
+    }
+
+    return null;
+  }
+
+  // The best placed of the candidates win - or draw when tied
+  decide(type, candidates) {
+    const leaders = this.leaders(candidates);
+    return this.result(leaders.length > 1 ? 'draw' : type, leaders);
+  }
+
+  result(type, winner) {
+    const result = { type, winner: this.rank(winner) };
+    if (this.config.points) {
+      result.scores = this.scores();
+    }
+    return result;
+  }
+
+  // With shared victories, at the turn limit, the active members of every alliance that was already
+  // in force when the final turn began - the largest first. Mid-game, allies do not win together.
+  alliedSides(active) {
+    if (!this.config.shared || this.gameState.turn < this.gameState.maxTurns) return [];
+    return this.gameState.getAlliances()
+      .filter(alliance => alliance.formedTurn < this.gameState.turn)
+      .map(alliance => alliance.members.filter(id => active.includes(id)))
+      .filter(members => members.length > 1)
+      .sort((a, b) => this.territoryShare(b) - this.territoryShare(a));
+  }
+
+  territoryShare(side) {
+    const held = side.reduce((sum, id) => sum + this.gameState.agents.get(id).territories.length, 0);
+    return held / this.gameState.territories.size;
+  }
+
+  heldContinents(side) {
+    return Object.entries(this.gameState.continents || {})
+      .filter(([, continent]) => continent.territories.every(tid => side.includes(this.gameState.territories.get(tid)?.owner)))
+      .map(([id]) => id);
+  }
+
+  continentGoalMet(side) {
+    const held = this.heldContinents(side);
+    const goal = this.config.continents;
+    return Array.isArray(goal) ? goal.every(id => held.includes(id)) : held.length >= goal;
+  }
+
+  objectiveMet(agentId) {
+    const objective = this.gameState.objectives.get(agentId);
+    if (!objective) return false;
+
+    switch (objective.type) {
+      case 'continent':
+        return this.heldContinents([agentId]).includes(objective.continent);
+      case 'territories':
+        return this.gameState.agents.get(agentId).territories.length >= objective.count;
+      case 'eliminate': {
+        const target = this.gameState.agents.get(objective.target);
+        return !!target && target.eliminated && target.eliminatedBy === agentId;
+      }
+      default:
+        return false;
+    }
+  }
+
+  // agentId -> points, for every agent in the game
+  scores() {
+    const weights = this.config.points || POINT_WEIGHTS;
+    const scores = {};
+
+    for (const agent of this.gameState.agents.values()) {
+      const continentBonus = this.heldContinents([agent.id])
+        .reduce((sum, id) => sum + (this.gameState.continents[id].bonus || 0), 0);
+      const keptDeals = this.reputationEngine?.getReputation(agent.id)?.dealsKept || 0;
+
+      scores[agent.id] = Math.round((
+        agent.territories.length * weights.territory +
+        agent.resources * weights.resource +
+        continentBonus * weights.continent +
+        keptDeals * weights.keptDeal
+      ) * 100) / 100;
+    }
+
+    return scores;
+  }
+
+  // Best placed first: by score when points are on, then by territories
+  rank(agentIds) {
+    const compare = this.comparator();
+    return [...agentIds].sort(compare);
+  }
+
+  // Everyone placed level with the best
+  leaders(agentIds) {
+    const compare = this.comparator();
+    const [best] = this.rank(agentIds);
+    return agentIds.filter(id => compare(id, best) === 0);
+  }
+
+  comparator() {
+    const scores = this.config.points ? this.scores() : null;
+    const territories = (id) => this.gameState.agents.get(id).territories.length;
+    return (a, b) => (scores ? scores[b] - scores[a] : 0) || territories(b) - territories(a);
+  }
+}
+
+module.exports = VictoryConditions;
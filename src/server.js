@@ -29,7 +29,8 @@ async function main() {
     console.log('[2/4] Initializing game manager...');
     const gameManager = new GameManager(dbManager);
     await gameManager.initialize();
-    console.log('      Game manager ready');
+    const restored = await gameManager.restoreGames();
+    console.log(`      Game manager ready. Restored games: ${restored.length}`);
 
     // Create HTTP server
     console.log('[3/4] Starting API server...');
@@ -3,6 +3,16 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 
+// games.winner holds a JSON list of agent ids; rows written before it did hold a single id
+const encodeWinner = (winner) => {
+  const ids = [].concat(winner || []);
+  return ids.length > 0 ? JSON.stringify(ids) : null;
+};
+const decodeWinner = (value) => {
+  if (!value) return [];
+  return value.startsWith('[') ? JSON.parse(value) : [value];
+};
+
 class DatabaseManager {
   constructor(dbPath = './db/games.db') {
     this.dbPath = dbPath;
@@ -23,6 +33,8 @@ class DatabaseManager {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
+          // Statements run in the order they are issued, so an older checkpoint can never land last
+          this.db.serialize();
           this.createTables().then(resolve).catch(reject);
         }
       });
@@ -38,6 +50,7 @@ class DatabaseManager {
         turn INTEGER DEFAULT 1,
         phase TEXT DEFAULT 'lobby',
         winner TEXT,
+        seed TEXT,
         game_data TEXT NOT NULL,
         created_at INTEGER NOT NULL,
         updated_at INTEGER NOT NULL,
@@ -76,14 +89,27 @@ class DatabaseManager {
         game_id TEXT NOT NULL,
         turn INTEGER NOT NULL,
         agent_id TEXT NOT NULL,
+        order_index INTEGER NOT NULL DEFAULT 0,
         move_type TEXT NOT NULL,
         move_data TEXT NOT NULL,
         signature TEXT NOT NULL,
         hash TEXT NOT NULL,
+        nonce TEXT,
+        revealed_move TEXT,
         timestamp INTEGER NOT NULL,
         FOREIGN KEY (game_id) REFERENCES games(id)
       )`,
 
+      // Agent public keys - verify stored move signatures after the game
+      `CREATE TABLE IF NOT EXISTS agent_keys (
+        game_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        registered_at INTEGER NOT NULL,
+        PRIMARY KEY (game_id, agent_id),
+        FOREIGN KEY (game_id) REFERENCES games(id)
+      )`,
+
       // Reputation table
       `CREATE TABLE IF NOT EXISTS reputations (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -132,6 +158,15 @@ class DatabaseManager {
         FOREIGN KEY (game_id) REFERENCES games(id)
       )`,
 
+      // What a restart needs but no API response may carry: agents' private keys and unrevealed moves.
+      // Kept out of games.game_data, which the replay reads
+      `CREATE TABLE IF NOT EXISTS game_secrets (
+        game_id TEXT PRIMARY KEY,
+        secret_data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        FOREIGN KEY (game_id) REFERENCES games(id)
+      )`,
+
       // Replay snapshots
       `CREATE TABLE IF NOT EXISTS snapshots (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -148,6 +183,20 @@ class DatabaseManager {
       await this.run(sql);
     }
 
+    // Columns added after the first release
+    await this.ensureColumn('games', 'seed', 'TEXT');
+    await this.ensureColumn('games', 'result_type', 'TEXT');
+    await this.ensureColumn('moves', 'order_index', 'INTEGER NOT NULL DEFAULT 0');
+    await this.ensureColumn('moves', 'nonce', 'TEXT');
+    await this.ensureColumn('moves', 'revealed_move', 'TEXT');
+    await this.ensureColumn('conversations', 'target', 'TEXT');
+    await this.ensureColumn('conversations', 'intent', 'TEXT');
+    await this.ensureColumn('conversations', 'payload', 'TEXT');
+    await this.ensureColumn('conversations', 'recipients', 'TEXT');
+    await this.ensureColumn('conversations', 'alliance_id', 'TEXT');
+    await this.ensureColumn('deals', 'evidence', 'TEXT');
+    await this.ensureColumn('deals', 'expires_at', 'INTEGER');
+
     // Create indexes
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_events_game ON game_events(game_id)',
@@ -166,6 +215,14 @@ class DatabaseManager {
     console.log('Database tables created');
   }
 
+  // Add a column to an existing table if an older database lacks it
+  async ensureColumn(table, column, definition) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   // Promisified database methods
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
@@ -197,13 +254,14 @@ class DatabaseManager {
   // Game operations
   async saveGame(gameId, gameData) {
     const sql = `
-      INSERT INTO games (id, status, turn, phase, winner, game_data, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO games (id, status, turn, phase, winner, seed, game_data, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(id) DO UPDATE SET
         status = excluded.status,
         turn = excluded.turn,
         phase = excluded.phase,
         winner = excluded.winner,
+        seed = COALESCE(excluded.seed, games.seed),
         game_data = excluded.game_data,
         updated_at = excluded.updated_at
     `;
@@ -214,7 +272,8 @@ class DatabaseManager {
       gameData.status || 'active',
       gameData.turn || 1,
       gameData.phase || 'lobby',
-      gameData.winner || null,
+      encodeWinner(gameData.winner),
+      gameData.seed || null,
       JSON.stringify(gameData),
       gameData.createdAt || now,
       now
@@ -229,6 +288,7 @@ class DatabaseManager {
     
     return {
       ...row,
+      winner: decodeWinner(row.winner),
       game_data: JSON.parse(row.game_data)
     };
   }
@@ -238,19 +298,36 @@ class DatabaseManager {
     return this.all(sql);
   }
 
+  // Games a restart interrupted, with their checkpoints
+  async getUnfinishedGames() {
+    const sql = "SELECT * FROM games WHERE status IN ('lobby', 'active', 'paused') ORDER BY created_at";
+    const rows = await this.all(sql);
+    return rows.map(row => ({
+      ...row,
+      winner: decodeWinner(row.winner),
+      game_data: JSON.parse(row.game_data)
+    }));
+  }
+
   async getCompletedGames(limit = 10) {
-    const sql = "SELECT id, status, turn, winner, created_at, ended_at FROM games WHERE status = 'ended' ORDER BY ended_at DESC LIMIT ?";
-    return this.all(sql, [limit]);
+    const sql = "SELECT id, status, turn, winner, result_type, seed, created_at, ended_at FROM games WHERE status = 'ended' ORDER BY ended_at DESC LIMIT ?";
+    const rows = await this.all(sql, [limit]);
+    return rows.map(row => ({ ...row, winner: decodeWinner(row.winner) }));
   }
 
-  async endGame(gameId, winner) {
+  // winner: the list of agents who won - several for allies or a draw, none for a stopped game.
+  // resultType: how the game ended - a victory type (see VictoryConditions), 'stopped' or 'abandoned'
+  async endGame(gameId, winner = [], resultType = null) {
     const sql = `
       UPDATE games 
-      SET status = 'ended', winner = ?, ended_at = ?, updated_at = ?
+      SET status = 'ended', winner = ?, result_type = ?, ended_at = ?, updated_at = ?
       WHERE id = ?
     `;
     const now = Date.now();
-    await this.run(sql, [winner, now, now, gameId]);
+    await this.run(sql, [encodeWinner(winner), resultType, now, now, gameId]);
+
+    // Ended games are never restored
+    await this.run('DELETE FROM game_secrets WHERE game_id = ?', [gameId]);
   }
 
   // Event logging
@@ -302,8 +379,8 @@ class DatabaseManager {
   // Conversation logging
   async logConversation(conversation) {
     const sql = `
-      INSERT INTO conversations (id, game_id, turn, phase, agent_id, message, type, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO conversations (id, game_id, turn, phase, agent_id, message, type, target, recipients, alliance_id, intent, payload, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     await this.run(sql, [
@@ -314,6 +391,11 @@ class DatabaseManager {
       conversation.agentId,
       conversation.message,
       conversation.type,
+      conversation.target || null,
+      conversation.recipients ? JSON.stringify(conversation.recipients) : null,
+      conversation.allianceId || null,
+      conversation.intent || null,
+      conversation.payload ? JSON.stringify(conversation.payload) : null,
       conversation.timestamp
     ]);
   }
@@ -332,6 +414,11 @@ class DatabaseManager {
       params.push(options.turn);
     }
 
+    if (options.intent) {
+      sql += ' AND intent = ?';
+      params.push(options.intent);
+    }
+
     sql += ' ORDER BY timestamp ASC';
 
     if (options.limit) {
@@ -339,30 +426,96 @@ class DatabaseManager {
       params.push(options.limit);
     }
 
-    return this.all(sql, params);
+    const rows = await this.all(sql, params);
+    return rows.map(row => ({
+      ...row,
+      recipients: row.recipients ? JSON.parse(row.recipients) : null,
+      payload: row.payload ? JSON.parse(row.payload) : null
+    }));
   }
 
-  // Move logging
+  // Move logging - one row per order of a commitment, plus one for the
+  // reinforcement placement. A commitment with neither is logged as 'none'.
+  // Every row keeps the revealed move and nonce so the hash can be rechecked.
+  // Default moves have no signature and are stored with an empty one.
   async logMove(gameId, move) {
     const sql = `
-      INSERT INTO moves (game_id, turn, agent_id, move_type, move_data, signature, hash, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO moves (game_id, turn, agent_id, order_index, move_type, move_data, signature, hash, nonce, revealed_move, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
-    
-    await this.run(sql, [
-      gameId,
-      move.turn,
-      move.agentId,
-      move.move.type,
-      JSON.stringify(move.move),
-      move.signature,
-      move.hash,
-      move.timestamp
-    ]);
+
+    const rows = move.orders.orders.map(order => [order.type, order]);
+    if (move.orders.reinforcements) {
+      rows.push(['reinforce', move.orders.reinforcements]);
+    }
+    if (rows.length === 0) {
+      rows.push(['none', { note: move.orders.note || null }]);
+    }
+
+    for (const [index, [type, data]] of rows.entries()) {
+      await this.run(sql, [
+        gameId,
+        move.turn,
+        move.agentId,
+        index,
+        type,
+        JSON.stringify(data),
+        move.signature || '',
+        move.hash,
+        move.nonce || null,
+        move.move === undefined ? null : JSON.stringify(move.move),
+        move.timestamp
+      ]);
+    }
+  }
+
+  async getMove(gameId, moveId) {
+    const row = await this.get('SELECT * FROM moves WHERE game_id = ? AND id = ?', [gameId, moveId]);
+    if (!row) return null;
+
+    return {
+      ...row,
+      move_data: JSON.parse(row.move_data),
+      revealed_move: row.revealed_move ? JSON.parse(row.revealed_move) : null
+    };
+  }
+
+  async saveAgentKey(gameId, agentId, publicKey) {
+    const sql = `
+      INSERT INTO agent_keys (game_id, agent_id, public_key, registered_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(game_id, agent_id) DO UPDATE SET
+        public_key = excluded.public_key,
+        registered_at = excluded.registered_at
+    `;
+
+    await this.run(sql, [gameId, agentId, publicKey, Date.now()]);
+  }
+
+  async saveSecrets(gameId, secrets) {
+    const sql = `
+      INSERT INTO game_secrets (game_id, secret_data, updated_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT(game_id) DO UPDATE SET
+        secret_data = excluded.secret_data,
+        updated_at = excluded.updated_at
+    `;
+
+    await this.run(sql, [gameId, JSON.stringify(secrets), Date.now()]);
+  }
+
+  async loadSecrets(gameId) {
+    const row = await this.get('SELECT secret_data FROM game_secrets WHERE game_id = ?', [gameId]);
+    return row ? JSON.parse(row.secret_data) : null;
+  }
+
+  async getAgentKey(gameId, agentId) {
+    const row = await this.get('SELECT public_key FROM agent_keys WHERE game_id = ? AND agent_id = ?', [gameId, agentId]);
+    return row ? row.public_key : null;
   }
 
   async getMoves(gameId, turn) {
-    const sql = 'SELECT * FROM moves WHERE game_id = ? AND turn = ? ORDER BY timestamp ASC';
+    const sql = 'SELECT * FROM moves WHERE game_id = ? AND turn = ? ORDER BY timestamp ASC, agent_id ASC, order_index ASC';
     const rows = await this.all(sql, [gameId, turn]);
     
     return rows.map(row => ({
@@ -438,12 +591,14 @@ class DatabaseManager {
   // Deal tracking
   async saveDeal(gameId, deal) {
     const sql = `
-      INSERT INTO deals (id, game_id, turn, proposer, acceptor, deal_type, status, terms, fulfilled_by, broken_by, created_at, completed_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO deals (id, game_id, turn, proposer, acceptor, deal_type, status, terms, fulfilled_by, broken_by, evidence, expires_at, created_at, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(id) DO UPDATE SET
         status = excluded.status,
         fulfilled_by = excluded.fulfilled_by,
         broken_by = excluded.broken_by,
+        evidence = excluded.evidence,
+        expires_at = excluded.expires_at,
         completed_at = excluded.completed_at
     `;
     
@@ -458,13 +613,20 @@ class DatabaseManager {
       JSON.stringify(deal.terms),
       deal.fulfilled ? JSON.stringify(Object.keys(deal.fulfilled).filter(k => deal.fulfilled[k])) : null,
       deal.brokenBy,
+      deal.evidence && deal.evidence.length > 0 ? JSON.stringify(deal.evidence) : null,
+      deal.expiresAt || null,
       deal.createdAt,
       deal.completedAt || null
     ]);
   }
 
   async getDeals(gameId) {
-    return this.all('SELECT * FROM deals WHERE game_id = ? ORDER BY created_at ASC', [gameId]);
+    const rows = await this.all('SELECT * FROM deals WHERE game_id = ? ORDER BY created_at ASC', [gameId]);
+    return rows.map(row => ({
+      ...row,
+      terms: row.terms ? JSON.parse(row.terms) : null,
+      evidence: row.evidence ? JSON.parse(row.evidence) : null
+    }));
   }
 
   // Battle logging
@@ -0,0 +1,54 @@
+// Move Signer - Ed25519 keys, commitment hashes and signatures for agent moves
+const crypto = require('crypto');
+
+class MoveSigner {
+  static generateKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey
+    };
+  }
+
+  // Parse a PEM public key, throwing unless it is Ed25519
+  static parsePublicKey(publicKey) {
+    let key;
+    try {
+      key = crypto.createPublicKey(publicKey);
+    } catch (err) {
+      throw new Error('Invalid public key');
+    }
+
+    if (key.asymmetricKeyType !== 'ed25519') {
+      throw new Error('Public key must be Ed25519');
+    }
+    return key;
+  }
+
+  // Commitment hash: sha256 of the compact move JSON followed by the nonce
+  static hashMove(move, nonce) {
+    return crypto.createHash('sha256').update(JSON.stringify(move) + nonce).digest('hex');
+  }
+
+  // What an agent signs when committing - bound to the game and turn so it cannot be replayed
+  static commitmentPayload(gameId, turn, agentId, hash) {
+    return `agent-diplomacy:commit:${gameId}:${turn}:${agentId}:${hash}`;
+  }
+
+  // Returns a base64 signature
+  static sign(privateKey, payload) {
+    return crypto.sign(null, Buffer.from(payload), privateKey).toString('base64');
+  }
+
+  static verify(publicKey, payload, signature) {
+    if (typeof signature !== 'string' || signature.length === 0) return false;
+
+    try {
+      return crypto.verify(null, Buffer.from(payload), MoveSigner.parsePublicKey(publicKey), Buffer.from(signature, 'base64'));
+    } catch (err) {
+      return false;
+    }
+  }
+}
+
+module.exports = MoveSigner;
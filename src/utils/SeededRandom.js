@@ -0,0 +1,63 @@
+// Seeded Random - Deterministic pseudo-random numbers for reproducible games
+const crypto = require('crypto');
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed === undefined || seed === null ? SeededRandom.generateSeed() : String(seed);
+    this.state = SeededRandom.hashSeed(this.seed);
+  }
+
+  static generateSeed() {
+    return crypto.randomBytes(8).toString('hex');
+  }
+
+  // Reduce any seed string to a 32-bit starting state
+  static hashSeed(seed) {
+    return crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  }
+
+  // Mulberry32 - returns a float in [0, 1) like Math.random
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(items) {
+    return items.length > 0 ? items[this.int(items.length)] : undefined;
+  }
+
+  // Fisher-Yates shuffle in place
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  // Independent stream for a named consumer, so e.g. an agent drawing numbers
+  // does not shift the battle rolls of the game it plays in
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+
+  toJSON() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  static fromJSON(data) {
+    const rng = new SeededRandom(data.seed);
+    rng.state = data.state;
+    return rng;
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,84 @@
+// Alliance graph tests - the public state mirrors the reputation engine
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+describe('alliances in the public state', () => {
+  let gameState;
+  let engine;
+
+  beforeEach(() => {
+    gameState = new GameState('test-alliances', { seed: 'alliances' });
+    engine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => {
+      gameState.addAgent({ id, name: id });
+      engine.initializeAgent(id, id);
+    });
+    gameState.trackAlliances(engine);
+  });
+
+  const allianceDeal = () => {
+    const deal = engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-1', acceptor: 'agent-2', type: 'alliance', terms: { against: 'agent-3', duration: 2 } });
+    return engine.acceptDeal(deal.id, 'agent-2');
+  };
+
+  test('show members, type and expiry while the alliance is in force', () => {
+    const deal = allianceDeal();
+
+    expect(gameState.getPublicState().alliances).toEqual([{
+      id: deal.allianceId,
+      name: 'Alliance 1',
+      members: ['agent-1', 'agent-2'],
+      type: 'offensive',
+      status: 'active',
+      formedTurn: 1,
+      expiresAt: 2,
+      brokenBy: null,
+      dealId: deal.id
+    }]);
+    expect(gameState.diplomaticEvents.at(-1)).toMatchObject({ type: 'alliance', from: 'agent-1', to: 'agent-2' });
+    expect(gameState.getAgentState('agent-3').alliances).toHaveLength(1);
+
+    engine.renewDeal(deal.id, 'agent-1', 2);
+    engine.renewDeal(deal.id, 'agent-2', 2);
+    expect(gameState.getAlliances()[0].expiresAt).toBe(4);
+
+    engine.expireAgreements(4);
+    expect(gameState.getPublicState().alliances).toEqual([]);
+    expect(gameState.alliances.get(deal.allianceId).status).toBe('expired');
+  });
+
+  test('survive serialization and pick up changes made while detached', () => {
+    const deal = allianceDeal();
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState.toJSON())));
+    const restoredEngine = ReputationEngine.fromJSON(JSON.parse(JSON.stringify(engine.toJSON())));
+    expect(restored.getAlliances()).toEqual(gameState.getAlliances());
+
+    restoredEngine.breakDeal(deal.id, 'agent-2', 'attack');
+    restored.trackAlliances(restoredEngine);
+    expect(restored.getAlliances()).toEqual([]);
+    expect(restored.alliances.get(deal.allianceId)).toMatchObject({ status: 'broken', brokenBy: 'agent-2', formedTurn: 1 });
+  });
+});
+
+describe('alliance updates', () => {
+  test('are forwarded by the game manager', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'alliances', agentTypes: ['human', 'human'] });
+    const { reputationEngine } = gameManager.getGameData(gameState.gameId);
+    const updates = [];
+    gameManager.on('alliancesChanged', (data) => updates.push(data));
+
+    reputationEngine.formAlliance({ members: ['agent-1', 'agent-2'], type: 'defensive' });
+
+    expect(updates).toEqual([{ gameId: gameState.gameId, alliances: [expect.objectContaining({ members: ['agent-1', 'agent-2'], expiresAt: null })] }]);
+    expect(gameManager.getGame(gameState.gameId).getPublicState().alliances).toHaveLength(1);
+
+    await new Promise(r => setTimeout(r, 50));
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,312 @@
+// Battle resolution tests
+const GameState = require('../src/engine/GameState');
+
+function createGame() {
+  const gameState = new GameState('test-battles');
+  gameState.initializeMap('classic');
+  ['agent-1', 'agent-2', 'agent-3'].forEach(id => gameState.addAgent({ id, name: id }));
+  return gameState;
+}
+
+function setOwner(gameState, territoryId, agentId, armies) {
+  const territory = gameState.territories.get(territoryId);
+  territory.owner = agentId;
+  territory.armies = armies;
+  gameState.agents.get(agentId).territories.push(territoryId);
+  gameState.agents.get(agentId).armies += armies;
+}
+
+// Reveal moves directly, bypassing commit validation - an agent listed
+// several times gets all of its moves in one order set
+function reveal(gameState, moves) {
+  gameState.phase = 'resolve';
+  moves.forEach(([agentId, move]) => {
+    const orders = gameState.normalizeOrders(move);
+    const existing = gameState.revealedMoves.get(agentId);
+    if (existing) {
+      existing.orders.orders.push(...orders.orders);
+    } else {
+      gameState.revealedMoves.set(agentId, { agentId, orders });
+    }
+  });
+}
+
+describe('support moves', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('adds strength to the backed attacker', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5); // Great Britain
+    setOwner(gameState, 'eu6', 'agent-2', 4); // Western Europe
+    setOwner(gameState, 'eu4', 'agent-3', 4); // Northern Europe
+
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 }],
+      ['agent-3', { type: 'support', from: 'eu4', to: 'eu6', backing: 'agent-1', armies: 2 }]
+    ]);
+
+    const [result] = gameState.resolveBattles();
+
+    expect(result.supports).toEqual([
+      expect.objectContaining({ agentId: 'agent-3', backing: 'agent-1', strength: 2, cut: false, applied: true })
+    ]);
+  });
+
+  test('defaults to backing the defender', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 6);
+    setOwner(gameState, 'eu6', 'agent-2', 4);
+    setOwner(gameState, 'eu7', 'agent-2', 3);
+
+    jest.spyOn(gameState.rng, 'next').mockReturnValue(0.5);
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 5 }],
+      ['agent-2', { type: 'support', from: 'eu7', to: 'eu6', armies: 2 }]
+    ]);
+
+    const [result] = gameState.resolveBattles();
+
+    // Without support: 2.5 vs 3.0 - with 2 extra defenders: 2.5 vs 4.5
+    expect(result.supports[0]).toMatchObject({ backing: 'agent-2', applied: true });
+    expect(result.defenseRoll).toBe(4.5);
+    expect(result.winner).toBe('agent-2');
+  });
+
+  test('is cut when the supporting territory is attacked', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-2', 4);
+    setOwner(gameState, 'eu7', 'agent-2', 3);
+    setOwner(gameState, 'eu8', 'agent-3', 3);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 }],
+      ['agent-2', { type: 'support', from: 'eu7', to: 'eu6' }],
+      ['agent-3', { type: 'attack', from: 'eu8', to: 'eu7', armies: 1 }]
+    ]);
+
+    const result = gameState.resolveBattles().find(r => r.territory === 'eu6');
+
+    expect(result.supports[0]).toMatchObject({ cut: true, strength: 0, applied: false });
+  });
+
+  test('is not cut by an attack from the supported territory', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-2', 4);
+    setOwner(gameState, 'eu7', 'agent-3', 3);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 }],
+      ['agent-2', { type: 'attack', from: 'eu6', to: 'eu7', armies: 2 }],
+      ['agent-3', { type: 'support', from: 'eu7', to: 'eu6', backing: 'agent-1' }]
+    ]);
+
+    const result = gameState.resolveBattles().find(r => r.territory === 'eu6');
+
+    expect(result.supports[0]).toMatchObject({ cut: false, strength: 1, applied: true });
+  });
+
+  test('is ignored from a territory the agent does not own', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-2', 4);
+    setOwner(gameState, 'eu7', 'agent-2', 3);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 }],
+      ['agent-3', { type: 'support', from: 'eu7', to: 'eu6', backing: 'agent-1' }]
+    ]);
+
+    const [result] = gameState.resolveBattles();
+
+    expect(result.supports[0]).toMatchObject({ reason: 'not-owner', applied: false });
+  });
+});
+
+describe('move orders', () => {
+  test('relocates armies between adjacent owned territories', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-1', 2);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'move', from: 'eu3', to: 'eu6', armies: 3 }]
+    ]);
+
+    const [result] = gameState.resolveMovements();
+
+    expect(result).toMatchObject({ status: 'moved', armies: 3 });
+    expect(gameState.territories.get('eu3').armies).toBe(2);
+    expect(gameState.territories.get('eu6').armies).toBe(5);
+  });
+
+  test('must leave one army behind', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 3);
+    setOwner(gameState, 'eu6', 'agent-1', 2);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'move', from: 'eu3', to: 'eu6', armies: 3 }]
+    ]);
+
+    const [result] = gameState.resolveMovements();
+
+    expect(result).toMatchObject({ status: 'invalid', reason: 'insufficient-armies' });
+    expect(gameState.territories.get('eu3').armies).toBe(3);
+  });
+
+  test('rejects non-adjacent and foreign destinations', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu8', 'agent-1', 2);
+    setOwner(gameState, 'eu6', 'agent-2', 2);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'move', from: 'eu3', to: 'eu8', armies: 1 }],
+      ['agent-2', { type: 'move', from: 'eu6', to: 'eu3', armies: 1 }]
+    ]);
+
+    const results = gameState.resolveMovements();
+
+    expect(results[0]).toMatchObject({ status: 'invalid', reason: 'not-adjacent' });
+    expect(results[1]).toMatchObject({ status: 'invalid', reason: 'not-owner' });
+  });
+
+  test('bounces when the territory changed hands in battle', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-1', 2);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'move', from: 'eu3', to: 'eu6', armies: 2 }]
+    ]);
+
+    const [result] = gameState.resolveMovements([
+      { territory: 'eu6', defender: 'agent-1', winner: 'agent-2' }
+    ]);
+
+    expect(result).toMatchObject({ status: 'bounced', reason: 'territory-changed-hands' });
+  });
+});
+
+describe('order sets', () => {
+  // Orders are checked against the board once revealed
+  function check(gameState, agentId, move) {
+    const orders = gameState.normalizeOrders(move);
+    return { orders, errors: gameState.validateOrders(agentId, orders) };
+  }
+
+  test('accepts several orders and a reinforcement placement', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 6);
+    setOwner(gameState, 'eu6', 'agent-2', 2);
+    setOwner(gameState, 'eu1', 'agent-2', 2);
+    setOwner(gameState, 'eu2', 'agent-1', 3);
+
+    const { orders, errors } = check(gameState, 'agent-1', {
+      orders: [
+        { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 },
+        { type: 'attack', from: 'eu3', to: 'eu1', armies: 2 },
+        { type: 'move', from: 'eu2', to: 'eu3', armies: 2 }
+      ],
+      reinforcements: { eu3: 3 }
+    });
+
+    expect(errors).toEqual([]);
+    expect(orders.orders).toHaveLength(3);
+    expect(orders.reinforcements).toEqual({ eu3: 3 });
+  });
+
+  test('rejects orders drawing more armies than a territory can spare', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-2', 2);
+    setOwner(gameState, 'eu1', 'agent-2', 2);
+
+    expect(check(gameState, 'agent-1', {
+      orders: [
+        { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 },
+        { type: 'attack', from: 'eu3', to: 'eu1', armies: 2 }
+      ]
+    }).errors).toEqual(['eu3: orders use 5 armies but only 4 can leave']);
+  });
+
+  test('rejects orders from territories the agent does not own', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 5);
+    setOwner(gameState, 'eu6', 'agent-2', 5);
+
+    expect(check(gameState, 'agent-1', {
+      orders: [{ type: 'attack', from: 'eu6', to: 'eu3', armies: 2 }]
+    }).errors).toEqual([expect.stringContaining('not owned')]);
+  });
+
+  test('resolves every attack of an order set', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 6);
+    setOwner(gameState, 'eu6', 'agent-2', 2);
+    setOwner(gameState, 'eu1', 'agent-3', 2);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 3 }],
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu1', armies: 2 }]
+    ]);
+
+    const results = gameState.resolveBattles();
+
+    expect(results.map(r => r.territory).sort()).toEqual(['eu1', 'eu6']);
+  });
+
+  test('moves out of one territory share its armies', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 4);
+    setOwner(gameState, 'eu6', 'agent-1', 1);
+    setOwner(gameState, 'eu1', 'agent-1', 1);
+
+    reveal(gameState, [
+      ['agent-1', { type: 'move', from: 'eu3', to: 'eu6', armies: 2 }],
+      ['agent-1', { type: 'move', from: 'eu3', to: 'eu1', armies: 2 }]
+    ]);
+
+    const results = gameState.resolveMovements();
+
+    expect(results.map(r => r.status)).toEqual(['moved', 'invalid']);
+    expect(gameState.territories.get('eu3').armies).toBe(2);
+  });
+});
+
+describe('armies', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const total = (gameState) => Array.from(gameState.territories.values()).reduce((sum, t) => sum + t.armies, 0);
+
+  test('are conserved through battles and movements', () => {
+    const gameState = createGame();
+    setOwner(gameState, 'eu3', 'agent-1', 2);
+    setOwner(gameState, 'eu2', 'agent-1', 3);
+    setOwner(gameState, 'eu6', 'agent-2', 2);
+    setOwner(gameState, 'eu4', 'agent-3', 10);
+    const before = total(gameState);
+
+    // Every attack wins
+    let call = 0;
+    jest.spyOn(gameState.rng, 'next').mockImplementation(() => (call++ % 2 === 0 ? 0.99 : 0.01));
+    reveal(gameState, [
+      ['agent-1', { type: 'attack', from: 'eu3', to: 'eu6', armies: 1 }],
+      ['agent-1', { type: 'move', from: 'eu2', to: 'eu3', armies: 2 }],
+      ['agent-3', { type: 'support', from: 'eu4', to: 'eu6', backing: 'agent-1', armies: 9 }]
+    ]);
+
+    const results = gameState.resolveBattles();
+    gameState.resolveMovements(results);
+
+    // The support spent its armies, and the one attacking army holds the territory
+    expect(results[0]).toMatchObject({ winner: 'agent-1', remainingArmies: 1 });
+    expect(['eu3', 'eu2', 'eu6', 'eu4'].map(id => gameState.territories.get(id).armies)).toEqual([3, 1, 1, 1]);
+    expect(total(gameState)).toBeLessThanOrEqual(before);
+    for (const agent of gameState.agents.values()) {
+      expect(agent.armies).toBe(agent.territories.reduce((sum, id) => sum + gameState.territories.get(id).armies, 0));
+    }
+  });
+});
@@ -0,0 +1,126 @@
+// Message channel tests - who may read private and alliance messages, and when they are declassified
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const { AgentFactory } = require('../src/agents');
+
+describe('message channels', () => {
+  let gameState;
+  let engine;
+
+  beforeEach(() => {
+    gameState = new GameState('test-channels', { seed: 'channels' });
+    engine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    ['agent-1', 'agent-2', 'agent-3', 'agent-4'].forEach(id => {
+      gameState.addAgent({ id, name: id });
+      engine.initializeAgent(id, id);
+    });
+    gameState.trackAlliances(engine);
+  });
+
+  const visibleTo = (agentId) => gameState.getAgentState(agentId).conversations.map(c => c.message);
+
+  test('private messages reach their recipients only', () => {
+    gameState.postMessage('agent-1', { message: 'hello all' });
+    const entry = gameState.postMessage('agent-1', { message: 'just us', recipients: ['agent-2', 'agent-3'] });
+    gameState.postMessage('agent-2', { message: 'psst', target: 'agent-1' });
+
+    expect(entry).toMatchObject({ type: 'private', recipients: ['agent-2', 'agent-3'], target: null });
+    expect(visibleTo('agent-1')).toEqual(['hello all', 'just us', 'psst']);
+    expect(visibleTo('agent-3')).toEqual(['hello all', 'just us']);
+    expect(visibleTo('agent-4')).toEqual(['hello all']);
+    expect(gameState.getPublicState().conversations.map(c => c.message)).toEqual(['hello all']);
+
+    expect(() => gameState.postMessage('agent-1', { message: 'x', recipients: ['agent-1'] })).toThrow('recipients must be a list of other agents');
+    expect(() => gameState.postMessage('agent-1', { message: 'x', target: 'agent-4', recipients: ['agent-2'] })).toThrow('the target must be one of the recipients');
+    expect(() => gameState.postMessage('agent-1', { message: 'x', type: 'public', recipients: ['agent-2'] })).toThrow('only private messages take recipients');
+  });
+
+  test('alliance channels are scoped to the members of an alliance in force', () => {
+    expect(() => gameState.postMessage('agent-1', { message: 'x', type: 'alliance' })).toThrow('the sender is not in an alliance');
+
+    const north = engine.formAlliance({ members: ['agent-1', 'agent-2'], type: 'defensive' });
+    const entry = gameState.postMessage('agent-1', { message: 'hold the north', type: 'alliance' });
+    expect(entry).toMatchObject({ allianceId: north.id, recipients: ['agent-2'] });
+    expect(visibleTo('agent-2')).toContain('hold the north');
+    expect(visibleTo('agent-3')).not.toContain('hold the north');
+
+    const south = engine.formAlliance({ members: ['agent-1', 'agent-3'], type: 'defensive' });
+    expect(() => gameState.postMessage('agent-1', { message: 'x', type: 'alliance' })).toThrow('alliance messages need an allianceId');
+    expect(() => gameState.postMessage('agent-2', { message: 'x', type: 'alliance', allianceId: south.id })).toThrow('the sender is not a member of that alliance');
+    expect(() => gameState.postMessage('agent-1', { message: 'x', type: 'alliance', allianceId: south.id, target: 'agent-2' })).toThrow('the target is not a member of the alliance');
+
+    gameState.postMessage('agent-3', { message: 'hold the south', type: 'alliance' });
+    expect(visibleTo('agent-1')).toContain('hold the south');
+    expect(visibleTo('agent-2')).not.toContain('hold the south');
+
+    // Members who leave stop hearing the channel, but keep what they were told
+    engine.breakAlliance(north.id, 'agent-2');
+    gameState.postMessage('agent-1', { message: 'south only', type: 'alliance' });
+    expect(visibleTo('agent-2')).toEqual(['hold the north']);
+  });
+
+  test('agents are told only about messages they may read', () => {
+    const agent = AgentFactory.createAgent('diplomat', { id: 'agent-4' });
+    agent.initialize(gameState, engine);
+    const heard = jest.spyOn(agent, 'analyzeMessage');
+
+    gameState.postMessage('agent-1', { intent: 'threaten', target: 'agent-2', payload: { demand: 'retreat' } });
+    gameState.postMessage('agent-1', { intent: 'inform', target: 'agent-4', payload: { about: 'agent-2' } });
+
+    expect(heard.mock.calls.map(([entry]) => entry.intent)).toEqual(['inform']);
+  });
+
+  test('apply to rows of the conversations table as well', () => {
+    const row = { agent_id: 'agent-1', type: 'private', recipients: ['agent-2'], target: null };
+    expect(GameState.canRead(row, null, 'negotiation')).toBe(false);
+    expect(GameState.canRead(row, 'agent-1', 'negotiation')).toBe(true);
+    expect(GameState.canRead(row, 'agent-3', 'negotiation')).toBe(false);
+    expect(GameState.canRead(row, null, 'ended')).toBe(true);
+  });
+
+  test('everything is declassified once the game has ended', () => {
+    gameState.postMessage('agent-1', { message: 'secret', target: 'agent-2' });
+    expect(gameState.getPublicState().conversations).toEqual([]);
+
+    gameState.setPhase('ended');
+    expect(gameState.getPublicState().conversations.map(c => c.message)).toEqual(['secret']);
+    expect(gameState.getAgentState('agent-4').conversations).toHaveLength(1);
+  });
+});
+
+describe('conversations over the API', () => {
+  test('are public only until the game has ended', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'channels', agentTypes: ['human', 'human', 'human'] });
+    const { gameId } = gameState;
+    const delivered = [];
+    gameManager.on('conversation', (data) => delivered.push(data));
+
+    await gameManager.sendMessage(gameId, 'agent-1', { message: 'hello all' });
+    await gameManager.sendMessage(gameId, 'agent-1', { message: 'secret', recipients: ['agent-2'] });
+    await new Promise(r => setTimeout(r, 50));
+
+    expect(delivered.map(({ entry }) => entry.message)).toEqual(['hello all', 'secret']);
+    expect(await gameManager.getSpectatorConversations(gameId)).toEqual({
+      conversations: [expect.objectContaining({ message: 'hello all', recipients: null })],
+      declassified: false
+    });
+    // Nothing in the replay that a spectator could not read, in the conversations or anywhere else
+    const replay = await gameManager.getReplay(gameId);
+    expect(replay.conversations).toHaveLength(1);
+    expect(JSON.stringify(replay)).not.toContain('secret');
+
+    gameState.setPhase('ended');
+    const { conversations, declassified } = await gameManager.getSpectatorConversations(gameId);
+    expect(declassified).toBe(true);
+    expect(conversations.map(c => c.message)).toEqual(['hello all', 'secret']);
+    expect(conversations[1].recipients).toEqual(['agent-2']);
+
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,170 @@
+// Commit-reveal protocol tests
+const GameState = require('../src/engine/GameState');
+const PhaseManager = require('../src/engine/PhaseManager');
+const MoveSigner = require('../src/utils/MoveSigner');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+const keys = {};
+
+function createGame() {
+  const gameState = new GameState('test-commit-reveal', { seed: 'commit-reveal' });
+  gameState.initializeMap('classic');
+  ['agent-1', 'agent-2'].forEach(id => addAgent(gameState, id));
+
+  // agent-1 holds Australia, agent-2 everything else
+  for (const territory of gameState.territories.values()) {
+    const owner = territory.continent === 'au' ? 'agent-1' : 'agent-2';
+    territory.owner = owner;
+    territory.armies = 3;
+    gameState.agents.get(owner).territories.push(territory.id);
+    gameState.agents.get(owner).armies += 3;
+  }
+
+  return gameState;
+}
+
+function addAgent(gameState, id) {
+  keys[id] = keys[id] || MoveSigner.generateKeyPair();
+  gameState.addAgent({ id, name: id, publicKey: keys[id].publicKey });
+}
+
+function commit(gameState, agentId, move, nonce) {
+  const hash = gameState.hashMove(move, nonce);
+  const signature = MoveSigner.sign(keys[agentId].privateKey, gameState.commitmentPayload(agentId, hash));
+  return gameState.commitMove(agentId, hash, signature);
+}
+
+const attack = { type: 'attack', from: 'au1', to: 'as11', armies: 2 };
+
+describe('commit-reveal', () => {
+  test('commitments hold only the hash', () => {
+    const gameState = createGame();
+    gameState.setPhase('commit');
+
+    const { hash, signature } = commit(gameState, 'agent-1', attack, 'n1');
+
+    expect(gameState.moves.get('agent-1')).toEqual({
+      agentId: 'agent-1',
+      hash,
+      signature,
+      isDefault: false,
+      timestamp: expect.any(Number)
+    });
+    expect(() => gameState.commitMove('agent-2', attack, signature)).toThrow('sha256 hex digest');
+  });
+
+  test('a matching reveal is accepted', () => {
+    const gameState = createGame();
+    gameState.setPhase('commit');
+    commit(gameState, 'agent-1', attack, 'n1');
+
+    expect(() => gameState.revealMove('agent-1', attack, 'n1')).toThrow('Not in reveal phase');
+
+    gameState.setPhase('reveal');
+    expect(gameState.revealMove('agent-1', attack, 'n1')).toEqual({ agentId: 'agent-1', verified: true });
+    expect(() => gameState.revealMove('agent-1', attack, 'n1')).toThrow('already revealed');
+
+    gameState.setPhase('resolve');
+    const revealed = gameState.revealMoves();
+
+    expect(revealed).toHaveLength(1);
+    expect(revealed[0].orders.orders).toEqual([attack]);
+    expect(revealed[0].nonce).toBe('n1');
+    expect(gameState.forfeits).toEqual([]);
+  });
+
+  test('mismatched, missing and invalid reveals are forfeited', () => {
+    const gameState = createGame();
+    addAgent(gameState, 'agent-3');
+    const forfeited = jest.fn();
+    gameState.on('movesForfeited', forfeited);
+
+    const foreign = { type: 'attack', from: 'na1', to: 'as1', armies: 1 };
+    gameState.setPhase('commit');
+    commit(gameState, 'agent-1', attack, 'n1');
+    commit(gameState, 'agent-2', attack, 'n2');
+    commit(gameState, 'agent-3', foreign, 'n3');
+
+    gameState.setPhase('reveal');
+    // A different move than the one committed is refused and never corrected
+    expect(() => gameState.revealMove('agent-1', { ...attack, armies: 1 }, 'n1')).toThrow('Reveal does not match the commitment');
+    gameState.revealMove('agent-3', foreign, 'n3');
+
+    gameState.setPhase('resolve');
+    expect(gameState.revealMoves()).toEqual([]);
+
+    expect(gameState.forfeits).toEqual([
+      { agentId: 'agent-1', hash: expect.any(String), reason: 'hash-mismatch' },
+      { agentId: 'agent-2', hash: expect.any(String), reason: 'not-revealed' },
+      { agentId: 'agent-3', hash: expect.any(String), reason: 'invalid-orders', errors: [expect.stringContaining('na1')] }
+    ]);
+    expect(forfeited).toHaveBeenCalledWith(gameState.forfeits);
+  });
+
+  test('a mismatched reveal can be corrected before the phase ends', () => {
+    const gameState = createGame();
+    const revealed = jest.fn();
+    gameState.on('moveRevealed', revealed);
+    gameState.setPhase('commit');
+    commit(gameState, 'agent-1', attack, 'n1');
+
+    gameState.setPhase('reveal');
+    expect(() => gameState.revealMove('agent-1', attack, 'n2')).toThrow('Reveal does not match the commitment');
+    expect(gameState.moves.get('agent-1').reveal).toBeUndefined();
+    expect(revealed).not.toHaveBeenCalled();
+
+    expect(gameState.revealMove('agent-1', attack, 'n1')).toEqual({ agentId: 'agent-1', verified: true });
+    gameState.setPhase('resolve');
+    expect(gameState.revealMoves()).toHaveLength(1);
+    expect(gameState.forfeits).toEqual([]);
+  });
+
+  test('PhaseManager reveals default moves for agents that did not commit', () => {
+    const gameState = createGame();
+    const phaseManager = new PhaseManager(gameState);
+    gameState.setPhase('commit');
+    commit(gameState, 'agent-1', attack, 'n1');
+
+    phaseManager.advancePhase();
+    phaseManager.clearTimers();
+
+    expect(gameState.phase).toBe('reveal');
+    expect(gameState.moves.get('agent-2').reveal.move.type).toBe('defend');
+    expect(phaseManager.getAgentsNeedingReveals()).toEqual(['agent-1']);
+  });
+});
+
+describe('rejected reveals', () => {
+  test('are logged to game_events, and forfeit the move when never corrected', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'mismatch', agentTypes: ['human', 'human'] });
+    gameManager.getGameData(gameState.gameId).phaseManager.clearTimers();
+    const defend = { type: 'defend' };
+
+    const { publicKey, privateKey } = MoveSigner.generateKeyPair();
+    await gameManager.registerPublicKey(gameState.gameId, 'agent-1', publicKey);
+
+    gameState.phase = 'commit';
+    const hash = gameState.hashMove(defend, 'n1');
+    await gameManager.submitMove(gameState.gameId, 'agent-1', hash, MoveSigner.sign(privateKey, gameState.commitmentPayload('agent-1', hash)));
+    gameState.phase = 'reveal';
+    await expect(gameManager.revealMove(gameState.gameId, 'agent-1', defend, 'n2')).rejects.toThrow('does not match');
+    await expect(gameManager.revealMove(gameState.gameId, 'agent-1', { type: 'none' }, 'n1')).rejects.toThrow('does not match');
+
+    gameState.phase = 'resolve';
+    gameState.revealMoves();
+    await new Promise(r => setTimeout(r, 50));
+
+    const events = await gameManager.db.getGameEvents(gameState.gameId);
+    expect(events.filter(e => e.event_type === 'reveal_rejected').map(e => e.data)).toEqual([
+      { agentId: 'agent-1', hash, reason: 'hash-mismatch' },
+      { agentId: 'agent-1', hash, reason: 'hash-mismatch' }
+    ]);
+    expect(events.find(e => e.event_type === 'forfeit').data).toMatchObject({ agentId: 'agent-1', reason: 'hash-mismatch' });
+
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,106 @@
+// Deal compliance tests - active deals against revealed orders and battle results
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const ComplianceChecker = require('../src/engine/ComplianceChecker');
+
+describe('compliance checker', () => {
+  let gameState;
+  let reputationEngine;
+  let checker;
+
+  beforeEach(() => {
+    gameState = new GameState('test-compliance', { seed: 'compliance' });
+    reputationEngine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => {
+      gameState.addAgent({ id, name: id, color: '#fff', personality: {} });
+      reputationEngine.initializeAgent(id, id);
+    });
+    gameState.distributeTerritories();
+    checker = new ComplianceChecker(gameState, reputationEngine);
+  });
+
+  const agree = (type, terms = {}, proposer = 'agent-1', acceptor = 'agent-2') => {
+    const deal = reputationEngine.recordDeal({ turn: 1, phase: 'negotiation', proposer, acceptor, type, terms });
+    return reputationEngine.acceptDeal(deal.id, acceptor);
+  };
+
+  // A border territory of `agentId` next to one of `victim`
+  const border = (agentId, victim) => {
+    for (const t of gameState.territories.values()) {
+      if (t.owner !== agentId) continue;
+      const target = t.neighbors.map(n => gameState.territories.get(n)).find(n => n.owner === victim);
+      if (target) return { from: t.id, to: target.id };
+    }
+    throw new Error(`no border between ${agentId} and ${victim}`);
+  };
+
+  // Reveal the orders and resolve them the way the resolve phase does
+  const play = (ordersByAgent) => {
+    gameState.revealedMoves.clear();
+    for (const [agentId, orders] of Object.entries(ordersByAgent)) {
+      gameState.revealedMoves.set(agentId, { agentId, orders: { orders, reinforcements: null } });
+      orders.forEach(({ from }) => { gameState.territories.get(from).armies = 10; });
+    }
+    return checker.check(gameState.resolveBattles());
+  };
+
+  test('attacking a deal partner breaks the deal with evidence', () => {
+    const deal = agree('non-aggression', { duration: 3 });
+    const { from, to } = border('agent-2', 'agent-1');
+
+    const verdicts = play({ 'agent-2': [{ type: 'attack', from, to, armies: 3 }] });
+
+    expect(verdicts).toEqual([expect.objectContaining({ dealId: deal.id, verdict: 'broken', agentId: 'agent-2' })]);
+    expect(deal).toMatchObject({ status: 'broken', brokenBy: 'agent-2', breakReason: 'attack' });
+    expect(deal.evidence).toEqual([{ agentId: 'agent-2', victim: 'agent-1', type: 'attack', territory: to, from, armies: 3, turn: 1 }]);
+
+    const betrayal = reputationEngine.getReputation('agent-2').betrayals[0];
+    expect(betrayal).toMatchObject({ victim: 'agent-1', type: 'non-aggression', turn: 1, evidence: deal.evidence });
+    expect(reputationEngine.getReputation('agent-1').dealsKept).toBe(1);
+    expect(gameState.diplomaticEvents.at(-1)).toMatchObject({ type: 'betrayal', from: 'agent-2', to: 'agent-1' });
+  });
+
+  test('deals hold until broken, and alliances formed by them end with them', () => {
+    const deal = agree('non-aggression', { duration: 2 });
+    const alliance = agree('alliance', {}, 'agent-1', 'agent-3');
+
+    expect(play({})).toContainEqual({ dealId: deal.id, verdict: 'kept' });
+    expect(deal.status).toBe('active');
+
+    expect(alliance.status).toBe('active');
+    const { from, to } = border('agent-1', 'agent-3');
+    play({ 'agent-1': [{ type: 'attack', from, to, armies: 2 }] });
+    expect(alliance.status).toBe('broken');
+    expect(reputationEngine.isAlly('agent-1', 'agent-3')).toBe(false);
+  });
+
+  test('attack agreements complete once both parties strike the target', () => {
+    const deal = agree('attack-agreement', { against: 'agent-3' });
+    const first = border('agent-1', 'agent-3');
+    const second = border('agent-2', 'agent-3');
+
+    play({ 'agent-1': [{ type: 'attack', ...first, armies: 2 }] });
+    expect(deal.fulfilled).toEqual({ 'agent-1': true, 'agent-2': false });
+    expect(deal.status).toBe('active');
+
+    play({ 'agent-2': [{ type: 'attack', ...second, armies: 2 }] });
+    expect(deal.status).toBe('completed');
+  });
+
+  test('promised supports and trade payments must be delivered', () => {
+    const target = border('agent-3', 'agent-1');
+    const support = agree('alliance', { support: { territory: target.to } });
+    const trade = agree('trade', { give: { 'agent-2': 50, 'agent-3': 4 } }, 'agent-2', 'agent-3');
+    const paid = agree('trade', { give: { 'agent-1': 3 } }, 'agent-1', 'agent-2');
+
+    play({ 'agent-3': [{ type: 'attack', ...target, armies: 3 }] });
+
+    expect(support).toMatchObject({ status: 'broken', brokenBy: 'agent-2', breakReason: 'support-withheld' });
+    expect(trade).toMatchObject({ status: 'broken', brokenBy: 'agent-2' });
+    expect(trade.evidence[0]).toMatchObject({ type: 'trade-unpaid', owed: 50, had: 10 });
+    expect(paid.status).toBe('completed');
+    expect(gameState.agents.get('agent-1').resources).toBe(7);
+    expect(gameState.agents.get('agent-2').resources).toBe(13);
+  });
+});
@@ -0,0 +1,173 @@
+// Deal acceptance, rejection and counter-proposal tests
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const { AgentFactory } = require('../src/agents');
+
+const tick = () => new Promise(r => setImmediate(r));
+
+describe('deal responses in the reputation engine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new ReputationEngine();
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => engine.initializeAgent(id, id));
+  });
+
+  const propose = (type = 'alliance', terms = { duration: 3 }) =>
+    engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-1', acceptor: 'agent-2', type, terms });
+
+  test('a deal counts as made only once accepted, and alliance deals form an alliance', () => {
+    const deal = propose('alliance', { against: 'agent-3' });
+    expect(engine.getReputation('agent-1').dealsMade).toBe(0);
+
+    expect(() => engine.acceptDeal(deal.id, 'agent-3')).toThrow('Not authorized to accept');
+    engine.respondToDeal(deal.id, 'agent-2', { decision: 'accept' });
+
+    expect(deal.status).toBe('active');
+    expect(engine.getReputation('agent-1').dealsMade).toBe(1);
+    expect(engine.getReputation('agent-2').dealsMade).toBe(1);
+    expect(engine.isAlly('agent-1', 'agent-2')).toBe(true);
+    expect(engine.alliances.get(deal.allianceId).type).toBe('offensive');
+    expect(() => engine.acceptDeal(deal.id, 'agent-2')).toThrow('Deal is already active');
+  });
+
+  test('rejections and counter-proposals close the deal', () => {
+    const rejected = propose();
+    engine.respondToDeal(rejected.id, 'agent-2', { decision: 'reject', reason: 'Too soon' });
+    expect(rejected).toMatchObject({ status: 'rejected', rejectReason: 'Too soon' });
+
+    const countered = propose();
+    const { counter } = engine.respondToDeal(countered.id, 'agent-2', { decision: 'counter', type: 'non-aggression', terms: { duration: 1 } });
+    expect(countered.status).toBe('countered');
+    expect(counter).toMatchObject({ proposer: 'agent-2', acceptor: 'agent-1', type: 'non-aggression', status: 'pending', counterTo: countered.id });
+
+    expect(() => engine.respondToDeal(counter.id, 'agent-1', { decision: 'counter', type: 'trade' })).toThrow('cannot be countered');
+    expect(() => engine.respondToDeal(counter.id, 'agent-1', { decision: 'maybe' })).toThrow('Invalid decision');
+    engine.respondToDeal(counter.id, 'agent-1', { decision: 'accept' });
+    expect(counter.status).toBe('active');
+  });
+});
+
+describe('agents answering proposals', () => {
+  let gameState;
+  let reputationEngine;
+  let agents;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    gameState = new GameState('test-deals', { seed: 'deals' });
+    reputationEngine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    agents = ['conqueror', 'diplomat', 'balanced', 'deceiver'].map((type, i) => {
+      const agent = AgentFactory.createAgent(type, { id: `agent-${i + 1}` });
+      gameState.addAgent({ id: agent.id, name: agent.name, color: agent.color, personality: agent.personality });
+      agent.initialize(gameState, reputationEngine);
+      return agent;
+    });
+    gameState.distributeTerritories();
+    gameState.phase = 'negotiation';
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  const propose = (proposer, acceptor, type, terms = { duration: 3 }) => {
+    const deal = reputationEngine.recordDeal({ turn: 1, phase: 'negotiation', proposer, acceptor, type, terms });
+    const entry = gameState.postMessage(proposer, { intent: 'propose', target: acceptor, payload: { deal: type, dealId: deal.id, duration: 3 } });
+    return { deal, entry };
+  };
+  const replyTo = (entry) => gameState.conversations.find(c => c.payload?.replyTo === entry.id);
+
+  test('trusting agents accept, wary ones counter with a short non-aggression pact', async () => {
+    const toDiplomat = propose('agent-1', 'agent-2', 'alliance');
+    const toBalanced = propose('agent-1', 'agent-3', 'alliance');
+    await tick();
+
+    expect(toDiplomat.deal.status).toBe('active');
+    expect(replyTo(toDiplomat.entry)).toMatchObject({ agentId: 'agent-2', intent: 'accept', target: 'agent-1' });
+
+    expect(toBalanced.deal.status).toBe('countered');
+    const counter = reputationEngine.deals.get(toBalanced.deal.counteredBy);
+    expect(counter.terms).toEqual({ duration: 2 });
+    expect(replyTo(toBalanced.entry)).toMatchObject({
+      agentId: 'agent-3', intent: 'counter', payload: { deal: 'non-aggression', dealId: counter.id, duration: 2 }
+    });
+
+    // The proposer answers the counter in turn - a non-aggression pact is within its trust
+    await tick();
+    expect(counter.status).toBe('active');
+  });
+
+  test('proposals from distrusted agents are rejected', async () => {
+    reputationEngine.getReputation('agent-1').trustScore = 10;
+    const { deal, entry } = propose('agent-1', 'agent-3', 'non-aggression');
+    await tick();
+
+    expect(deal.status).toBe('rejected');
+    expect(replyTo(entry)).toMatchObject({ intent: 'reject', payload: { reason: 'Not enough trust' } });
+  });
+
+  test('the deceiver accepts everything and plans the betrayal', async () => {
+    reputationEngine.getReputation('agent-1').trustScore = 0;
+    const { deal } = propose('agent-1', 'agent-4', 'alliance');
+    await tick();
+
+    expect(deal.status).toBe('active');
+    expect(agents[3].falsePromises.get('agent-1')).toMatchObject({ promise: 'alliance', intendedBetrayal: gameState.turn + 2 });
+  });
+});
+
+describe('deal responses from seats', () => {
+  test('are answered through the game manager and announced', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'deals', agentTypes: ['human', 'human'] });
+    const responses = [];
+    gameManager.on('dealResponded', (data) => responses.push(data));
+
+    gameState.phase = 'negotiation';
+    const deal = await gameManager.proposeDeal(gameState.gameId, 'agent-1', { target: 'agent-2', type: 'trade', terms: { gold: 5 } });
+    const proposal = gameState.conversations.find(c => c.intent === 'propose');
+    expect(proposal).toMatchObject({ agentId: 'agent-1', target: 'agent-2', payload: { deal: 'trade', dealId: deal.id } });
+
+    await expect(gameManager.respondToDeal(gameState.gameId, 'agent-1', deal.id, { decision: 'accept' })).rejects.toThrow('Not authorized');
+    const { counter } = await gameManager.respondToDeal(gameState.gameId, 'agent-2', deal.id, { decision: 'counter', type: 'non-aggression', terms: { duration: 2 } });
+
+    const reply = gameState.conversations.find(c => c.intent === 'counter');
+    expect(reply).toMatchObject({ agentId: 'agent-2', target: 'agent-1', payload: { replyTo: proposal.id, deal: 'non-aggression', dealId: counter.id } });
+    expect(responses).toEqual([expect.objectContaining({ gameId: gameState.gameId, decision: 'counter', counter })]);
+
+    await gameManager.respondToDeal(gameState.gameId, 'agent-1', counter.id, { decision: 'reject', reason: 'No' });
+    expect(responses[1]).toMatchObject({ decision: 'reject', deal: { id: counter.id, status: 'rejected' } });
+
+    gameState.phase = 'commit';
+    await expect(gameManager.respondToDeal(gameState.gameId, 'agent-2', deal.id, { decision: 'accept' })).rejects.toThrow('Not in negotiation phase');
+
+    await new Promise(r => setTimeout(r, 50));
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+
+  test('keep their own rows when another game has the same seed', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const games = [];
+    for (let i = 0; i < 2; i++) {
+      const gameState = await gameManager.createGame({ seed: 'same', agentTypes: ['human', 'human'] });
+      gameState.phase = 'negotiation';
+      const deal = await gameManager.proposeDeal(gameState.gameId, 'agent-1', { target: 'agent-2', type: 'trade' });
+      games.push({ gameState, deal });
+    }
+
+    await new Promise(r => setTimeout(r, 50));
+    expect(games[0].deal.id).not.toBe(games[1].deal.id);
+    for (const { gameState, deal } of games) {
+      expect((await gameManager.getDeals(gameState.gameId)).map(d => d.id)).toEqual([deal.id]);
+    }
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,111 @@
+// Elimination tests - agents without territories leave the game, their agreements and their resources
+const GameState = require('../src/engine/GameState');
+const PhaseManager = require('../src/engine/PhaseManager');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+
+describe('elimination', () => {
+  let gameState;
+  let engine;
+  let phaseManager;
+
+  const setup = (options = {}) => {
+    gameState = new GameState('test-elimination', { seed: 'elimination', ...options });
+    engine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => {
+      gameState.addAgent({ id, name: id });
+      engine.initializeAgent(id, id);
+    });
+    gameState.trackAlliances(engine);
+    gameState.distributeTerritories();
+    phaseManager = new PhaseManager(gameState, { reputationEngine: engine });
+  };
+
+  afterEach(() => {
+    phaseManager.clearTimers();
+  });
+
+  // Hand every territory of `loser` to `winner`; the last one as if taken in battle
+  const conquer = (loser, winner) => {
+    const from = gameState.agents.get(loser);
+    const to = gameState.agents.get(winner);
+    const last = from.territories[from.territories.length - 1];
+    from.territories.forEach(id => {
+      gameState.territories.get(id).owner = winner;
+      to.territories.push(id);
+    });
+    from.territories = [];
+    return [{ territory: last, defender: loser, attackers: [winner], winner }];
+  };
+
+  test('agents without territories are eliminated and their agreements cancelled', () => {
+    setup();
+    const pending = engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-1', acceptor: 'agent-3', type: 'trade', terms: {} });
+    const pact = engine.acceptDeal(engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-2', acceptor: 'agent-3', type: 'alliance', terms: {} }).id, 'agent-3');
+    const other = engine.acceptDeal(engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-1', acceptor: 'agent-2', type: 'non-aggression', terms: {} }).id, 'agent-2');
+    const events = [];
+    phaseManager.on('agentEliminated', (data) => events.push(data));
+
+    const eliminations = phaseManager.checkEliminations(conquer('agent-3', 'agent-1'));
+
+    expect(eliminations).toEqual([{
+      agentId: 'agent-3',
+      eliminatedBy: 'agent-1',
+      turn: 1,
+      inherited: 0,
+      deals: [pending.id, pact.id],
+      alliances: [pact.allianceId]
+    }]);
+    expect(events).toEqual(eliminations);
+    expect(gameState.agents.get('agent-3')).toMatchObject({ eliminated: true, eliminatedTurn: 1, eliminatedBy: 'agent-1', armies: 0 });
+    expect(gameState.getActiveAgents().map(a => a.id)).toEqual(['agent-1', 'agent-2']);
+
+    expect(pending).toMatchObject({ status: 'cancelled', cancelReason: 'eliminated' });
+    expect(pact.status).toBe('cancelled');
+    expect(other.status).toBe('active');
+    expect(engine.alliances.get(pact.allianceId).status).toBe('dissolved');
+    expect(gameState.getAlliances()).toEqual([]);
+    expect(engine.getReputation('agent-3').dealsBroken).toBe(0);
+
+    // Already eliminated agents are not eliminated again
+    expect(phaseManager.checkEliminations([])).toEqual([]);
+  });
+
+  test('resources go to the eliminator when the game hands them on', () => {
+    setup({ inheritResources: true });
+    gameState.agents.get('agent-2').resources = 7;
+    gameState.agents.get('agent-3').resources = 4;
+
+    const [elimination] = phaseManager.checkEliminations(conquer('agent-2', 'agent-3'));
+
+    expect(elimination.inherited).toBe(7);
+    expect(gameState.agents.get('agent-2').resources).toBe(0);
+    expect(gameState.agents.get('agent-3').resources).toBe(11);
+
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState.toJSON())));
+    expect(restored.inheritResources).toBe(true);
+    expect(restored.getPublicState().agents[1]).toMatchObject({ eliminated: true, eliminatedBy: 'agent-3' });
+  });
+
+  test('the resolve phase takes eliminated agents out before the next commit', async () => {
+    setup();
+    conquer('agent-2', 'agent-1');
+    const resolved = [];
+    phaseManager.on('resolveStarted', (data) => resolved.push(data));
+
+    gameState.setPhase('reveal');
+    phaseManager.transitionTo('resolve');
+    expect(resolved[0].eliminations).toEqual([expect.objectContaining({ agentId: 'agent-2', eliminatedBy: null })]);
+    expect(resolved[0].reinforcements.map(r => r.agentId)).toEqual(['agent-1', 'agent-3']);
+
+    gameState.setPhase('commit');
+    expect(() => gameState.commitMove('agent-2', 'a'.repeat(64), null, { isDefault: true })).toThrow('Agent not in game');
+    const committed = jest.fn();
+    gameState.on('allMovesCommitted', committed);
+    ['agent-1', 'agent-3'].forEach(id => gameState.commitMove(id, 'b'.repeat(64), null, { isDefault: true }));
+    expect(committed).toHaveBeenCalledTimes(1);
+
+    await new Promise(r => setImmediate(r));
+    expect(gameState.phase).toBe('reveal');
+  });
+});
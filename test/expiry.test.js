@@ -0,0 +1,123 @@
+// Deal and alliance expiry tests
+const GameState = require('../src/engine/GameState');
+const PhaseManager = require('../src/engine/PhaseManager');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const { AgentFactory } = require('../src/agents');
+
+describe('deal and alliance expiry', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new ReputationEngine();
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => engine.initializeAgent(id, id));
+  });
+
+  const agree = (type, terms, turn = 1) => {
+    const deal = engine.recordDeal({ turn, phase: 'negotiation', proposer: 'agent-1', acceptor: 'agent-2', type, terms });
+    return engine.acceptDeal(deal.id, 'agent-2');
+  };
+
+  test('unanswered proposals lapse at the end of their turn', () => {
+    const deal = engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-1', acceptor: 'agent-2', type: 'trade', terms: {} });
+
+    expect(engine.expireAgreements(1).deals).toEqual([deal]);
+    expect(deal.status).toBe('expired');
+    expect(() => engine.acceptDeal(deal.id, 'agent-2')).toThrow('Deal is already expired');
+  });
+
+  test('deals run for their duration, and alliances honored to the end earn credit', () => {
+    const pact = agree('non-aggression', { duration: 2 });
+    const alliance = engine.formAlliance({ members: ['agent-2', 'agent-3'], expiresAt: 3 });
+    const strike = agree('attack-agreement', { against: 'agent-3', duration: 1 });
+    const open = agree('non-aggression', {});
+
+    expect(pact.expiresAt).toBe(2);
+    expect(alliance.expiresAt).toBe(3);
+
+    engine.expireAgreements(1);
+    expect(strike.status).toBe('expired');
+    expect(engine.getReputation('agent-1').dealsBroken).toBe(0);
+    expect(pact.status).toBe('active');
+
+    engine.expireAgreements(2);
+    expect(pact.status).toBe('completed');
+    expect(engine.getReputation('agent-1').dealsKept).toBe(1);
+
+    engine.getReputation('agent-3').trustScore = 60;
+    const { alliances } = engine.expireAgreements(3);
+    expect(alliances).toEqual([alliance]);
+    expect(alliance.status).toBe('expired');
+    expect(engine.isAlly('agent-2', 'agent-3')).toBe(false);
+    expect(engine.getReputation('agent-3').alliancesHonored).toBe(1);
+    expect(engine.getReputation('agent-3').trustScore).toBe(65);
+
+    expect(open.status).toBe('active');
+  });
+
+  test('renewals need both parties and extend the deal and its alliance', () => {
+    const deal = agree('alliance', { duration: 2 });
+    const alliance = engine.alliances.get(deal.allianceId);
+    expect(alliance.expiresAt).toBe(2);
+
+    expect(() => engine.renewDeal(deal.id, 'agent-3', 2)).toThrow('Not authorized to renew');
+    expect(() => engine.renewDeal(deal.id, 'agent-1', 0)).toThrow('Invalid renewal');
+    expect(() => engine.renewDeal(agree('trade', {}).id, 'agent-1', 2)).toThrow('Deal does not expire');
+
+    engine.renewDeal(deal.id, 'agent-1', 3);
+    expect(deal.expiresAt).toBe(2);
+
+    engine.renewDeal(deal.id, 'agent-2', 2);
+    expect(deal).toMatchObject({ expiresAt: 4, renewals: {} });
+    expect(alliance.expiresAt).toBe(4);
+
+    engine.expireAgreements(2);
+    expect(alliance.status).toBe('active');
+  });
+});
+
+describe('expiry as turns end', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('the phase manager expires agreements and agents renew deals with partners they trust', () => {
+    const gameState = new GameState('test-expiry', { seed: 'expiry' });
+    const reputationEngine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    const agents = ['diplomat', 'diplomat', 'conqueror'].map((type, i) => {
+      const agent = AgentFactory.createAgent(type, { id: `agent-${i + 1}` });
+      gameState.addAgent({ id: agent.id, name: agent.name, color: agent.color, personality: agent.personality });
+      agent.initialize(gameState, reputationEngine);
+      return agent;
+    });
+    const phaseManager = new PhaseManager(gameState, { reputationEngine });
+    gameState.distributeTerritories();
+
+    const agree = (proposer, acceptor) => {
+      const deal = reputationEngine.recordDeal({ turn: 1, phase: 'negotiation', proposer, acceptor, type: 'non-aggression', terms: { duration: 1 } });
+      return reputationEngine.acceptDeal(deal.id, acceptor);
+    };
+    const friends = agree('agent-1', 'agent-2');
+    const rivals = agree('agent-1', 'agent-3');
+    reputationEngine.getReputation('agent-1').trustScore = 30;
+
+    // Both diplomats ask for more time in the deal's last turn; the conqueror does not trust agent-1 enough
+    agents.forEach(agent => agent.renewAgreements());
+    expect(friends.expiresAt).toBe(2);
+    expect(rivals.renewals).toEqual({ 'agent-1': 1 });
+
+    const expired = [];
+    phaseManager.on('agreementsExpired', (data) => expired.push(data));
+    phaseManager.endTurn();
+    phaseManager.clearTimers();
+
+    expect(expired).toEqual([{ turn: 1, deals: [rivals], alliances: [] }]);
+    expect(rivals.status).toBe('completed');
+    expect(friends.status).toBe('active');
+    expect(gameState.turn).toBe(2);
+  });
+});
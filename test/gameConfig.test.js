@@ -0,0 +1,96 @@
+// Game config tests - presets, overrides and how the game applies them
+const GameState = require('../src/engine/GameState');
+const GameConfig = require('../src/engine/GameConfig');
+const PhaseManager = require('../src/engine/PhaseManager');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+describe('game config', () => {
+  test('starts from a preset and takes overrides', () => {
+    expect(GameConfig.presets).toEqual(['blitz', 'standard', 'correspondence']);
+    expect(GameConfig.normalize().preset).toBe('blitz');
+
+    const config = GameConfig.normalize({ preset: 'standard', maxTurns: 15, phaseDuration: { commit: 20000 }, warnings: { reveal: null } });
+    expect(config).toEqual({
+      preset: 'standard',
+      maxTurns: 15,
+      phaseDuration: { negotiation: 60000, commit: 20000, reveal: 30000, resolve: 10000 },
+      warnings: { negotiation: 10000, commit: 5000, reveal: null },
+      startingArmies: 3,
+      startingResources: 10,
+      agentCount: 7
+    });
+  });
+
+  test('is validated', () => {
+    expect(GameConfig.validate({ preset: 'slow', maxTurns: 0, phaseDuration: { lobby: 1000 }, agentCount: 9, turns: 3 })).toEqual([
+      'unknown field turns',
+      'preset must be one of blitz, standard, correspondence',
+      'maxTurns must be an integer between 1 and 500',
+      'agentCount must be an integer between 2 and 7',
+      'phaseDuration has unknown phase lobby'
+    ]);
+    expect(GameConfig.validate({ phaseDuration: { commit: 2000 }, warnings: { commit: 2000 } })).toEqual([
+      'warnings.commit must be shorter than the commit phase'
+    ]);
+    expect(() => new GameState('bad', { config: 'blitz' })).toThrow('Invalid config: config must be an object');
+  });
+
+  test('sets the turn limit, phase timing and starting position', () => {
+    const gameState = new GameState('test-config', {
+      seed: 'config',
+      config: { maxTurns: 4, phaseDuration: { negotiation: 8000 }, startingArmies: 5, startingResources: 2, agentCount: 2 }
+    });
+    gameState.initializeMap('classic');
+    gameState.addAgent({ id: 'agent-1', name: 'agent-1' });
+    gameState.addAgent({ id: 'agent-2', name: 'agent-2' });
+    expect(() => gameState.addAgent({ id: 'agent-3', name: 'agent-3' })).toThrow('Maximum 2 agents allowed');
+    gameState.distributeTerritories();
+
+    expect(gameState.maxTurns).toBe(4);
+    expect(gameState.phaseDuration).toEqual({ negotiation: 8000, commit: 3000, reveal: 3000, resolve: 4000 });
+    expect(gameState.territories.get(gameState.agents.get('agent-1').territories[0]).armies).toBe(5);
+    expect(gameState.agents.get('agent-2').resources).toBe(2);
+
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState.toJSON())));
+    expect(restored.config).toEqual(gameState.config);
+    expect(restored.maxTurns).toBe(4);
+
+    // Checkpoints written before configs keep their turn limit
+    const { config, ...legacy } = JSON.parse(JSON.stringify(gameState.toJSON()));
+    expect(config.preset).toBe('blitz');
+    expect(GameState.fromJSON({ ...legacy, maxTurns: 12 }).maxTurns).toBe(12);
+  });
+
+  test('warns the configured time before a phase ends', async () => {
+    const gameState = new GameState('test-warnings', { seed: 'warnings', config: { phaseDuration: { negotiation: 1000 }, warnings: { negotiation: 950 } } });
+    const phaseManager = new PhaseManager(gameState);
+    const warnings = [];
+    phaseManager.on('phaseWarning', (data) => warnings.push(data));
+
+    phaseManager.transitionTo('negotiation');
+    await new Promise(r => setTimeout(r, 200));
+    phaseManager.clearTimers();
+
+    expect(warnings).toEqual([{ phase: 'negotiation', secondsRemaining: 1 }]);
+  });
+});
+
+describe('game creation', () => {
+  test('applies and stores the config, with a bare maxTurns on top', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'config', agentTypes: ['human', 'remote'], maxTurns: 6, config: { preset: 'correspondence', agentCount: 3 } });
+
+    expect(gameState.agents.size).toBe(3);
+    expect(gameState.maxTurns).toBe(6);
+    expect(gameState.phaseDuration.negotiation).toBe(24 * 60 * 60 * 1000);
+    expect(gameState.getPublicState().config).toMatchObject({ preset: 'correspondence', maxTurns: 6, agentCount: 3 });
+
+    const saved = await gameManager.db.loadGame(gameState.gameId);
+    expect(saved.game_data.state.config).toEqual(gameState.config);
+
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+});
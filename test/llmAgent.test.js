@@ -0,0 +1,122 @@
+// LLM agent tests - run offline against the mock provider
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const { AgentFactory, LLMAgent, ProviderFactory } = require('../src/agents');
+const { ModelProvider } = require('../src/agents/providers');
+
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+// Provider that answers every request with the given text
+class FixedProvider extends ModelProvider {
+  constructor(text) {
+    super({ name: 'fixed' });
+    this.text = text;
+  }
+
+  async complete() {
+    return this.text;
+  }
+}
+
+describe('LLM agent', () => {
+  let gameManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    gameManager = new GameManager(new DatabaseManager(':memory:'));
+  });
+
+  afterEach(async () => {
+    await new Promise(r => setTimeout(r, 50));
+    for (const game of gameManager.games.values()) {
+      game.phaseManager.clearTimers();
+    }
+    await gameManager.db.close();
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('parses structured replies wrapped in prose', () => {
+    expect(LLMAgent.parseReply('Sure!\n```json\n{"messages": [{"message": "hi"}], "move": {"type": "none"}}\n```'))
+      .toEqual({ messages: [{ message: 'hi' }], move: { type: 'none' } });
+    expect(LLMAgent.parseReply('{"move": {"type": "none"}}')).toEqual({ messages: [], move: { type: 'none' } });
+    expect(LLMAgent.parseReply('I cannot decide.')).toBeNull();
+    expect(LLMAgent.parseReply('{"messages": [')).toBeNull();
+  });
+
+  test('negotiates and commits legal moves with the mock provider', async () => {
+    const gameState = await gameManager.createGame({ seed: 'llm', agentTypes: ['llm', 'llm', 'llm', { type: 'llm', persona: 'a paranoid hermit' }] });
+    const { agents } = gameManager.getGameData(gameState.gameId);
+    gameState.distributeTerritories();
+
+    const { system, prompt, context } = agents[3].buildPrompt('commit');
+    expect(system).toContain('a paranoid hermit');
+    expect(prompt).toContain(`You have ${gameState.calculateReinforcements('agent-4')} reinforcements`);
+    expect(prompt).toContain('agent-1 Oracle');
+    expect(prompt).toMatch(/trust \d+, reputation 50/);
+    expect(context.state.myTerritories).toEqual(gameState.agents.get('agent-4').territories);
+
+    gameState.setPhase('negotiation');
+    await waitFor(() => new Set(gameState.conversations.map(c => c.agentId)).size >= 4);
+    const sent = gameState.conversations.filter(c => c.agentId === 'agent-1');
+    expect(sent.map(c => c.type)).toEqual(['private', 'public']);
+
+    gameState.setPhase('commit');
+    await waitFor(() => gameState.moves.size === 7);
+    gameState.setPhase('reveal');
+    await waitFor(() => gameState.revealedMoves.size === 7);
+
+    for (const agent of agents.filter(a => a instanceof LLMAgent)) {
+      const { move } = gameState.revealedMoves.get(agent.id);
+      expect(move.orders).toBeDefined();
+      expect(gameState.validateOrders(agent.id, gameState.normalizeOrders(move))).toEqual([]);
+    }
+    expect(agents[0].provider.calls).toBe(2);
+  });
+
+  test('falls back to the default move on unusable replies', async () => {
+    const gameState = await gameManager.createGame({ seed: 'llm', agentTypes: ['remote', 'remote', 'remote'] });
+    const { reputationEngine } = gameManager.getGameData(gameState.gameId);
+    gameState.distributeTerritories();
+
+    const replies = [
+      'No idea.',
+      '{"move": {"orders": [{"type": "attack", "from": "nowhere", "to": "na1", "armies": 50}]}}'
+    ];
+    const agents = replies.map((text, i) => new LLMAgent({ id: `agent-${i + 1}`, provider: new FixedProvider(text) }));
+
+    // A provider that never answers is cut off by the timeout
+    const hanging = new FixedProvider(null);
+    hanging.complete = () => new Promise(() => {});
+    agents.push(new LLMAgent({ id: 'agent-3', provider: hanging, timeout: 100 }));
+
+    // Take over the remote seats
+    agents.forEach(agent => agent.initialize(gameState, reputationEngine));
+
+    gameState.setPhase('commit');
+    await waitFor(() => gameState.moves.size === 7);
+    gameState.setPhase('reveal');
+    await waitFor(() => agents.every(a => gameState.revealedMoves.has(a.id)));
+
+    agents.forEach(agent => expect(gameState.revealedMoves.get(agent.id).move.type).toBe('defend'));
+  });
+
+  test('providers are pluggable and survive a restore by name', () => {
+    expect(() => ProviderFactory.registerProvider('plain', class {})).toThrow('must extend ModelProvider');
+    expect(() => AgentFactory.createAgent('llm', { provider: 'missing' })).toThrow('Unknown model provider: missing');
+
+    ProviderFactory.registerProvider('fixed', FixedProvider);
+    const agent = AgentFactory.createAgent('llm', { id: 'agent-1', provider: 'fixed', persona: 'a merchant prince' });
+    expect(agent.provider).toBeInstanceOf(FixedProvider);
+
+    const saved = agent.toJSON();
+    const restored = AgentFactory.createAgent(saved.type, { ...saved.state, id: saved.id, name: saved.name, color: saved.color });
+    expect(restored.provider).toBeInstanceOf(FixedProvider);
+    expect(restored.persona).toBe('a merchant prince');
+  });
+});
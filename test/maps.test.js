@@ -0,0 +1,150 @@
+// Map registry tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameState = require('../src/engine/GameState');
+const MapRegistry = require('../src/engine/MapRegistry');
+const MapGenerator = require('../src/engine/MapGenerator');
+
+function triangle(overrides = {}) {
+  return {
+    id: 'triangle',
+    name: 'Triangle',
+    continents: {
+      north: { name: 'North', bonus: 2, territories: ['a', 'b'] },
+      south: { name: 'South', bonus: 1, territories: ['c'] }
+    },
+    territories: [
+      { id: 'a', name: 'A', neighbors: ['b', 'c'] },
+      { id: 'b', name: 'B', neighbors: ['a', 'c'] },
+      { id: 'c', name: 'C', neighbors: ['a', 'b'], resources: 2 }
+    ],
+    ...overrides
+  };
+}
+
+describe('map registry', () => {
+  test('bundled maps load and validate', () => {
+    const registry = MapRegistry.getDefault();
+
+    expect(registry.list()).toContainEqual(expect.objectContaining({ id: 'classic', territories: 42, continents: 6 }));
+    expect(MapRegistry.validate(require('../src/maps/classic.json'))).toEqual([]);
+  });
+
+  test('normalizes optional territory fields', () => {
+    const map = new MapRegistry().register(triangle());
+
+    expect(map.territories[0]).toMatchObject({ id: 'a', continent: 'north', region: 'NORTH', resources: 1 });
+    expect(map.territories[2].resources).toBe(2);
+  });
+
+  test('rejects asymmetric neighbor lists', () => {
+    const map = triangle();
+    map.territories[2].neighbors = ['a'];
+
+    expect(MapRegistry.validate(map)).toEqual(['b: neighbor c does not list it back']);
+  });
+
+  test('requires every territory in exactly one continent', () => {
+    const map = triangle();
+    map.continents.north.territories = ['a', 'c'];
+
+    expect(MapRegistry.validate(map)).toEqual([
+      'c: in continents north and south',
+      'b: not in any continent'
+    ]);
+  });
+
+  test('requires a connected graph', () => {
+    const map = triangle();
+    map.territories = [
+      { id: 'a', name: 'A', neighbors: ['b'] },
+      { id: 'b', name: 'B', neighbors: ['a'] },
+      { id: 'c', name: 'C', neighbors: ['d'] },
+      { id: 'd', name: 'D', neighbors: ['c'] }
+    ];
+    map.continents.south.territories = ['c', 'd'];
+
+    expect(MapRegistry.validate(map)).toEqual(['not connected: c, d unreachable from a']);
+  });
+
+  test('loads a directory and skips invalid files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'maps-'));
+    fs.writeFileSync(path.join(dir, 'triangle.json'), JSON.stringify(triangle()));
+    fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify(triangle({ id: 'broken', continents: {} })));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const registry = new MapRegistry(dir).load();
+
+    expect(registry.list().map(m => m.id)).toEqual(['triangle']);
+    expect(console.error).toHaveBeenCalledWith('Skipping map broken.json:', expect.stringContaining('not in any continent'));
+
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('GameState initializes registered maps and rejects unknown ones', () => {
+    const registry = new MapRegistry();
+    registry.register(triangle());
+
+    const gameState = new GameState('test-maps', { mapRegistry: registry }).initializeMap('triangle');
+    expect(gameState.territories.size).toBe(3);
+    expect(gameState.continents.north.bonus).toBe(2);
+    expect(gameState.mapType).toBe('triangle');
+
+    expect(() => new GameState('test-maps', { mapRegistry: registry }).initializeMap('classic')).toThrow('Unknown map: classic');
+  });
+});
+
+describe('map generator', () => {
+  // Proper intersection of segments ab and cd (shared endpoints do not count)
+  function crosses(a, b, c, d) {
+    const orient = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+    return orient(a, b, c) * orient(a, b, d) < 0 && orient(c, d, a) * orient(c, d, b) < 0;
+  }
+
+  test('same seed gives the same valid map', () => {
+    const map = MapGenerator.generate({ seed: 'tournament-1' });
+
+    expect(MapRegistry.validate(map)).toEqual([]);
+    expect(MapGenerator.generate({ seed: 'tournament-1' })).toEqual(map);
+    expect(MapGenerator.generate({ seed: 'tournament-2' }).territories).not.toEqual(map.territories);
+  });
+
+  test('scales with player count and size', () => {
+    expect(MapGenerator.generate({ seed: 's', players: 7, size: 'small' }).territories).toHaveLength(28);
+    expect(MapGenerator.generate({ seed: 's', players: 7 }).territories).toHaveLength(42);
+    expect(MapGenerator.generate({ seed: 's', players: 4, size: 'large' }).territories).toHaveLength(32);
+    expect(() => MapGenerator.generate({ seed: 's', size: 'huge' })).toThrow('Unknown map size');
+  });
+
+  test('edges do not cross and continents have bonuses and resources', () => {
+    const map = MapGenerator.generate({ seed: 'planar', size: 'large' });
+    const byId = new Map(map.territories.map(t => [t.id, t]));
+    const edges = [];
+    map.territories.forEach(t => t.neighbors.forEach(n => { if (t.id < n) edges.push([t, byId.get(n)]); }));
+
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+      for (let j = i + 1; j < edges.length; j++) {
+        if (crosses(edges[i][0], edges[i][1], edges[j][0], edges[j][1])) crossings++;
+      }
+    }
+    expect(crossings).toBe(0);
+
+    Object.values(map.continents).forEach(c => expect(c.bonus).toBeGreaterThanOrEqual(1));
+    map.territories.forEach(t => expect([1, 2, 3]).toContain(t.resources));
+  });
+
+  test('random:<seed> maps resolve through the registry into games', () => {
+    const gameState = new GameState('test-random-map').initializeMap('random:regression', { players: 3, size: 'small' });
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => gameState.addAgent({ id, name: id }));
+    gameState.distributeTerritories();
+
+    expect(gameState.mapType).toBe('random:regression');
+    expect(gameState.territories.size).toBe(12);
+    expect(Array.from(gameState.territories.values()).every(t => Number.isFinite(t.x) && t.owner)).toBe(true);
+    expect(MapRegistry.getDefault().get('random:')).toBeNull();
+    expect(MapRegistry.getDefault().list().map(m => m.id)).not.toContain('random:regression');
+  });
+});
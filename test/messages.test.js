@@ -0,0 +1,137 @@
+// Structured negotiation message tests
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const MessageSchema = require('../src/engine/MessageSchema');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const { AgentFactory } = require('../src/agents');
+
+describe('message schema', () => {
+  const context = { sender: 'agent-1', agents: ['agent-1', 'agent-2', 'agent-3'], territories: ['na1', 'na2'] };
+  const validate = (content) => MessageSchema.validate(content, context);
+
+  test('accepts free text, intents or both', () => {
+    expect(validate({ message: 'Hello' })).toEqual([]);
+    expect(validate({ intent: 'inform', payload: { about: 'agent-3' } })).toEqual([]);
+    expect(validate({ intent: 'propose', target: 'agent-2', payload: { deal: 'alliance', against: 'agent-3', duration: 2 }, message: 'Join me' })).toEqual([]);
+    expect(validate({ intent: 'request-support', target: 'agent-2', payload: { territory: 'na1', armies: 2 } })).toEqual([]);
+  });
+
+  test('rejects malformed messages', () => {
+    expect(validate({})).toContain('a message needs free text, an intent or both');
+    expect(validate({ intent: 'bribe', target: 'agent-2' })[0]).toMatch('intent must be one of');
+    expect(validate({ intent: 'propose', payload: { deal: 'alliance' } })).toContain('propose messages need a target');
+    expect(validate({ intent: 'propose', target: 'agent-2', payload: { deal: 'marriage' } })).toContain('propose payload has an invalid deal');
+    expect(validate({ intent: 'propose', target: 'agent-2', payload: {} })).toContain('propose payload needs deal');
+    expect(validate({ intent: 'threaten', target: 'agent-2', payload: { territory: 'atlantis' } })).toContain('threaten payload has an invalid territory');
+    expect(validate({ intent: 'inform', payload: { secret: true } })).toContain('inform payload has unknown field secret');
+    expect(validate({ message: 'Hi me', target: 'agent-1' })).toContain('unknown target: agent-1');
+    expect(validate({ message: 'x'.repeat(501) })).toContain('message must be text of up to 500 characters');
+    expect(validate({ message: 'Psst', type: 'private' })).toContain('private messages need a target');
+  });
+
+  test('describes intents for display', () => {
+    const names = { 'agent-2': 'Bismarck', 'agent-3': 'Iago', na1: 'Alaska' };
+    const nameOf = (id) => names[id] || id;
+
+    expect(MessageSchema.describe({ intent: 'propose', target: 'agent-2', payload: { deal: 'non-aggression', against: 'agent-3', duration: 2 } }, nameOf))
+      .toBe('proposes a non-aggression deal to Bismarck against Iago for 2 turns');
+    expect(MessageSchema.describe({ intent: 'threaten', target: 'agent-3', payload: { territory: 'na1' } }, nameOf)).toBe('threatens Iago over Alaska');
+    expect(MessageSchema.describe({ message: 'Hello' }, nameOf)).toBe('');
+  });
+});
+
+describe('structured messages in a game', () => {
+  let gameState;
+  let reputationEngine;
+  let agents;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    gameState = new GameState('test-messages', { seed: 'messages' });
+    reputationEngine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    agents = ['conqueror', 'diplomat', 'avenger'].map((type, i) => {
+      const agent = AgentFactory.createAgent(type, { id: `agent-${i + 1}` });
+      gameState.addAgent({ id: agent.id, name: agent.name, color: agent.color, personality: agent.personality });
+      agent.initialize(gameState, reputationEngine);
+      return agent;
+    });
+    gameState.distributeTerritories();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('logs intent, target and payload with the channel defaulting to private', () => {
+    const entry = gameState.postMessage('agent-1', { intent: 'propose', target: 'agent-2', payload: { deal: 'trade' } });
+    expect(entry).toMatchObject({ agentId: 'agent-1', target: 'agent-2', intent: 'propose', payload: { deal: 'trade' }, type: 'private', message: '' });
+
+    expect(gameState.postMessage('agent-1', { message: 'Hello all' })).toMatchObject({ type: 'public', target: null, intent: null });
+    expect(() => gameState.postMessage('agent-9', { message: 'Hi' })).toThrow('Agent not found');
+    expect(() => gameState.postMessage('agent-1', { intent: 'propose', target: 'agent-2' })).toThrow('Invalid message: propose payload needs deal');
+  });
+
+  test('replies must answer a proposal made to the sender', () => {
+    const proposal = gameState.postMessage('agent-1', { intent: 'propose', target: 'agent-2', payload: { deal: 'alliance' } });
+    const inform = gameState.postMessage('agent-1', { intent: 'inform', message: 'News' });
+
+    expect(() => gameState.postMessage('agent-3', { intent: 'accept', target: 'agent-1', payload: { replyTo: proposal.id } }))
+      .toThrow('replyTo must be a proposal addressed to the sender');
+    expect(() => gameState.postMessage('agent-2', { intent: 'accept', target: 'agent-1', payload: { replyTo: inform.id } }))
+      .toThrow('replyTo must be a proposal addressed to the sender');
+    expect(() => gameState.postMessage('agent-2', { intent: 'reject', target: 'agent-3', payload: { replyTo: proposal.id } }))
+      .toThrow('replies must be addressed to the proposer');
+
+    const counter = gameState.postMessage('agent-2', { intent: 'counter', target: 'agent-1', payload: { replyTo: proposal.id, deal: 'non-aggression' } });
+    expect(gameState.postMessage('agent-1', { intent: 'accept', target: 'agent-2', payload: { replyTo: counter.id } }).intent).toBe('accept');
+  });
+
+  test('agents react to the structured payload, not the wording', () => {
+    const diplomat = agents[1];
+
+    // A polite threat still counts as one; an angry message without an intent does not
+    gameState.postMessage('agent-1', { intent: 'threaten', target: 'agent-2', payload: { demand: 'your northern border' }, message: 'Kindly reconsider.' });
+    gameState.postMessage('agent-3', { message: `I will attack and crush ${diplomat.name}!`, target: 'agent-2' });
+    expect(diplomat.memory.threats.get('agent-1')).toBe(20);
+    expect(diplomat.memory.threats.has('agent-3')).toBe(false);
+
+    const proposal = gameState.postMessage('agent-3', { intent: 'propose', target: 'agent-2', payload: { deal: 'alliance', against: 'agent-1' } });
+    expect(diplomat.memory.deals).toEqual([expect.objectContaining({ from: 'agent-3', messageId: proposal.id, deal: 'alliance', against: 'agent-1' })]);
+  });
+
+  test('alliance proposals are sent as propose messages linked to the deal', () => {
+    const agent = AgentFactory.createAgent('balanced', { id: 'agent-4' });
+    gameState.addAgent({ id: agent.id, name: agent.name, color: agent.color, personality: agent.personality });
+    agent.initialize(gameState, reputationEngine);
+
+    agent.proposeAlliance('agent-2', 'defensive', 'agent-1');
+    const entry = gameState.conversations.find(c => c.agentId === 'agent-4');
+    const deal = reputationEngine.getAgentDeals('agent-4')[0];
+
+    expect(entry).toMatchObject({ intent: 'propose', target: 'agent-2', type: 'public' });
+    expect(entry.payload).toEqual({ deal: 'non-aggression', duration: 3, dealId: deal.id, against: 'agent-1' });
+  });
+});
+
+describe('stored messages', () => {
+  test('keep their intent and payload in the conversations table', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'messages', agentTypes: ['human', 'human'] });
+
+    await gameManager.sendMessage(gameState.gameId, 'agent-1', {
+      intent: 'request-support', target: 'agent-2', payload: { territory: 'na1' }, message: 'Help me hold Alaska'
+    });
+    await gameManager.sendMessage(gameState.gameId, 'agent-2', { message: 'Maybe.' });
+    await new Promise(r => setTimeout(r, 50));
+
+    const requests = await gameManager.getConversations(gameState.gameId, { intent: 'request-support' });
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ agent_id: 'agent-1', target: 'agent-2', intent: 'request-support', payload: { territory: 'na1' } });
+
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,185 @@
+// Checkpoint and restore tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GameState = require('../src/engine/GameState');
+const PhaseManager = require('../src/engine/PhaseManager');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+describe('GameState serialization', () => {
+  test('keeps commitments, diplomatic events and phase timing', () => {
+    const gameState = new GameState('test-persistence', { seed: 'persistence' });
+    gameState.initializeMap('classic');
+    gameState.addAgent({ id: 'agent-1', name: 'agent-1' });
+    gameState.addAgent({ id: 'agent-2', name: 'agent-2' });
+    gameState.distributeTerritories();
+    gameState.logDiplomaticEvent('alliance', 'agent-1', 'agent-2');
+    gameState.setPhase('commit');
+    gameState.commitMove('agent-1', gameState.hashMove({ type: 'defend' }, 'n'), null, { isDefault: true });
+    gameState.phaseDuration.commit = 12000;
+
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify(gameState.toJSON())));
+
+    expect(restored.moves.get('agent-1').hash).toBe(gameState.moves.get('agent-1').hash);
+    expect(restored.diplomaticEvents).toEqual(gameState.diplomaticEvents);
+    expect(restored.phaseStartTime).toBe(gameState.phaseStartTime);
+    expect(restored.phaseDuration.commit).toBe(12000);
+    expect(restored.continents).toEqual(gameState.continents);
+    expect(restored.rng.next()).toBe(gameState.rng.next());
+  });
+});
+
+describe('GameManager restore', () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-diplomacy-'));
+    dbPath = path.join(dir, 'games.db');
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resumes an active game mid-turn after a restart', async () => {
+    const before = new GameManager(new DatabaseManager(dbPath));
+
+    const original = await before.createGame({ seed: 'restore' });
+    await before.startGame(original.gameId);
+    // The server goes down before the phase manager acts again
+    before.games.get(original.gameId).phaseManager.clearTimers();
+    original.removeAllListeners('allMovesCommitted');
+
+    // Built-in agents commit on their own; each commitment is checkpointed
+    original.setPhase('commit');
+    await before.checkpoint(original.gameId);
+    await before.db.close();
+
+    const after = new GameManager(new DatabaseManager(dbPath));
+    const [gameState] = await after.restoreGames();
+    const game = after.getGameData(original.gameId);
+
+    expect(gameState.phase).toBe('commit');
+    expect(gameState.moves.size).toBe(7);
+    expect(gameState.territories).toEqual(original.territories);
+    expect(game.status).toBe('active');
+    expect(game.reputationEngine.getAllReputations()).toEqual(before.getGameData(original.gameId).reputationEngine.getAllReputations());
+    expect(game.phaseManager.timers.has('phase')).toBe(true);
+
+    // Restored agents reveal with the moves and keys they committed with
+    game.phaseManager.clearTimers();
+    gameState.setPhase('reveal');
+    expect(Array.from(gameState.moves.values()).every(c => c.reveal)).toBe(true);
+
+    gameState.setPhase('resolve');
+    gameState.revealMoves();
+    expect(gameState.forfeits).toEqual([]);
+    expect(gameState.revealedMoves.size).toBe(7);
+
+    // Let the move log finish before closing the database - a row per order and one for the reinforcements
+    const rows = Array.from(gameState.revealedMoves.values())
+      .reduce((sum, { orders }) => sum + (orders.orders.length + (orders.reinforcements ? 1 : 0) || 1), 0);
+    while ((await after.getMoves(original.gameId, 1)).length < rows) {
+      await new Promise(r => setTimeout(r, 10));
+    }
+    await after.checkpoint(original.gameId);
+    await after.db.close();
+  });
+
+  test('keeps private keys and unrevealed moves out of the checkpoint and the replay', async () => {
+    const gameManager = new GameManager(new DatabaseManager(dbPath));
+    const gameState = await gameManager.createGame({ seed: 'secrets' });
+    const { agents, phaseManager } = gameManager.getGameData(gameState.gameId);
+    await gameManager.startGame(gameState.gameId);
+    phaseManager.clearTimers();
+    gameState.removeAllListeners('allMovesCommitted');
+
+    gameState.setPhase('commit');
+    await gameManager.checkpoint(gameState.gameId);
+    const nonces = agents.map(agent => agent.pendingReveal.nonce);
+
+    const saved = JSON.stringify((await gameManager.db.loadGame(gameState.gameId)).game_data);
+    const replay = JSON.stringify(await gameManager.getReplay(gameState.gameId));
+    for (const exposed of [saved, replay]) {
+      expect(exposed).not.toContain('PRIVATE KEY');
+      nonces.forEach(nonce => expect(exposed).not.toContain(nonce));
+    }
+
+    const secrets = await gameManager.db.loadSecrets(gameState.gameId);
+    // The checkpoints of the commitments before it must not land last
+    expect(agents.map(agent => secrets.agents[agent.id].pendingReveal.nonce)).toEqual(nonces);
+    expect(secrets.agents['agent-1'].privateKey).toContain('PRIVATE KEY');
+
+    await gameManager.stopGame(gameState.gameId);
+    expect(await gameManager.db.loadSecrets(gameState.gameId)).toBeNull();
+    await gameManager.db.close();
+  });
+
+  test('reveals default moves committed before a restart', async () => {
+    const gameManager = new GameManager(new DatabaseManager(dbPath));
+    const original = await gameManager.createGame({ seed: 'defaults', agentTypes: ['human'] });
+    const { phaseManager } = gameManager.getGameData(original.gameId);
+    await gameManager.startGame(original.gameId);
+    phaseManager.clearTimers();
+    original.removeAllListeners('allMovesCommitted');
+
+    // The human misses the commit phase
+    original.setPhase('commit');
+    phaseManager.commitDefaultMoves();
+    await gameManager.checkpoint(original.gameId);
+    const { nonce } = phaseManager.defaultReveals.get('agent-1');
+
+    const saved = (await gameManager.db.loadGame(original.gameId)).game_data;
+    expect(JSON.stringify(saved)).not.toContain(nonce);
+    const { defaultReveals } = await gameManager.db.loadSecrets(original.gameId);
+    await gameManager.db.close();
+
+    // The server went down as the reveal phase started
+    const gameState = GameState.fromJSON(saved.state);
+    gameState.setPhase('reveal');
+    const restored = new PhaseManager(gameState);
+    restored.restore(defaultReveals);
+    restored.clearTimers();
+
+    expect(gameState.moves.get('agent-1').isDefault).toBe(true);
+    expect(gameState.moves.get('agent-1').reveal).toMatchObject({ move: { type: 'defend' }, nonce });
+  });
+
+  test('keeps seat tokens, as hashes only, across a restart', async () => {
+    const before = new GameManager(new DatabaseManager(dbPath));
+    const original = await before.createGame({ seed: 'tokens', agentTypes: ['human', 'remote'] });
+    const token = await before.issueSeatToken(original.gameId, 'agent-1');
+    await expect(before.issueSeatToken(original.gameId, 'agent-1')).rejects.toThrow('The seat already has a token');
+    await before.db.close();
+
+    const after = new GameManager(new DatabaseManager(dbPath));
+    await after.restoreGames();
+    expect(after.isSeatToken(original.gameId, 'agent-1', token)).toBe(true);
+    expect(after.isSeatToken(original.gameId, 'agent-1', token.slice(1))).toBe(false);
+    expect(after.isSeatToken(original.gameId, 'agent-2', token)).toBe(false);
+    expect(after.isSeatToken(original.gameId, 'agent-1', undefined)).toBe(false);
+
+    const saved = JSON.stringify([await after.db.loadGame(original.gameId), await after.db.loadSecrets(original.gameId)]);
+    expect(saved).not.toContain(token);
+    await after.db.close();
+  });
+
+  test('ends games that have no checkpoint', async () => {
+    const db = new DatabaseManager(dbPath);
+    const gameManager = new GameManager(db);
+    await gameManager.initialize();
+    await db.saveGame('game-zombie', { status: 'active', turn: 3, phase: 'commit' });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const restored = await gameManager.restoreGames();
+    console.error.mockRestore();
+
+    expect(restored).toEqual([]);
+    expect((await db.loadGame('game-zombie')).status).toBe('ended');
+    await db.close();
+  });
+});
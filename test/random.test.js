@@ -0,0 +1,79 @@
+// Seeded RNG and reproducibility tests
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const SeededRandom = require('../src/utils/SeededRandom');
+const { AgentFactory } = require('../src/agents');
+
+function playTurn(seed) {
+  const gameState = new GameState('test-seed', { seed });
+  gameState.initializeMap('classic');
+  const reputationEngine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+
+  AgentFactory.createAllAgents().forEach(agent => {
+    gameState.addAgent({ id: agent.id, name: agent.name, color: agent.color, personality: agent.personality });
+    agent.initialize(gameState, reputationEngine);
+  });
+
+  gameState.distributeTerritories();
+  // Strengthen the Conqueror so the turn contains at least one battle
+  gameState.agents.get('agent-1').territories.forEach(tid => {
+    gameState.territories.get(tid).armies = 8;
+  });
+  gameState.setPhase('negotiation');
+  gameState.setPhase('commit');
+  gameState.setPhase('reveal');
+  gameState.setPhase('resolve');
+  gameState.revealMoves();
+  const battles = gameState.resolveBattles();
+
+  return {
+    territories: Array.from(gameState.territories.values()).map(t => [t.id, t.owner, t.armies]),
+    battles,
+    deals: Array.from(reputationEngine.deals.keys())
+  };
+}
+
+describe('SeededRandom', () => {
+  test('produces the same sequence for the same seed', () => {
+    const a = new SeededRandom('tournament-1');
+    const b = new SeededRandom('tournament-1');
+    const c = new SeededRandom('tournament-2');
+
+    const seqA = Array.from({ length: 5 }, () => a.next());
+    expect(Array.from({ length: 5 }, () => b.next())).toEqual(seqA);
+    expect(Array.from({ length: 5 }, () => c.next())).not.toEqual(seqA);
+    seqA.forEach(n => {
+      expect(n).toBeGreaterThanOrEqual(0);
+      expect(n).toBeLessThan(1);
+    });
+  });
+
+  test('forks are independent of draws on the parent', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+    b.next();
+
+    expect(a.fork('agent:agent-1').next()).toBe(b.fork('agent:agent-1').next());
+  });
+
+  test('restores its position from JSON', () => {
+    const rng = new SeededRandom('resume');
+    rng.next();
+    const restored = SeededRandom.fromJSON(JSON.parse(JSON.stringify(rng)));
+
+    expect(restored.next()).toBe(rng.next());
+  });
+});
+
+describe('seeded games', () => {
+  test('replaying a seed yields an identical turn', () => {
+    const first = playTurn('regression-7');
+
+    expect(first.battles.length).toBeGreaterThan(0);
+    expect(playTurn('regression-7')).toEqual(first);
+  });
+
+  test('different seeds deal different maps', () => {
+    expect(playTurn('seed-a').territories).not.toEqual(playTurn('seed-b').territories);
+  });
+});
@@ -0,0 +1,83 @@
+// Reinforcement placement tests
+const GameState = require('../src/engine/GameState');
+const PhaseManager = require('../src/engine/PhaseManager');
+
+function createGame() {
+  const gameState = new GameState('test-reinforcements');
+  gameState.initializeMap('classic');
+  ['agent-1', 'agent-2'].forEach(id => gameState.addAgent({ id, name: id }));
+
+  // agent-1 holds Australia, agent-2 everything else
+  for (const territory of gameState.territories.values()) {
+    const owner = territory.continent === 'au' ? 'agent-1' : 'agent-2';
+    territory.owner = owner;
+    territory.armies = 1;
+    gameState.agents.get(owner).territories.push(territory.id);
+    gameState.agents.get(owner).armies += 1;
+  }
+
+  return gameState;
+}
+
+describe('reinforcement placement', () => {
+  test('calculateReinforcements does not spend resources unless asked to', () => {
+    const gameState = createGame();
+    const agent = gameState.agents.get('agent-1');
+    agent.resources = 10;
+
+    // 3 base + 2 Australia bonus + 2 from resources
+    expect(gameState.calculateReinforcements('agent-1')).toBe(7);
+    expect(agent.resources).toBe(10);
+
+    expect(gameState.calculateReinforcements('agent-1', { spendResources: true })).toBe(7);
+    expect(agent.resources).toBe(0);
+  });
+
+  test('honours the requested distribution', () => {
+    const gameState = createGame();
+
+    const result = gameState.placeReinforcements('agent-1', 5, { au1: 3, au3: 2 });
+
+    expect(result.placements).toEqual({ au1: 3, au3: 2 });
+    expect(result.rejected).toEqual([]);
+    expect(gameState.territories.get('au1').armies).toBe(4);
+    expect(gameState.agents.get('agent-1').armies).toBe(9);
+  });
+
+  test('rejects foreign territories and requests beyond the total', () => {
+    const gameState = createGame();
+
+    const result = gameState.placeReinforcements('agent-1', 4, { na1: 2, au1: 3, au2: 3 });
+
+    expect(result.rejected).toEqual([
+      { territoryId: 'au2', armies: 2, reason: 'exceeds-reinforcements' },
+      { territoryId: 'na1', armies: 2, reason: 'not-owned' }
+    ]);
+    expect(result.placements).toEqual({ au1: 3, au2: 1 });
+    expect(result.placed).toBe(4);
+  });
+
+  test('places the remainder on the weakest border territories', () => {
+    const gameState = createGame();
+    gameState.territories.get('au1').armies = 5; // Indonesia borders Southeast Asia
+
+    const result = gameState.placeReinforcements('agent-1', 3, { au3: 1 });
+
+    // au1 is the only border territory
+    expect(result.placements).toEqual({ au1: 2, au3: 1 });
+  });
+
+  test('PhaseManager applies the committed defend distribution', () => {
+    const gameState = createGame();
+    const phaseManager = new PhaseManager(gameState);
+    gameState.revealedMoves.set('agent-1', {
+      agentId: 'agent-1',
+      orders: gameState.normalizeOrders({ type: 'defend', armies: 5, distributions: { au4: 5 } })
+    });
+
+    const placements = phaseManager.distributeReinforcements();
+
+    expect(placements.find(p => p.agentId === 'agent-1').placements).toEqual({ au4: 5 });
+    expect(gameState.territories.get('au4').armies).toBe(6);
+  });
+});
@@ -0,0 +1,194 @@
+// Remote agent protocol tests
+const http = require('http');
+const WebSocket = require('ws');
+const GameManager = require('../src/api/GameManager');
+const WebSocketServer = require('../src/api/WebSocketServer');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const MoveSigner = require('../src/utils/MoveSigner');
+
+// Bot connection that queues incoming messages until a test waits for them
+function connectBot(port, query) {
+  const ws = new WebSocket(`ws://localhost:${port}?${query}`);
+  const inbox = [];
+  const waiting = [];
+
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    const index = waiting.findIndex(w => w.type === message.type);
+    if (index >= 0) {
+      waiting.splice(index, 1)[0].resolve(message.data);
+    } else {
+      inbox.push(message);
+    }
+  });
+
+  return {
+    ws,
+    send: (type, data) => ws.send(JSON.stringify({ type, data })),
+    next(type) {
+      const index = inbox.findIndex(m => m.type === type);
+      if (index >= 0) return Promise.resolve(inbox.splice(index, 1)[0].data);
+      return new Promise(resolve => waiting.push({ type, resolve }));
+    },
+    closed: new Promise(resolve => ws.on('close', resolve))
+  };
+}
+
+describe('remote agent protocol', () => {
+  let gameManager;
+  let httpServer;
+  let wsServer;
+  let port;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameManager = new GameManager(new DatabaseManager(':memory:'));
+    httpServer = http.createServer();
+    wsServer = new WebSocketServer(httpServer, gameManager);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    port = httpServer.address().port;
+  });
+
+  afterEach(async () => {
+    for (const game of gameManager.games.values()) {
+      game.phaseManager.stop();
+    }
+    wsServer.close();
+    await new Promise(resolve => httpServer.close(resolve));
+    await new Promise(r => setTimeout(r, 50));
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+
+  test('seats bots on the free remote seat of their token only', async () => {
+    const gameState = await gameManager.createGame({ seed: 'remote', agentTypes: ['remote', 'diplomat', 'remote'] });
+    const { gameId } = gameState;
+    const token1 = await gameManager.issueSeatToken(gameId, 'agent-1');
+    const token3 = await gameManager.issueSeatToken(gameId, 'agent-3');
+    await expect(gameManager.issueSeatToken(gameId, 'agent-2')).rejects.toThrow('Only human and remote seats get a token');
+
+    const first = connectBot(port, `gameId=${gameId}&type=bot&token=${token1}`);
+    expect((await first.next('seat_assigned')).agentId).toBe('agent-1');
+    expect((await first.next('agent_state')).state.myTerritories).toEqual([]);
+
+    const second = connectBot(port, `gameId=${gameId}&type=bot&agentId=agent-3&token=${token3}`);
+    expect((await second.next('seat_assigned')).agentId).toBe('agent-3');
+
+    // agent-1 is taken, and a token opens its own seat only
+    for (const query of [`token=${token1}`, `agentId=agent-1&token=${token3}`, 'agentId=agent-2', 'agentId=agent-3']) {
+      const refused = connectBot(port, `gameId=${gameId}&type=bot&${query}`);
+      expect((await refused.next('error')).message).toBe('No free remote seat in this game for that token');
+      await refused.closed;
+    }
+
+    first.ws.close();
+    second.ws.close();
+  });
+
+  test('players need the token of their seat to read and send its messages', async () => {
+    const gameState = await gameManager.createGame({ seed: 'remote', agentTypes: ['human', 'human'] });
+    const { gameId } = gameState;
+    const token = await gameManager.issueSeatToken(gameId, 'agent-2');
+
+    const impostor = connectBot(port, `gameId=${gameId}&type=player&agentId=agent-2&token=guess`);
+    expect((await impostor.next('error')).message).toBe('A valid seat token is required');
+    await impostor.closed;
+
+    const player = connectBot(port, `gameId=${gameId}&type=player&agentId=agent-2&token=${token}`);
+    const spectator = connectBot(port, `gameId=${gameId}&type=spectator&agentId=agent-2`);
+    expect((await player.next('initial_state')).myTerritories).toBeDefined();
+    expect((await spectator.next('initial_state')).myTerritories).toBeUndefined();
+
+    // Naming a seat without its token is watching: private messages do not come through, nor go out
+    spectator.send('send_message', { message: 'not me', target: 'agent-1' });
+    await gameManager.sendMessage(gameId, 'agent-1', { message: 'just you', target: 'agent-2' });
+    await gameManager.sendMessage(gameId, 'agent-1', { message: 'hello all' });
+    expect((await player.next('conversation')).message).toBe('just you');
+    expect((await spectator.next('conversation')).message).toBe('hello all');
+    expect(gameState.conversations.map(c => c.message)).toEqual(['just you', 'hello all']);
+
+    player.ws.close();
+    spectator.ws.close();
+  });
+
+  test('a secret objective goes only to the connection holding the seat token', async () => {
+    const gameState = await gameManager.createGame({ seed: 'remote', agentTypes: ['remote', 'remote'], victory: { objectives: true } });
+    const { gameId } = gameState;
+    const token = await gameManager.issueSeatToken(gameId, 'agent-1');
+    await gameManager.startGame(gameId);
+
+    const bot = connectBot(port, `gameId=${gameId}&type=bot&token=${token}`);
+    expect((await bot.next('agent_state')).state.myObjective).toEqual(gameState.objectives.get('agent-1'));
+
+    const impostor = connectBot(port, `gameId=${gameId}&type=player&agentId=agent-1`);
+    expect((await impostor.next('error')).message).toBe('A valid seat token is required');
+    await impostor.closed;
+
+    const spectator = connectBot(port, `gameId=${gameId}&type=spectator&agentId=agent-1`);
+    const state = await spectator.next('initial_state');
+    expect(state.myObjective).toBeUndefined();
+    expect(state.objectives).toBeNull();
+
+    bot.ws.close();
+    spectator.ws.close();
+  });
+
+  test('deals are made only by connections holding the seat token', async () => {
+    const gameState = await gameManager.createGame({ seed: 'remote', agentTypes: ['remote', 'remote'] });
+    const { gameId } = gameState;
+    await gameManager.startGame(gameId);
+
+    const impostor = connectBot(port, `gameId=${gameId}&type=spectator&agentId=agent-2`);
+    await impostor.next('initial_state');
+    impostor.send('propose_deal', { target: 'agent-1', type: 'non-aggression' });
+    impostor.send('respond_deal', { dealId: 'deal-1', decision: 'accept' });
+    impostor.send('renew_deal', { dealId: 'deal-1', turns: 2 });
+    for (let i = 0; i < 3; i++) {
+      expect((await impostor.next('error')).message).toBe('A valid seat token is required');
+    }
+    expect(gameManager.getGameData(gameId).reputationEngine.deals.size).toBe(0);
+
+    impostor.ws.close();
+  });
+
+  test('bots negotiate and commit through the phases', async () => {
+    const gameState = await gameManager.createGame({ seed: 'remote', agentTypes: ['remote', 'remote'] });
+    const { phaseManager } = gameManager.getGameData(gameState.gameId);
+    const keys = MoveSigner.generateKeyPair();
+    const token1 = await gameManager.issueSeatToken(gameState.gameId, 'agent-1');
+    const token2 = await gameManager.issueSeatToken(gameState.gameId, 'agent-2');
+
+    const bot = connectBot(port, `gameId=${gameState.gameId}&type=bot&token=${token1}`);
+    const other = connectBot(port, `gameId=${gameState.gameId}&type=bot&token=${token2}`);
+    await bot.next('agent_state');
+    await other.next('agent_state');
+
+    bot.send('register_key', { publicKey: keys.publicKey });
+    expect((await bot.next('key_registered')).agentId).toBe('agent-1');
+
+    await gameManager.startGame(gameState.gameId);
+    const negotiation = await bot.next('agent_state');
+    expect(negotiation.phase).toBe('negotiation');
+    expect(negotiation.deadline).toBe(gameState.phaseStartTime + gameState.phaseDuration.negotiation);
+    expect(negotiation.state.myTerritories.length).toBeGreaterThan(0);
+
+    bot.send('propose_deal', { target: 'agent-2', type: 'non-aggression', terms: { duration: 2 } });
+    const proposed = await other.next('deal_proposed');
+    expect(proposed).toMatchObject({ proposer: 'agent-1', acceptor: 'agent-2', type: 'non-aggression' });
+    expect((await bot.next('deal_submitted')).id).toBe(proposed.id);
+
+    bot.send('propose_deal', { target: 'agent-2', type: 'marriage' });
+    expect((await bot.next('error')).message).toMatch('Invalid deal type');
+
+    phaseManager.advancePhase();
+    const commit = await bot.next('agent_state');
+    expect(commit.phase).toBe('commit');
+
+    const hash = MoveSigner.hashMove({ orders: [], reinforcements: {} }, 'nonce');
+    bot.send('submit_move', { hash, signature: MoveSigner.sign(keys.privateKey, gameState.commitmentPayload('agent-1', hash)) });
+    expect((await bot.next('move_accepted')).hash).toBe(hash);
+
+    bot.ws.close();
+    other.ws.close();
+  });
+});
@@ -0,0 +1,78 @@
+// Human seat tests
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const MoveSigner = require('../src/utils/MoveSigner');
+
+describe('human seats', () => {
+  let gameManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameManager = new GameManager(new DatabaseManager(':memory:'));
+  });
+
+  afterEach(async () => {
+    await new Promise(r => setTimeout(r, 50));
+    for (const game of gameManager.games.values()) {
+      game.phaseManager.clearTimers();
+    }
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+
+  test('human seats have no agent controller', async () => {
+    const gameState = await gameManager.createGame({ seed: 'seats', agentTypes: ['human', 'diplomat', 'human'] });
+    const game = gameManager.getGameData(gameState.gameId);
+
+    expect(gameState.getHumanSeats().map(a => a.id)).toEqual(['agent-1', 'agent-3']);
+    expect(game.agents.map(a => a.id)).not.toContain('agent-1');
+    expect(gameState.agents.get('agent-1').publicKey).toBeNull();
+    expect(game.reputationEngine.getReputation('agent-1')).toBeTruthy();
+
+    // Only the agent controllers commit
+    gameState.distributeTerritories();
+    gameState.setPhase('commit');
+    expect(gameState.moves.size).toBe(5);
+    expect(gameState.moves.has('agent-1')).toBe(false);
+  });
+
+  test('waits for the player and falls back to a default move', async () => {
+    const gameState = await gameManager.createGame({ seed: 'seats', agentTypes: ['human', 'human'] });
+    const { phaseManager } = gameManager.getGameData(gameState.gameId);
+    const keys = MoveSigner.generateKeyPair();
+    await gameManager.registerPublicKey(gameState.gameId, 'agent-1', keys.publicKey);
+
+    gameState.distributeTerritories();
+    gameState.setPhase('commit');
+
+    const move = { orders: [], reinforcements: {} };
+    const hash = MoveSigner.hashMove(move, 'nonce');
+    await gameManager.submitMove(gameState.gameId, 'agent-1', hash,
+      MoveSigner.sign(keys.privateKey, gameState.commitmentPayload('agent-1', hash)));
+    expect(gameState.moves.size).toBe(6);
+
+    // Commit timer runs out: agent-2 gets the default move
+    phaseManager.advancePhase();
+    expect(gameState.phase).toBe('reveal');
+    expect(gameState.moves.get('agent-2').isDefault).toBe(true);
+    expect(gameState.moves.get('agent-2').reveal).toBeTruthy();
+
+    expect((await gameManager.revealMove(gameState.gameId, 'agent-1', move, 'nonce')).verified).toBe(true);
+    phaseManager.stop();
+  });
+
+  test('only human and remote seats register a key', async () => {
+    const gameState = await gameManager.createGame({ seed: 'seats', agentTypes: ['human', 'diplomat', 'remote'] });
+    const { gameId } = gameState;
+    const diplomatKey = gameState.agents.get('agent-2').publicKey;
+
+    // Agent controllers sign with the key they registered themselves, even in the lobby
+    await expect(gameManager.registerPublicKey(gameId, 'agent-2', MoveSigner.generateKeyPair().publicKey))
+      .rejects.toThrow('Only human and remote seats register a key');
+    expect(gameState.agents.get('agent-2').publicKey).toBe(diplomatKey);
+
+    const { publicKey } = MoveSigner.generateKeyPair();
+    await gameManager.registerPublicKey(gameId, 'agent-3', publicKey);
+    expect(gameState.agents.get('agent-3').publicKey).toBe(publicKey);
+  });
+});
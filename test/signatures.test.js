@@ -0,0 +1,92 @@
+// Move signature tests
+const crypto = require('crypto');
+const GameState = require('../src/engine/GameState');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const MoveSigner = require('../src/utils/MoveSigner');
+
+const move = { type: 'defend', armies: 3 };
+
+function createGame(keys) {
+  const gameState = new GameState('test-signatures');
+  gameState.initializeMap('classic');
+  gameState.addAgent({ id: 'agent-1', name: 'agent-1', publicKey: keys.publicKey });
+  gameState.addAgent({ id: 'agent-2', name: 'agent-2' });
+  return gameState;
+}
+
+describe('move signatures', () => {
+  const keys = MoveSigner.generateKeyPair();
+  const hash = MoveSigner.hashMove(move, 'nonce');
+
+  test('accepts a commitment signed with the registered key', () => {
+    const gameState = createGame(keys);
+    gameState.setPhase('commit');
+    const signature = MoveSigner.sign(keys.privateKey, gameState.commitmentPayload('agent-1', hash));
+
+    expect(gameState.commitMove('agent-1', hash, signature).signature).toBe(signature);
+  });
+
+  test('rejects unsigned, foreign and replayed signatures', () => {
+    const gameState = createGame(keys);
+    gameState.setPhase('commit');
+    const other = MoveSigner.generateKeyPair();
+
+    expect(() => gameState.commitMove('agent-1', hash, '')).toThrow('Invalid move signature');
+    expect(() => gameState.commitMove('agent-1', hash,
+      MoveSigner.sign(other.privateKey, gameState.commitmentPayload('agent-1', hash)))).toThrow('Invalid move signature');
+
+    // Signed for an earlier turn
+    const replayed = MoveSigner.sign(keys.privateKey, MoveSigner.commitmentPayload('test-signatures', 0, 'agent-1', hash));
+    expect(() => gameState.commitMove('agent-1', hash, replayed)).toThrow('Invalid move signature');
+
+    expect(() => gameState.commitMove('agent-2', hash, 'sig')).toThrow('No public key registered');
+  });
+
+  test('only accepts Ed25519 keys, replaceable in the lobby only', () => {
+    const gameState = createGame(keys);
+    const { publicKey: rsaKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+    expect(() => gameState.registerPublicKey('agent-2', rsaKey.export({ type: 'spki', format: 'pem' })))
+      .toThrow('Public key must be Ed25519');
+    expect(() => gameState.registerPublicKey('agent-2', 'not a key')).toThrow('Invalid public key');
+
+    gameState.registerPublicKey('agent-1', MoveSigner.generateKeyPair().publicKey);
+    gameState.setPhase('negotiation');
+    expect(() => gameState.registerPublicKey('agent-1', keys.publicKey)).toThrow('already registered');
+  });
+});
+
+describe('stored move verification', () => {
+  test('verifies logged moves and detects tampering', async () => {
+    const db = new DatabaseManager(':memory:');
+    const gameManager = new GameManager(db);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const gameState = await gameManager.createGame({ seed: 'signatures' });
+    gameState.distributeTerritories();
+
+    // Built-in agents sign and reveal on their own
+    gameState.setPhase('commit');
+    gameState.setPhase('reveal');
+    gameState.setPhase('resolve');
+    gameState.revealMoves();
+    await new Promise(r => setTimeout(r, 50));
+
+    const [first] = await gameManager.getMoves(gameState.gameId, 1);
+    expect(await gameManager.verifyMove(gameState.gameId, first.id)).toMatchObject({
+      agentId: first.agent_id,
+      signed: true,
+      signatureValid: true,
+      hashValid: true,
+      valid: true
+    });
+
+    await db.run('UPDATE moves SET revealed_move = ? WHERE id = ?', [JSON.stringify({ type: 'defend', armies: 99 }), first.id]);
+    expect((await gameManager.verifyMove(gameState.gameId, first.id)).valid).toBe(false);
+    expect(await gameManager.verifyMove(gameState.gameId, 9999)).toBeNull();
+
+    gameManager.games.get(gameState.gameId).phaseManager.clearTimers();
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,209 @@
+// Victory condition tests - the win conditions a game is configured with
+const GameState = require('../src/engine/GameState');
+const ReputationEngine = require('../src/engine/ReputationEngine');
+const VictoryConditions = require('../src/engine/VictoryConditions');
+const GameManager = require('../src/api/GameManager');
+const APIServer = require('../src/api/server');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+
+describe('victory conditions', () => {
+  let gameState;
+  let engine;
+
+  const setup = (victory) => {
+    gameState = new GameState('test-victory', { seed: 'victory', victory });
+    engine = new ReputationEngine({ rng: gameState.rng.fork('reputation') });
+    gameState.initializeMap('classic');
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => {
+      gameState.addAgent({ id, name: id });
+      engine.initializeAgent(id, id);
+    });
+    gameState.trackAlliances(engine);
+    gameState.distributeTerritories();
+  };
+
+  // Hand the given territories to an agent
+  const give = (agentId, territoryIds) => {
+    for (const id of territoryIds) {
+      const territory = gameState.territories.get(id);
+      const owner = gameState.agents.get(territory.owner);
+      owner.territories = owner.territories.filter(t => t !== id);
+      territory.owner = agentId;
+      gameState.agents.get(agentId).territories.push(id);
+    }
+  };
+  const all = () => Array.from(gameState.territories.keys());
+
+  test('default to domination at 60% and most territories at the turn limit', () => {
+    setup();
+    expect(gameState.victory).toEqual({ domination: 0.6, continents: null, points: null, objectives: false, shared: false });
+    expect(gameState.checkWinCondition()).toBeNull();
+
+    give('agent-2', all().slice(0, 8));
+    gameState.turn = gameState.maxTurns;
+    expect(gameState.checkWinCondition()).toEqual({ type: 'turns', winner: ['agent-2'] });
+    expect(gameState).toMatchObject({ phase: 'ended', winner: ['agent-2'], result: { type: 'turns' } });
+
+    setup();
+    give('agent-3', all().slice(0, Math.ceil(all().length * 0.6)));
+    expect(gameState.checkWinCondition()).toEqual({ type: 'domination', winner: ['agent-3'] });
+  });
+
+  test('are validated against the map', () => {
+    const context = { continents: ['na', 'eu'] };
+    expect(VictoryConditions.validate({ domination: 0.5, continents: ['eu'], points: { territory: 2, target: 40 } }, context)).toEqual([]);
+    expect(VictoryConditions.validate({ domination: 1.5, continents: ['mars'], points: { armies: 1 }, shared: 'yes', extra: 1 }, context)).toEqual([
+      'unknown field extra',
+      'domination must be a share of the map between 0 and 1',
+      'continents must be a number or a list of continent ids on the map',
+      'points has unknown field armies',
+      'shared must be true or false'
+    ]);
+    expect(VictoryConditions.validate({ continents: 3 }, context)).toEqual(['continents must be between 1 and 2']);
+    expect(() => new GameState('bad', { victory: { points: { territory: -1 } } })).toThrow('Invalid victory: points.territory must be a weight');
+  });
+
+  test('continent goals and points', () => {
+    setup({ domination: null, continents: ['sa', 'au'] });
+    give('agent-1', gameState.continents.sa.territories);
+    expect(gameState.checkWinCondition()).toBeNull();
+    give('agent-1', gameState.continents.au.territories);
+    expect(gameState.checkWinCondition()).toMatchObject({ type: 'continents', winner: ['agent-1'] });
+
+    setup({ points: { territory: 1, resource: 0.5, continent: 2, keptDeal: 3 } });
+    give('agent-2', gameState.continents.au.territories);
+    const deal = engine.recordDeal({ turn: 1, phase: 'negotiation', proposer: 'agent-3', acceptor: 'agent-1', type: 'trade', terms: {} });
+    engine.acceptDeal(deal.id, 'agent-1');
+    engine.fulfillDeal(deal.id, 'agent-3');
+    engine.fulfillDeal(deal.id, 'agent-1');
+
+    const scores = new VictoryConditions(gameState, engine).scores();
+    const territories = (id) => gameState.agents.get(id).territories.length;
+    expect(scores['agent-2']).toBe(territories('agent-2') + 5 + 4);
+    expect(scores['agent-3']).toBe(territories('agent-3') + 5 + 3);
+
+    gameState.turn = gameState.maxTurns;
+    const result = gameState.checkWinCondition(engine);
+    expect(result).toMatchObject({ type: 'points', scores });
+    expect(scores[result.winner[0]]).toBe(Math.max(...Object.values(scores)));
+  });
+
+  test('secret objectives are dealt at the start, kept private and win when completed', () => {
+    setup({ objectives: true, domination: null });
+    gameState.dealObjectives();
+    const objective = gameState.objectives.get('agent-1');
+
+    expect(gameState.objectives.size).toBe(3);
+    expect(gameState.getAgentState('agent-1').myObjective).toEqual(objective);
+    expect(gameState.getPublicState().objectives).toBeNull();
+
+    // Same seed, same objectives
+    const again = new GameState('test-victory', { seed: 'victory', victory: { objectives: true } });
+    again.initializeMap('classic');
+    ['agent-1', 'agent-2', 'agent-3'].forEach(id => again.addAgent({ id, name: id }));
+    expect(again.dealObjectives().objectives).toEqual(gameState.objectives);
+
+    gameState.objectives.set('agent-1', { type: 'eliminate', target: 'agent-3' });
+    expect(VictoryConditions.describeObjective(gameState.objectives.get('agent-1'))).toBe('take the last territory of agent-3');
+    give('agent-2', gameState.agents.get('agent-3').territories.slice());
+    gameState.eliminateAgent('agent-3', 'agent-2');
+    expect(gameState.checkWinCondition()).toBeNull();
+
+    gameState.agents.get('agent-3').eliminatedBy = 'agent-1';
+    expect(gameState.checkWinCondition()).toEqual({ type: 'objective', winner: ['agent-1'] });
+    expect(gameState.getPublicState().objectives['agent-1']).toEqual({ type: 'eliminate', target: 'agent-3' });
+  });
+
+  test('allies who held through the final turn win together when victories are shared', () => {
+    setup({ shared: true });
+    const part = Math.ceil(all().length * 0.3);
+    give('agent-1', all().slice(0, part));
+    give('agent-2', all().slice(part, part * 2));
+    expect(gameState.checkWinCondition()).toBeNull();
+
+    // An alliance formed during the turn does not count yet
+    engine.formAlliance({ members: ['agent-1', 'agent-2'], type: 'defensive' });
+    expect(gameState.checkWinCondition()).toBeNull();
+
+    // Nor does one that held through a turn before the last
+    gameState.turn += 1;
+    expect(gameState.checkWinCondition()).toBeNull();
+    expect(gameState.phase).not.toBe('ended');
+
+    gameState.turn = gameState.maxTurns;
+    const result = gameState.checkWinCondition();
+    expect(result.type).toBe('domination');
+    expect([...result.winner].sort()).toEqual(['agent-1', 'agent-2']);
+    expect(gameState.winner).toEqual(result.winner);
+  });
+
+  test('agents tied at the top draw', () => {
+    setup();
+    const [first, second] = ['agent-1', 'agent-2'].map(id => gameState.agents.get(id).territories.length);
+    expect(first).toBe(second);
+    give('agent-1', gameState.agents.get('agent-3').territories.slice(0, 2));
+    give('agent-2', gameState.agents.get('agent-3').territories.slice(0, 2));
+
+    gameState.turn = gameState.maxTurns;
+    expect(gameState.checkWinCondition()).toEqual({ type: 'draw', winner: ['agent-1', 'agent-2'] });
+
+    const restored = GameState.fromJSON(JSON.parse(JSON.stringify({ ...gameState.toJSON(), winner: 'agent-1' })));
+    expect(restored.winner).toEqual(['agent-1']);
+  });
+});
+
+describe('game results', () => {
+  test('record the victory type in the games table', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const gameState = await gameManager.createGame({ seed: 'victory', agentTypes: ['human', 'human'], victory: { domination: 0.9 } });
+    const { phaseManager } = gameManager.getGameData(gameState.gameId);
+    const ended = [];
+    gameManager.on('gameEnded', (data) => ended.push(data));
+
+    expect(gameState.victory.domination).toBe(0.9);
+    gameState.distributeTerritories();
+    gameState.turn = gameState.maxTurns;
+    phaseManager.endTurn();
+    await new Promise(r => setTimeout(r, 50));
+
+    // The map split evenly between every seat
+    const everyone = Array.from(gameState.agents.keys());
+    expect(ended[0]).toMatchObject({ type: 'draw', winner: everyone, turns: gameState.maxTurns });
+    const saved = await gameManager.db.loadGame(gameState.gameId);
+    expect(saved).toMatchObject({ status: 'ended', winner: everyone, result_type: 'draw' });
+    expect((await gameManager.db.getCompletedGames())[0].winner).toEqual(everyone);
+
+    await gameManager.db.close();
+    console.log.mockRestore();
+  });
+
+  test('are validated against the map sized for the seats', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const gameManager = new GameManager(new DatabaseManager(':memory:'));
+    const server = new APIServer(gameManager, null).app.listen(0);
+    const create = (body) => fetch(`http://localhost:${server.address().port}/api/games`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mapType: 'random:victory', mapSize: 'small', agentTypes: ['human', 'human'], ...body })
+    });
+
+    try {
+      // The small map has a fourth continent for seven players, not for two
+      const refused = await create({ config: { agentCount: 2 }, victory: { continents: ['c4'] } });
+      expect(refused.status).toBe(400);
+      expect((await refused.json()).error).toContain('continents must be');
+      expect((await create({ config: { agentCount: 2 }, victory: { continents: ['c3'] } })).status).toBe(201);
+      expect((await create({ victory: { continents: ['c4'] } })).status).toBe(201);
+    } finally {
+      server.closeAllConnections();
+      for (const game of gameManager.games.values()) {
+        game.phaseManager.clearTimers();
+      }
+      await new Promise(resolve => server.close(resolve));
+      await new Promise(r => setTimeout(r, 50));
+      await gameManager.db.close();
+      console.log.mockRestore();
+    }
+  });
+});
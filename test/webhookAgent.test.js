@@ -0,0 +1,153 @@
+// Webhook agent tests
+const http = require('http');
+const GameManager = require('../src/api/GameManager');
+const DatabaseManager = require('../src/utils/DatabaseManager');
+const { AgentFactory, WebhookAgent } = require('../src/agents');
+
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+describe('webhook agent', () => {
+  let gameManager;
+  let stub;
+  let url;
+  let calls;
+  let reply; // (body) => [status, json]
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The stub service runs on loopback, which real deployments never call
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+    jest.spyOn(WebhookAgent, 'isPublicAddress').mockReturnValue(true);
+    gameManager = new GameManager(new DatabaseManager(':memory:'));
+
+    calls = [];
+    stub = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => raw += chunk);
+      req.on('end', () => {
+        const body = JSON.parse(raw);
+        calls.push(body);
+        const [status, json] = reply(body);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(json));
+      });
+    });
+    await new Promise(resolve => stub.listen(0, resolve));
+    url = `http://localhost:${stub.address().port}/turn`;
+  });
+
+  afterEach(async () => {
+    await new Promise(r => setTimeout(r, 50));
+    for (const game of gameManager.games.values()) {
+      game.phaseManager.clearTimers();
+    }
+    await new Promise(resolve => stub.close(resolve));
+    await gameManager.db.close();
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    jest.restoreAllMocks();
+  });
+
+  test('applies the messages and move returned by the service', async () => {
+    reply = ({ phase, state }) => [200, phase === 'commit'
+      ? { move: { orders: [], reinforcements: { [state.myTerritories[0]]: state.myReinforcements } } }
+      : { messages: [{ message: 'Peace in the north?', target: 'agent-2' }, { message: 'Hello all' }] }];
+
+    const gameState = await gameManager.createGame({ seed: 'webhook', agentTypes: [{ type: 'webhook', url }, 'remote'] });
+    gameState.distributeTerritories();
+
+    const sent = () => gameState.conversations.filter(c => c.agentId === 'agent-1');
+    gameState.setPhase('negotiation');
+    await waitFor(() => sent().length === 2);
+    expect(calls[0]).toMatchObject({ gameId: gameState.gameId, agentId: 'agent-1', phase: 'negotiation', turn: gameState.turn });
+    expect(calls[0].state.myTerritories).toEqual(gameState.agents.get('agent-1').territories);
+    expect(sent().map(c => c.type)).toEqual(['private', 'public']);
+
+    gameState.setPhase('commit');
+    await waitFor(() => gameState.moves.has('agent-1'));
+    expect(gameState.moves.get('agent-1').signature).toBeTruthy();
+
+    gameState.setPhase('reveal');
+    await waitFor(() => gameState.revealedMoves.has('agent-1'));
+    const { state } = calls.find(c => c.phase === 'commit');
+    expect(gameState.revealedMoves.get('agent-1').move.reinforcements).toEqual({ [state.myTerritories[0]]: state.myReinforcements });
+  });
+
+  test('retries failed calls and falls back to the default move', async () => {
+    reply = () => [500, { error: 'down' }];
+
+    const gameState = await gameManager.createGame({ seed: 'webhook', agentTypes: [{ type: 'webhook', url, retries: 2 }, 'remote'] });
+    gameState.distributeTerritories();
+
+    gameState.setPhase('commit');
+    await waitFor(() => gameState.moves.has('agent-1'));
+    expect(calls).toHaveLength(3);
+
+    gameState.setPhase('reveal');
+    await waitFor(() => gameState.revealedMoves.has('agent-1'));
+    expect(gameState.revealedMoves.get('agent-1').move.type).toBe('defend');
+  });
+
+  test('rejects moves that are invalid on the board', async () => {
+    reply = () => [200, { move: { orders: [{ type: 'attack', from: 'nowhere', to: 'na1', armies: 99 }] } }];
+
+    const gameState = await gameManager.createGame({ seed: 'webhook', agentTypes: [{ type: 'webhook', url }, 'remote'] });
+    gameState.distributeTerritories();
+
+    gameState.setPhase('commit');
+    await waitFor(() => gameState.moves.has('agent-1'));
+    gameState.setPhase('reveal');
+    await waitFor(() => gameState.revealedMoves.has('agent-1'));
+    expect(gameState.revealedMoves.get('agent-1').move.type).toBe('defend');
+  });
+
+  test('needs an http(s) url and keeps its config across a restore', () => {
+    expect(() => AgentFactory.createAgent('webhook', { id: 'agent-1', url: 'file:///etc/passwd' })).toThrow('http(s) url');
+
+    const agent = AgentFactory.createAgent('webhook', { id: 'agent-1', url: 'https://bots.example/turn', timeout: 50000, retries: 2 });
+    expect(agent.timeout).toBe(10000);
+
+    const saved = agent.toJSON();
+    const restored = AgentFactory.createAgent(saved.type, { ...saved.state, id: saved.id, name: saved.name, color: saved.color });
+    expect(restored.saveState()).toEqual({ url: 'https://bots.example/turn', timeout: 10000, retries: 2 });
+  });
+
+  test('calls only allowed hosts, never at non-public addresses', () => {
+    WebhookAgent.isPublicAddress.mockRestore();
+    delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    expect(WebhookAgent.isEnabled()).toBe(false);
+    expect(WebhookAgent.isAllowedUrl('https://bots.example/turn')).toBe(false);
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'bots.example, 8.8.8.8';
+    expect(WebhookAgent.isAllowedUrl('https://bots.example/turn')).toBe(true);
+    expect(WebhookAgent.isAllowedUrl('https://BOTS.example:8443/turn')).toBe(true);
+    expect(WebhookAgent.isAllowedUrl('https://evil.example/turn')).toBe(false);
+    expect(WebhookAgent.isAllowedUrl('http://8.8.8.8/turn')).toBe(true);
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = '*';
+    for (const url of ['http://127.0.0.1/', 'http://169.254.169.254/latest', 'http://10.0.0.1/', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0.0.0.0/']) {
+      expect(WebhookAgent.isAllowedUrl(url)).toBe(false);
+    }
+    for (const address of ['172.16.0.1', '192.168.1.1', '100.64.0.1', 'fe80::1', 'fd00::1', '::ffff:a00:1', '64:ff9b::7f00:1', '64:ff9b::a9fe:a9fe', '64:ff9b:1::808:808']) {
+      expect(WebhookAgent.isPublicAddress(address)).toBe(false);
+    }
+    expect(WebhookAgent.isPublicAddress('2606:4700::1111')).toBe(true);
+    // NAT64 to a public IPv4 address
+    expect(WebhookAgent.isPublicAddress('64:ff9b::808:808')).toBe(true);
+  });
+
+  test('refuses hosts that resolve to non-public addresses', async () => {
+    WebhookAgent.isPublicAddress.mockRestore();
+    const agent = AgentFactory.createAgent('webhook', { id: 'agent-1', url });
+
+    await expect(agent.post('{}')).rejects.toThrow('resolves to non-public address');
+    expect(calls).toHaveLength(0);
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'bots.example';
+    await expect(agent.post('{}')).rejects.toThrow('not allowed');
+  });
+});